@@ -7,7 +7,21 @@ export default [
       globals: {
         window: "readonly",
         document: "readonly",
-        console: "readonly"
+        console: "readonly",
+        navigator: "readonly",
+        Worker: "readonly",
+        URL: "readonly",
+        fetch: "readonly",
+        Blob: "readonly",
+        Response: "readonly",
+        CompressionStream: "readonly",
+        DecompressionStream: "readonly",
+        TextEncoder: "readonly",
+        TextDecoder: "readonly",
+        btoa: "readonly",
+        atob: "readonly",
+        createImageBitmap: "readonly",
+        OffscreenCanvas: "readonly"
       }
     },
     rules: {
@@ -0,0 +1,213 @@
+import { SimplexGenerator } from './noise.js';
+
+// Whittaker biomes positioned by their typical annual mean temperature (degrees C) and
+// precipitation (cm). heightScale reshapes the terrain where the biome dominates.
+export const BIOMES = [
+    { name: 'alpine',               temperature: -15, precipitation: 150, color: '#9aa3a8', heightScale: 1.6 },
+    { name: 'tundra',               temperature: -7,  precipitation: 40,  color: '#b7c2c4', heightScale: 1.1 },
+    { name: 'taiga',                temperature: 0,   precipitation: 90,  color: '#4b6b4a', heightScale: 1.0 },
+    { name: 'temperate grassland',  temperature: 8,   precipitation: 50,  color: '#a3b36b', heightScale: 0.6 },
+    { name: 'temperate forest',     temperature: 12,  precipitation: 150, color: '#5d8a3c', heightScale: 1.0 },
+    { name: 'temperate rainforest', temperature: 12,  precipitation: 300, color: '#2f6b3a', heightScale: 1.2 },
+    { name: 'desert',               temperature: 24,  precipitation: 25,  color: '#d8c08a', heightScale: 0.35 },
+    { name: 'savanna',              temperature: 25,  precipitation: 100, color: '#b5a55a', heightScale: 0.7 },
+    { name: 'tropical rainforest',  temperature: 26,  precipitation: 350, color: '#2c7a2c', heightScale: 1.1 },
+];
+
+export const DEFAULT_BIOME_PARAMS = {
+    seed: 1,
+    climateScale: 2048.0,
+    temperatureOffset: 0.0,
+    precipitationOffset: 0.0,
+    lapseRate: 1.5,
+    sharpness: 4.0,
+};
+
+// Climate ranges mapped from the [0, 1] noise fields
+const MIN_TEMPERATURE = -20;
+const MAX_TEMPERATURE = 32;
+const MAX_PRECIPITATION = 450;
+
+// Scale of each climate axis when measuring distance between climates
+const TEMPERATURE_UNIT = 10;
+const PRECIPITATION_UNIT = 100;
+
+// Seed offsets keep the climate fields independent from the height noise
+const TEMPERATURE_SEED_OFFSET = 1013;
+const PRECIPITATION_SEED_OFFSET = 2029;
+const CLIMATE_OCTAVES = 4;
+// fbm clusters around 0.5, stretch it so both climate extremes occur
+const CLIMATE_CONTRAST = 2.5;
+
+/**
+ * Temperature and precipitation fields and the biome classification derived from them.
+ * Coordinates are in noise space (x, y), the same space the height function is sampled in.
+ */
+export class BiomeMap {
+    _params         = DEFAULT_BIOME_PARAMS;
+    _temperature    = null;
+    _precipitation  = null;
+
+    constructor(params) {
+        this._params = { ...DEFAULT_BIOME_PARAMS, ...params };
+        this._temperature = new SimplexGenerator(this._params.seed + TEMPERATURE_SEED_OFFSET);
+        this._precipitation = new SimplexGenerator(this._params.seed + PRECIPITATION_SEED_OFFSET);
+    }
+
+    _fbm(generator, x, y) {
+        const xs = x / this._params.climateScale;
+        const ys = y / this._params.climateScale;
+
+        let amplitude = 1.0;
+        let frequency = 1.0;
+        let normalization = 0;
+        let total = 0;
+        for (let o = 0; o < CLIMATE_OCTAVES; o++) {
+            total += (generator.get2D(xs * frequency, ys * frequency) * 0.5 + 0.5) * amplitude;
+            normalization += amplitude;
+            amplitude *= 0.5;
+            frequency *= 2.0;
+        }
+        const value = 0.5 + (total / normalization - 0.5) * CLIMATE_CONTRAST;
+        return Math.min(Math.max(value, 0.0), 1.0);
+    }
+
+    /**
+     * Climate at a point. Temperature drops with altitude by the lapse rate.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} height - terrain height, 0 for sea level climate
+     * @returns {{temperature: number, precipitation: number}}
+     */
+    getClimate(x, y, height = 0) {
+        const t = this._fbm(this._temperature, x, y);
+        const p = this._fbm(this._precipitation, x, y);
+
+        const temperature = MIN_TEMPERATURE + (MAX_TEMPERATURE - MIN_TEMPERATURE) * t
+            + this._params.temperatureOffset
+            - this._params.lapseRate * Math.max(height, 0);
+        // squared so dry climates are as common as wet ones, as on the Whittaker diagram
+        const precipitation = Math.max(MAX_PRECIPITATION * p * p + this._params.precipitationOffset, 0);
+        return { temperature, precipitation };
+    }
+
+    /**
+     * Normalized blend weights of every biome, ordered as BIOMES.
+     * @param {{temperature: number, precipitation: number}} climate
+     * @param {Float32Array} target
+     * @returns {Float32Array}
+     */
+    getWeights(climate, target = new Float32Array(BIOMES.length)) {
+        let total = 0;
+        for (let i = 0; i < BIOMES.length; i++) {
+            const dt = (climate.temperature - BIOMES[i].temperature) / TEMPERATURE_UNIT;
+            const dp = (climate.precipitation - BIOMES[i].precipitation) / PRECIPITATION_UNIT;
+            target[i] = Math.exp(-(dt * dt + dp * dp) * this._params.sharpness);
+            total += target[i];
+        }
+
+        // far outside every biome all weights underflow: fall back to the nearest biome
+        if (total === 0) {
+            target[this._nearestBiome(climate)] = 1.0;
+            return target;
+        }
+        for (let i = 0; i < BIOMES.length; i++) {
+            target[i] /= total;
+        }
+        return target;
+    }
+
+    _nearestBiome(climate) {
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        for (let i = 0; i < BIOMES.length; i++) {
+            const dt = (climate.temperature - BIOMES[i].temperature) / TEMPERATURE_UNIT;
+            const dp = (climate.precipitation - BIOMES[i].precipitation) / PRECIPITATION_UNIT;
+            const distance = dt * dt + dp * dp;
+            if (distance < nearestDistance) {
+                nearest = i;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Index into BIOMES of the dominant biome at a point.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} height - terrain height at the point
+     * @returns {number}
+     */
+    getBiomeIndex(x, y, height) {
+        return this._nearestBiome(this.getClimate(x, y, height));
+    }
+
+    /**
+     * Height multiplier from the biomes present at sea level climate, blended by weight.
+     * Sea level climate is used so the shaping does not depend on the height it changes.
+     * @param {number} x
+     * @param {number} y
+     * @returns {number}
+     */
+    getHeightScale(x, y, weights = new Float32Array(BIOMES.length)) {
+        this.getWeights(this.getClimate(x, y, 0), weights);
+        let scale = 0;
+        for (let i = 0; i < BIOMES.length; i++) {
+            scale += weights[i] * BIOMES[i].heightScale;
+        }
+        return scale;
+    }
+}
+
+/**
+ * Bake the biomes of a chunk next to its heights, texel for texel.
+ * Each RGBA texel holds (dominant biome index, second biome index, weight of the second
+ * biome relative to the pair * 255, 255).
+ * @param {BiomeMap} biomeMap
+ * @param {Float32Array} heights - output of generateHeightData
+ * @param {number} centerX
+ * @param {number} centerY
+ * @param {number} chunkSize
+ * @param {number} chunkSegments
+ * @returns {Uint8Array}
+ */
+export function generateBiomeData(biomeMap, heights, centerX, centerY, chunkSize, chunkSegments) {
+    const resolution = chunkSegments + 3;
+    if (heights.length !== resolution * resolution) {
+        throw new Error('generateBiomeData: heights do not match the chunk resolution');
+    }
+
+    const sampleStep = chunkSize / chunkSegments;
+    const data = new Uint8Array(resolution * resolution * 4);
+    const weights = new Float32Array(BIOMES.length);
+
+    for (let row = 0; row < resolution; row++) {
+        const worldY = centerY - (chunkSize / 2) - sampleStep + (row * sampleStep);
+        for (let col = 0; col < resolution; col++) {
+            const worldX = centerX - (chunkSize / 2) - sampleStep + (col * sampleStep);
+            const index = (row * resolution) + col;
+            biomeMap.getWeights(biomeMap.getClimate(worldX, worldY, heights[index]), weights);
+
+            // two strongest biomes
+            let first = 0;
+            let second = -1;
+            for (let i = 1; i < BIOMES.length; i++) {
+                if (weights[i] > weights[first]) {
+                    second = first;
+                    first = i;
+                } else if (second === -1 || weights[i] > weights[second]) {
+                    second = i;
+                }
+            }
+
+            const pairWeight = weights[first] + weights[second];
+            data[index * 4] = first;
+            data[index * 4 + 1] = second;
+            data[index * 4 + 2] = pairWeight > 0 ? Math.round((weights[second] / pairWeight) * 255) : 0;
+            data[index * 4 + 3] = 255;
+        }
+    }
+
+    return data;
+}
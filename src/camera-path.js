@@ -0,0 +1,167 @@
+// Recorded camera paths for flythroughs: timed keys of camera position and orientation,
+// replayed with a Catmull-Rom spline through the positions and slerp between orientations.
+// Plain functions without three.js or the DOM so they also run under Node.
+//
+// A path is { version, keys } where keys is a list of
+// { time, position: [x, y, z], quaternion: [x, y, z, w] } in absolute world coordinates,
+// with times in seconds, strictly increasing.
+
+export const CAMERA_PATH_VERSION = 1;
+
+/**
+ * Empty path of the current version.
+ * @returns {object}
+ */
+export function createCameraPath() {
+    return { version: CAMERA_PATH_VERSION, keys: [] };
+}
+
+/**
+ * Append a key to a path.
+ * @param {object} path
+ * @param {number} time - seconds, after the last key
+ * @param {number[]} position - [x, y, z]
+ * @param {number[]} quaternion - [x, y, z, w]
+ * @returns {object} path
+ */
+export function addCameraPathKey(path, time, position, quaternion) {
+    const last = path.keys[path.keys.length - 1];
+    if (!Number.isFinite(time) || (last !== undefined && time <= last.time)) {
+        throw new Error('addCameraPathKey: key times must be finite and increasing');
+    }
+    path.keys.push({ time, position: [...position], quaternion: [...quaternion] });
+    return path;
+}
+
+/**
+ * Time of the last key, 0 for paths with less than two keys.
+ * @param {object} path
+ * @returns {number}
+ */
+export function cameraPathDuration(path) {
+    return path.keys.length > 1 ? path.keys[path.keys.length - 1].time - path.keys[0].time : 0;
+}
+
+/**
+ * Camera pose on a path at a time, clamped to the first and last key.
+ * @param {object} path - at least one key
+ * @param {number} time - seconds from the first key
+ * @param {{position: number[], quaternion: number[]}} [target]
+ * @returns {{position: number[], quaternion: number[]}} target
+ */
+export function sampleCameraPath(path, time, target = { position: [0, 0, 0], quaternion: [0, 0, 0, 1] }) {
+    const keys = path.keys;
+    if (keys.length === 0) {
+        throw new Error('sampleCameraPath: path has no keys');
+    }
+
+    const t = keys[0].time + time;
+    if (keys.length === 1 || t <= keys[0].time) {
+        return _copyKey(keys[0], target);
+    }
+    if (t >= keys[keys.length - 1].time) {
+        return _copyKey(keys[keys.length - 1], target);
+    }
+
+    // last key at or before t
+    let low = 0;
+    let high = keys.length - 1;
+    while (high - low > 1) {
+        const middle = (low + high) >> 1;
+        if (keys[middle].time <= t) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+
+    const k0 = keys[Math.max(low - 1, 0)];
+    const k1 = keys[low];
+    const k2 = keys[low + 1];
+    const k3 = keys[Math.min(low + 2, keys.length - 1)];
+    const h = k2.time - k1.time;
+    const u = (t - k1.time) / h;
+
+    // cubic Hermite with Catmull-Rom tangents, which stay smooth for unevenly spaced keys
+    const u2 = u * u;
+    const u3 = u2 * u;
+    const h00 = 2 * u3 - 3 * u2 + 1;
+    const h10 = u3 - 2 * u2 + u;
+    const h01 = -2 * u3 + 3 * u2;
+    const h11 = u3 - u2;
+    for (let i = 0; i < 3; i++) {
+        const m1 = (k2.position[i] - k0.position[i]) / (k2.time - k0.time);
+        const m2 = (k3.position[i] - k1.position[i]) / (k3.time - k1.time);
+        target.position[i] = h00 * k1.position[i] + h10 * h * m1 + h01 * k2.position[i] + h11 * h * m2;
+    }
+
+    _slerp(k1.quaternion, k2.quaternion, u, target.quaternion);
+    return target;
+}
+
+/**
+ * Check that a parsed path is well formed.
+ * @param {object} path
+ * @returns {object} path
+ */
+export function validateCameraPath(path) {
+    if (path === null || typeof path !== 'object' || !Array.isArray(path.keys)) {
+        throw new Error('validateCameraPath: path must be an object with a keys array');
+    }
+    if (path.version !== CAMERA_PATH_VERSION) {
+        throw new Error(`validateCameraPath: unsupported path version ${path.version}`);
+    }
+
+    let previousTime = -Infinity;
+    for (const key of path.keys) {
+        const isValid = Number.isFinite(key?.time) && key.time > previousTime &&
+            _isNumbers(key.position, 3) && _isNumbers(key.quaternion, 4);
+        if (!isValid) {
+            throw new Error('validateCameraPath: keys need increasing times, positions and quaternions');
+        }
+        previousTime = key.time;
+    }
+    return path;
+}
+
+function _copyKey(key, target) {
+    for (let i = 0; i < 3; i++) {
+        target.position[i] = key.position[i];
+    }
+    for (let i = 0; i < 4; i++) {
+        target.quaternion[i] = key.quaternion[i];
+    }
+    return target;
+}
+
+// Spherical interpolation along the shorter arc, normalized
+function _slerp(a, b, u, target) {
+    let cosHalf = a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+    const sign = cosHalf < 0 ? -1 : 1;
+    cosHalf *= sign;
+
+    let wa = 1 - u;
+    let wb = u;
+    // nearly equal orientations fall back to a linear blend
+    if (cosHalf < 0.9995) {
+        const half = Math.acos(cosHalf);
+        const sinHalf = Math.sin(half);
+        wa = Math.sin((1 - u) * half) / sinHalf;
+        wb = Math.sin(u * half) / sinHalf;
+    }
+
+    let length = 0;
+    for (let i = 0; i < 4; i++) {
+        target[i] = wa * a[i] + wb * sign * b[i];
+        length += target[i] * target[i];
+    }
+    length = Math.sqrt(length);
+    for (let i = 0; i < 4; i++) {
+        target[i] /= length;
+    }
+    return target;
+}
+
+function _isNumbers(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
@@ -1,4 +1,10 @@
 export const CANVAS_TARGET = document.getElementById('canvas-target');
 if (!CANVAS_TARGET) {
     throw new Error('Missing required DOM element: #canvas-target');
+}
+
+// Overlay describing the terrain picked by clicking
+export const PICK_INFO_TARGET = document.getElementById('pick-info');
+if (!PICK_INFO_TARGET) {
+    throw new Error('Missing required DOM element: #pick-info');
 }
\ No newline at end of file
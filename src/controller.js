@@ -1,5 +1,6 @@
 import * as THREE from 'three/webgpu';
 import * as CONFIG from './config';
+import * as CAMERA_PATH from './camera-path';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { FlyControls } from 'three/addons/controls/FlyControls.js';
 
@@ -9,6 +10,8 @@ export class FPSController {
     _mesh = null;
     _position = null;
     _isActive = false;
+    _flyParams = {};
+    _groundHost = null;
 
     constructor(params) {
         this._camera    = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
@@ -28,6 +31,21 @@ export class FPSController {
         this._mesh = new THREE.Mesh(helperGeometry, helperMaterial);
         this._mesh.position.copy(this._position);
         params.scene.add(this._mesh);
+
+        // optional floor below the camera
+        params.guiParams.fly = {
+            stayAboveGround : false,
+            groundClearance : 2.0,
+        };
+        this._flyParams = params.guiParams.fly;
+        this._groundHost = params.groundHost;
+
+        const flyRollup = params.gui.addFolder('Fly Camera');
+        flyRollup.add(this._flyParams, 'stayAboveGround')
+            .name("don't go below ground");
+        flyRollup.add(this._flyParams, 'groundClearance', 0.0, 32.0)
+            .name('ground clearance');
+        flyRollup.close();
     }
 
     getCamera() {
@@ -38,6 +56,23 @@ export class FPSController {
         return this._position;
     }
 
+    // Camera pose in scene space, see TerrainScene presets
+    getPose() {
+        return {
+            position: this._camera.position.toArray(),
+            quaternion: this._camera.quaternion.toArray(),
+        };
+    }
+
+    setPose(pose) {
+        this._camera.position.fromArray(pose.position);
+        if (pose.quaternion) {
+            this._camera.quaternion.fromArray(pose.quaternion);
+        }
+        this._position.copy(this._camera.position);
+        this._mesh.position.copy(this._position);
+    }
+
     setActive(active) {
         this._isActive = active;
         // Enable/disable the controls based on active state
@@ -49,10 +84,22 @@ export class FPSController {
 
         const deltaTime = Number.isFinite(_deltaTime) ? _deltaTime : 0;
         this._controls.update(deltaTime);
+        if (this._flyParams.stayAboveGround) {
+            const position = this._camera.position;
+            const floor = this._groundHost.getHeightAt(position.x, position.z) + this._flyParams.groundClearance;
+            position.y = Math.max(position.y, floor);
+        }
         this._position.copy(this._controls.object.position);
         this._mesh.position.copy(this._position);
     }
 
+    // Rebase onto a new floating origin (see TerrainScene)
+    onOriginShift(delta) {
+        this._camera.position.sub(delta);
+        this._position.sub(delta);
+        this._mesh.position.sub(delta);
+    }
+
     dispose() {
         this._controls?.dispose?.();
 
@@ -115,6 +162,27 @@ export class OrbitController {
         return this._position;
     }
 
+    // Camera pose in scene space, see TerrainScene presets
+    getPose() {
+        return {
+            position: this._camera.position.toArray(),
+            quaternion: this._camera.quaternion.toArray(),
+            target: this._controls.target.toArray(),
+        };
+    }
+
+    setPose(pose) {
+        this._camera.position.fromArray(pose.position);
+        if (pose.target) {
+            this._controls.target.fromArray(pose.target);
+        }
+        this._controls.update();
+        // keep the pose when the controller is deactivated and reactivated
+        this._controls.saveState();
+        this._position.copy(this._camera.position);
+        this._mesh.position.copy(this._position);
+    }
+
     setActive(active) {
         if(active) {
             this._controls.reset();
@@ -133,6 +201,17 @@ export class OrbitController {
         this._mesh.position.copy(this._position);
     }
 
+    // Rebase onto a new floating origin (see TerrainScene)
+    onOriginShift(delta) {
+        this._camera.position.sub(delta);
+        this._controls.target.sub(delta);
+        // state restored by reset() when this controller is re-activated
+        this._controls.position0.sub(delta);
+        this._controls.target0.sub(delta);
+        this._position.sub(delta);
+        this._mesh.position.sub(delta);
+    }
+
     dispose() {
         this._controls?.dispose?.();
 
@@ -160,4 +239,398 @@ export class OrbitController {
         this._camera.aspect = window.innerWidth / window.innerHeight;
         this._camera.updateProjectionMatrix();
     }
-}
\ No newline at end of file
+}
+
+// Keys driving the walk controller, by KeyboardEvent.code
+const WALK_KEYS = {
+    KeyW: 'forward', ArrowUp: 'forward',
+    KeyS: 'backward', ArrowDown: 'backward',
+    KeyA: 'left', ArrowLeft: 'left',
+    KeyD: 'right', ArrowRight: 'right',
+    ShiftLeft: 'sprint', ShiftRight: 'sprint',
+    Space: 'jump',
+};
+
+// Feet closer than this above the ground stay glued to it, so walking downhill does not
+// turn into a series of short falls
+const GROUND_SNAP_DISTANCE = 0.3;
+
+// Pitch stops just short of straight up and down
+const MAX_PITCH = Math.PI / 2 - 0.01;
+
+// First-person walker following the terrain: WASD or arrow keys to walk, shift to sprint,
+// space to jump, drag to look around. The feet stand on the sampled ground height and the
+// camera sits eyeHeight above them. Walking onto ground steeper than maxSlope is refused.
+export class WalkController {
+    _camera = null;
+    _mesh = null;
+    _position = null;
+    _isActive = false;
+    _walkParams = {};
+    _groundHost = null;
+    _feet = new THREE.Vector3();
+    _velocityY = 0.0;
+    _isGrounded = false;
+    _yaw = 0.0;
+    _pitch = 0.0;
+    _keys = {};
+    _isDragging = false;
+    _listeners = [];
+
+    constructor(params) {
+        this._camera    = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+        this._position  = new THREE.Vector3();
+        this._groundHost = params.groundHost;
+
+        // helper mesh to visualize contorller location
+        const helperGeometry = new THREE.TetrahedronGeometry();
+        const helperMaterial = new THREE.MeshBasicMaterial({ color: '#00ffff' });
+        this._mesh = new THREE.Mesh(helperGeometry, helperMaterial);
+        params.scene.add(this._mesh);
+
+        params.guiParams.walk = {
+            eyeHeight : 1.7,
+            walkSpeed : 5.0,
+            sprintMultiplier : 2.5,
+            jumpSpeed : 6.0,
+            gravity : 20.0,
+            maxSlope : 40.0,
+            lookSpeed : 0.003,
+        };
+        this._walkParams = params.guiParams.walk;
+
+        const walkRollup = params.gui.addFolder('Walk');
+        walkRollup.add(this._walkParams, 'eyeHeight', 0.5, 10.0)
+            .name('eye height');
+        walkRollup.add(this._walkParams, 'walkSpeed', 0.5, 50.0)
+            .name('walk speed');
+        walkRollup.add(this._walkParams, 'sprintMultiplier', 1.0, 10.0)
+            .name('sprint multiplier');
+        walkRollup.add(this._walkParams, 'jumpSpeed', 0.0, 30.0)
+            .name('jump speed');
+        walkRollup.add(this._walkParams, 'gravity', 1.0, 100.0)
+            .name('gravity');
+        walkRollup.add(this._walkParams, 'maxSlope', 0.0, 90.0)
+            .name('max slope (deg)');
+        walkRollup.add(this._walkParams, 'lookSpeed', 0.0005, 0.01)
+            .name('look speed');
+        walkRollup.close();
+
+        this._listen(window, 'keydown', (event) => { this._onKey(event, true); });
+        this._listen(window, 'keyup', (event) => { this._onKey(event, false); });
+        this._listen(window, 'blur', () => { this._keys = {}; });
+        this._listen(CONFIG.CANVAS_TARGET, 'pointerdown', () => { this._isDragging = true; });
+        this._listen(window, 'pointerup', () => { this._isDragging = false; });
+        this._listen(window, 'pointermove', (event) => { this._onPointerMove(event); });
+
+        this.placeAt(new THREE.Vector3());
+    }
+
+    getCamera() {
+        return this._camera;
+    }
+
+    getPosition() {
+        return this._position;
+    }
+
+    /**
+     * Stand on the ground below a scene space position, keeping the view direction.
+     * @param {THREE.Vector3} position
+     */
+    placeAt(position) {
+        this._feet.set(position.x, this._groundHost.getHeightAt(position.x, position.z), position.z);
+        this._velocityY = 0.0;
+        this._isGrounded = true;
+        this._updateCamera();
+    }
+
+    // Camera pose in scene space, see TerrainScene presets
+    getPose() {
+        return {
+            position: this._camera.position.toArray(),
+            quaternion: this._camera.quaternion.toArray(),
+        };
+    }
+
+    setPose(pose) {
+        if (pose.quaternion) {
+            const euler = new THREE.Euler().setFromQuaternion(new THREE.Quaternion().fromArray(pose.quaternion), 'YXZ');
+            this._yaw = euler.y;
+            this._pitch = THREE.MathUtils.clamp(euler.x, -MAX_PITCH, MAX_PITCH);
+        }
+        // the walker lands on the ground below the saved eye position
+        this._feet.fromArray(pose.position);
+        this._feet.y -= this._walkParams.eyeHeight;
+        this._velocityY = 0.0;
+        this._isGrounded = false;
+        this._updateCamera();
+    }
+
+    setActive(active) {
+        this._isActive = active;
+        this._keys = {};
+        this._isDragging = false;
+    }
+
+    update(_deltaTime) {
+        if (!this._isActive) { return; }
+
+        // long frames (e.g. a background tab) would tunnel through the ground
+        const deltaTime = Number.isFinite(_deltaTime) ? Math.min(_deltaTime, 0.1) : 0;
+        const p = this._walkParams;
+
+        // walk on the ground plane relative to where the camera looks
+        const forward = (this._keys.forward ? 1 : 0) - (this._keys.backward ? 1 : 0);
+        const strafe = (this._keys.right ? 1 : 0) - (this._keys.left ? 1 : 0);
+        if (forward !== 0 || strafe !== 0) {
+            const speed = p.walkSpeed * (this._keys.sprint ? p.sprintMultiplier : 1.0) * deltaTime / Math.hypot(forward, strafe);
+            const sin = Math.sin(this._yaw);
+            const cos = Math.cos(this._yaw);
+            const x = this._feet.x + (-sin * forward + cos * strafe) * speed;
+            const z = this._feet.z + (-cos * forward - sin * strafe) * speed;
+
+            // steep ground can be walked down but not up
+            const isUphill = this._groundHost.getHeightAt(x, z) > this._feet.y;
+            if (!isUphill || this._groundHost.getSlopeAt(x, z) <= p.maxSlope) {
+                this._feet.x = x;
+                this._feet.z = z;
+            }
+        }
+
+        if (this._isGrounded && this._keys.jump) {
+            this._velocityY = p.jumpSpeed;
+            this._isGrounded = false;
+        }
+
+        this._velocityY -= p.gravity * deltaTime;
+        this._feet.y += this._velocityY * deltaTime;
+
+        const ground = this._groundHost.getHeightAt(this._feet.x, this._feet.z);
+        const isNearGround = this._isGrounded && this._velocityY <= 0.0 &&
+            this._feet.y - ground < GROUND_SNAP_DISTANCE;
+        if (this._feet.y <= ground || isNearGround) {
+            this._feet.y = ground;
+            this._velocityY = 0.0;
+            this._isGrounded = true;
+        } else {
+            this._isGrounded = false;
+        }
+
+        this._updateCamera();
+    }
+
+    _updateCamera() {
+        this._camera.quaternion.setFromEuler(new THREE.Euler(this._pitch, this._yaw, 0.0, 'YXZ'));
+        this._camera.position.copy(this._feet);
+        this._camera.position.y += this._walkParams.eyeHeight;
+        this._position.copy(this._camera.position);
+        this._mesh.position.copy(this._position);
+    }
+
+    _onKey(event, isDown) {
+        const action = WALK_KEYS[event.code];
+        // typing into the GUI is not walking
+        const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target?.tagName);
+        if (!this._isActive || action === undefined || isTyping) {
+            return;
+        }
+        this._keys[action] = isDown;
+        // keep space and the arrows from scrolling the page
+        event.preventDefault();
+    }
+
+    _onPointerMove(event) {
+        if (!this._isActive || !this._isDragging) {
+            return;
+        }
+        this._yaw -= event.movementX * this._walkParams.lookSpeed;
+        this._pitch = THREE.MathUtils.clamp(this._pitch - event.movementY * this._walkParams.lookSpeed,
+            -MAX_PITCH, MAX_PITCH);
+        this._updateCamera();
+    }
+
+    _listen(target, type, listener) {
+        target.addEventListener(type, listener);
+        this._listeners.push({ target, type, listener });
+    }
+
+    // Rebase onto a new floating origin (see TerrainScene)
+    onOriginShift(delta) {
+        this._feet.sub(delta);
+        this._updateCamera();
+    }
+
+    dispose() {
+        for (const { target, type, listener } of this._listeners) {
+            target.removeEventListener(type, listener);
+        }
+        this._listeners = [];
+
+        if (this._mesh) {
+            if (this._mesh.parent) {
+                this._mesh.parent.remove(this._mesh);
+            }
+            this._mesh.geometry?.dispose?.();
+            this._mesh.material?.dispose?.();
+        }
+        this._mesh = null;
+    }
+
+    onWindowResize() {
+        // Update camera
+        this._camera.aspect = window.innerWidth / window.innerHeight;
+        this._camera.updateProjectionMatrix();
+    }
+}
+
+// Replays a recorded camera path (see camera-path.js). Playback time advances in whole
+// fixed steps, so the camera is sampled at the same times whatever the frame rate; with
+// stepPerFrame every rendered frame advances exactly one step, for frame-by-frame captures.
+export class PlaybackController {
+    _camera = null;
+    _mesh = null;
+    _position = null;
+    _isActive = false;
+    _playbackParams = {};
+    _path = null;
+    _step = 0;
+    _accumulator = 0.0;
+    _origin = new THREE.Vector3();
+    _sample = { position: [0, 0, 0], quaternion: [0, 0, 0, 1] };
+
+    constructor(params) {
+        this._camera    = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+        this._position  = new THREE.Vector3();
+
+        // helper mesh to visualize contorller location
+        const helperGeometry = new THREE.TetrahedronGeometry();
+        const helperMaterial = new THREE.MeshBasicMaterial({ color: '#ffff00' });
+        this._mesh = new THREE.Mesh(helperGeometry, helperMaterial);
+        params.scene.add(this._mesh);
+
+        params.guiParams.playback = {
+            stepsPerSecond : 60,
+            stepPerFrame : false,
+            loop : true,
+        };
+        this._playbackParams = params.guiParams.playback;
+
+        const playbackRollup = params.gui.addFolder('Playback');
+        playbackRollup.add(this._playbackParams, 'stepsPerSecond', 1, 240, 1)
+            .name('steps per second');
+        playbackRollup.add(this._playbackParams, 'stepPerFrame')
+            .name('one step per frame');
+        playbackRollup.add(this._playbackParams, 'loop')
+            .name('loop');
+        playbackRollup.close();
+    }
+
+    getCamera() {
+        return this._camera;
+    }
+
+    getPosition() {
+        return this._position;
+    }
+
+    /**
+     * Path to replay, in absolute world coordinates. Playback restarts from its first key.
+     * @param {object|null} path
+     */
+    setPath(path) {
+        this._path = path !== null && path.keys.length > 0 ? path : null;
+        this.restart();
+    }
+
+    getPath() {
+        return this._path;
+    }
+
+    restart() {
+        this._step = 0;
+        this._accumulator = 0.0;
+        this._updateCamera();
+    }
+
+    // Camera pose in scene space, see TerrainScene presets
+    getPose() {
+        return {
+            position: this._camera.position.toArray(),
+            quaternion: this._camera.quaternion.toArray(),
+        };
+    }
+
+    // Only holds until the next step of a loaded path
+    setPose(pose) {
+        this._camera.position.fromArray(pose.position);
+        if (pose.quaternion) {
+            this._camera.quaternion.fromArray(pose.quaternion);
+        }
+        this._position.copy(this._camera.position);
+        this._mesh.position.copy(this._position);
+    }
+
+    setActive(active) {
+        this._isActive = active;
+    }
+
+    update(_deltaTime) {
+        if (!this._isActive || this._path === null) { return; }
+
+        const p = this._playbackParams;
+        const deltaTime = Number.isFinite(_deltaTime) ? _deltaTime : 0;
+        if (p.stepPerFrame) {
+            this._step += 1;
+        } else {
+            this._accumulator += deltaTime * p.stepsPerSecond;
+            const steps = Math.floor(this._accumulator);
+            this._accumulator -= steps;
+            this._step += steps;
+        }
+
+        // counting whole steps keeps the sample times exact over long paths
+        const stepCount = Math.floor(CAMERA_PATH.cameraPathDuration(this._path) * p.stepsPerSecond);
+        if (this._step > stepCount) {
+            this._step = p.loop && stepCount > 0 ? this._step % (stepCount + 1) : stepCount;
+        }
+        this._updateCamera();
+    }
+
+    _updateCamera() {
+        if (this._path === null) {
+            return;
+        }
+        const sample = CAMERA_PATH.sampleCameraPath(this._path, this._step / this._playbackParams.stepsPerSecond, this._sample);
+        this._camera.position.fromArray(sample.position).sub(this._origin);
+        this._camera.quaternion.fromArray(sample.quaternion);
+        this._position.copy(this._camera.position);
+        this._mesh.position.copy(this._position);
+    }
+
+    // Rebase onto a new floating origin (see TerrainScene), the path stays in world space
+    onOriginShift(delta, origin) {
+        this._origin.copy(origin);
+        this._camera.position.sub(delta);
+        this._position.sub(delta);
+        this._mesh.position.sub(delta);
+    }
+
+    dispose() {
+        if (this._mesh) {
+            if (this._mesh.parent) {
+                this._mesh.parent.remove(this._mesh);
+            }
+            this._mesh.geometry?.dispose?.();
+            this._mesh.material?.dispose?.();
+        }
+        this._mesh = null;
+        this._path = null;
+    }
+
+    onWindowResize() {
+        // Update camera
+        this._camera.aspect = window.innerWidth / window.innerHeight;
+        this._camera.updateProjectionMatrix();
+    }
+}
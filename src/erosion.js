@@ -0,0 +1,317 @@
+import { mulberry32 } from './util.js';
+import { TiledField, tileSeed, sampleGrid } from './tiled-field.js';
+
+// Droplet hydraulic and thermal erosion on square height grids, and a tiled erosion field
+// that applies them to an unbounded height function. Pure module so it runs in the heightmap workers.
+
+export const DEFAULT_EROSION_PARAMS = {
+    seed: 1,
+    // world units between erosion grid samples
+    cellSize: 4.0,
+    // tile core edge length and padding, in cells
+    tileCells: 64,
+    padding: 16,
+    // droplets simulated per tile
+    iterations: 4096,
+    inertia: 0.05,
+    capacity: 4.0,
+    minCapacity: 0.01,
+    deposition: 0.3,
+    erosion: 0.3,
+    radius: 3,
+    evaporation: 0.01,
+    gravity: 4.0,
+    maxLifetime: 30,
+    // thermal weathering, disabled with 0 iterations
+    thermalIterations: 0,
+    talusAngle: 35.0,
+    thermalRate: 0.5,
+};
+
+// Eroded tiles kept per field; each holds (tileCells + 2 * padding + 1)^2 floats
+const MAX_CACHED_TILES = 512;
+
+/**
+ * Simulate water droplets flowing over a height grid, eroding where they speed up and
+ * depositing sediment where they slow down or exceed their carrying capacity.
+ * Heights are modified in place and are measured in cells (one cell = one grid step).
+ * @param {Float32Array} heights - row-major, size * size
+ * @param {number} size - grid samples per axis
+ * @param {object} params - see DEFAULT_EROSION_PARAMS
+ * @returns {Float32Array} heights
+ */
+export function erodeHydraulic(heights, size, params) {
+    if (heights.length !== size * size) {
+        throw new Error('erodeHydraulic: heights do not match the grid size');
+    }
+
+    const p = { ...DEFAULT_EROSION_PARAMS, ...params };
+    const random = mulberry32(p.seed);
+    const brush = _createBrush(p.radius);
+
+    // height and gradient at a point, bilinear between the four surrounding samples
+    const sample = { height: 0, gradientX: 0, gradientY: 0 };
+    const heightAndGradient = (x, y) => {
+        const cx = Math.floor(x);
+        const cy = Math.floor(y);
+        const fx = x - cx;
+        const fy = y - cy;
+        const i = cy * size + cx;
+        const nw = heights[i];
+        const ne = heights[i + 1];
+        const sw = heights[i + size];
+        const se = heights[i + size + 1];
+
+        sample.gradientX = (ne - nw) * (1 - fy) + (se - sw) * fy;
+        sample.gradientY = (sw - nw) * (1 - fx) + (se - ne) * fx;
+        sample.height = nw * (1 - fx) * (1 - fy) + ne * fx * (1 - fy) + sw * (1 - fx) * fy + se * fx * fy;
+        return sample;
+    };
+
+    for (let iteration = 0; iteration < p.iterations; iteration++) {
+        let x = random() * (size - 1);
+        let y = random() * (size - 1);
+        let directionX = 0;
+        let directionY = 0;
+        let speed = 1;
+        let water = 1;
+        let sediment = 0;
+
+        for (let lifetime = 0; lifetime < p.maxLifetime; lifetime++) {
+            const cellX = Math.floor(x);
+            const cellY = Math.floor(y);
+            const offsetX = x - cellX;
+            const offsetY = y - cellY;
+
+            const { height, gradientX, gradientY } = heightAndGradient(x, y);
+
+            // Blend the previous direction with the downhill direction
+            directionX = directionX * p.inertia - gradientX * (1 - p.inertia);
+            directionY = directionY * p.inertia - gradientY * (1 - p.inertia);
+            const length = Math.hypot(directionX, directionY);
+            if (length === 0) {
+                break;
+            }
+            directionX /= length;
+            directionY /= length;
+            x += directionX;
+            y += directionY;
+
+            if (x < 0 || x >= size - 1 || y < 0 || y >= size - 1) {
+                break;
+            }
+
+            const deltaHeight = heightAndGradient(x, y).height - height;
+            const capacity = Math.max(-deltaHeight * speed * water * p.capacity, p.minCapacity);
+
+            if (sediment > capacity || deltaHeight > 0) {
+                // Fill the pit when flowing uphill, otherwise drop a share of the surplus
+                const deposit = deltaHeight > 0 ?
+                    Math.min(deltaHeight, sediment) :
+                    (sediment - capacity) * p.deposition;
+                sediment -= deposit;
+
+                const i = cellY * size + cellX;
+                heights[i]            += deposit * (1 - offsetX) * (1 - offsetY);
+                heights[i + 1]        += deposit * offsetX * (1 - offsetY);
+                heights[i + size]     += deposit * (1 - offsetX) * offsetY;
+                heights[i + size + 1] += deposit * offsetX * offsetY;
+            } else {
+                // Erode no more than the height difference so the droplet never digs a pit
+                const amount = Math.min((capacity - sediment) * p.erosion, -deltaHeight);
+                for (let b = 0; b < brush.offsetsX.length; b++) {
+                    const bx = cellX + brush.offsetsX[b];
+                    const by = cellY + brush.offsetsY[b];
+                    if (bx < 0 || bx >= size || by < 0 || by >= size) {
+                        continue;
+                    }
+                    const eroded = amount * brush.weights[b];
+                    heights[by * size + bx] -= eroded;
+                    sediment += eroded;
+                }
+            }
+
+            speed = Math.sqrt(Math.max(speed * speed + deltaHeight * p.gravity, 0));
+            water *= (1 - p.evaporation);
+        }
+    }
+
+    return heights;
+}
+
+// 8-connected neighbours and their distances in cells
+const NEIGHBOUR_X = [-1, 0, 1, -1, 1, -1, 0, 1];
+const NEIGHBOUR_Y = [-1, -1, -1, 0, 0, 1, 1, 1];
+const NEIGHBOUR_DISTANCE = NEIGHBOUR_X.map((x, i) => Math.hypot(x, NEIGHBOUR_Y[i]));
+
+/**
+ * Thermal weathering: wherever the slope to a neighbour exceeds the talus angle, material
+ * slides down to the lower neighbours, leaving scree slopes at the base of cliffs.
+ * Every iteration reads the grid from the previous one, so the result does not depend on
+ * the visiting order. Heights are modified in place and are measured in cells, so this
+ * works on any padded square grid, including the chunk heightmaps from generateHeightData
+ * once divided by their sample step.
+ * @param {Float32Array} heights - row-major, size * size
+ * @param {number} size - grid samples per axis
+ * @param {object} params - thermalIterations, talusAngle (degrees), thermalRate (0..1)
+ * @returns {Float32Array} heights
+ */
+export function erodeThermal(heights, size, params) {
+    if (heights.length !== size * size) {
+        throw new Error('erodeThermal: heights do not match the grid size');
+    }
+
+    const p = { ...DEFAULT_EROSION_PARAMS, ...params };
+    const talus = Math.tan(Math.min(Math.max(p.talusAngle, 0), 89.9) * Math.PI / 180);
+    const rate = Math.min(Math.max(p.thermalRate, 0), 1);
+    const changes = new Float32Array(size * size);
+    const excess = new Float32Array(NEIGHBOUR_X.length);
+
+    for (let iteration = 0; iteration < p.thermalIterations; iteration++) {
+        changes.fill(0);
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const i = y * size + x;
+
+                // height above the talus slope towards each lower neighbour
+                let maxExcess = 0;
+                let totalExcess = 0;
+                for (let n = 0; n < NEIGHBOUR_X.length; n++) {
+                    excess[n] = 0;
+                    const nx = x + NEIGHBOUR_X[n];
+                    const ny = y + NEIGHBOUR_Y[n];
+                    if (nx < 0 || nx >= size || ny < 0 || ny >= size) {
+                        continue;
+                    }
+                    const e = heights[i] - heights[ny * size + nx] - talus * NEIGHBOUR_DISTANCE[n];
+                    if (e > 0) {
+                        excess[n] = e;
+                        maxExcess = Math.max(maxExcess, e);
+                        totalExcess += e;
+                    }
+                }
+                if (totalExcess === 0) {
+                    continue;
+                }
+
+                // move half the largest excess so the two cells at most level out,
+                // shared between the neighbours in proportion to their excess
+                const moved = rate * maxExcess * 0.5;
+                changes[i] -= moved;
+                for (let n = 0; n < NEIGHBOUR_X.length; n++) {
+                    if (excess[n] > 0) {
+                        changes[(y + NEIGHBOUR_Y[n]) * size + x + NEIGHBOUR_X[n]] += moved * excess[n] / totalExcess;
+                    }
+                }
+            }
+        }
+
+        for (let i = 0; i < heights.length; i++) {
+            heights[i] += changes[i];
+        }
+    }
+
+    return heights;
+}
+
+// Cell offsets within the erosion radius, weighted by distance and normalized
+function _createBrush(radius) {
+    const offsetsX = [];
+    const offsetsY = [];
+    const weights = [];
+    const r = Math.max(Math.ceil(radius), 1);
+
+    let total = 0;
+    for (let y = -r; y <= r; y++) {
+        for (let x = -r; x <= r; x++) {
+            const weight = Math.max(radius - Math.hypot(x, y), 0);
+            if (weight > 0) {
+                offsetsX.push(x);
+                offsetsY.push(y);
+                weights.push(weight);
+                total += weight;
+            }
+        }
+    }
+    if (total === 0) {
+        return { offsetsX: [0], offsetsY: [0], weights: [1] };
+    }
+    return { offsetsX, offsetsY, weights: weights.map((w) => w / total) };
+}
+
+/**
+ * Erosion applied to an unbounded height function. The world is split into square tiles
+ * aligned to the erosion grid; each tile is eroded over its padded area with a seed derived
+ * from its index, and the height changes of neighbouring tiles are cross-faded across the
+ * padding. The result depends only on the world position, so chunks of any size and LOD
+ * agree along their seams.
+ */
+export class ErosionField extends TiledField {
+    _heightFunction = null;
+    _params         = DEFAULT_EROSION_PARAMS;
+
+    constructor(heightFunction, params) {
+        const p = { ...DEFAULT_EROSION_PARAMS, ...params };
+        if (!Number.isFinite(p.cellSize) || p.cellSize <= 0) {
+            throw new Error('ErosionField.constructor: params.cellSize must be a positive number.');
+        }
+        if (!Number.isInteger(p.tileCells) || p.tileCells < 2) {
+            throw new Error('ErosionField.constructor: params.tileCells must be an integer of at least 2.');
+        }
+        if (!Number.isInteger(p.padding) || p.padding < 0 || p.padding > p.tileCells / 2) {
+            throw new Error('ErosionField.constructor: params.padding must be an integer in [0, tileCells / 2].');
+        }
+
+        // cross-fade over half the padding either side of a tile border
+        super({
+            tileSize: p.tileCells * p.cellSize,
+            blend: (p.padding / 2) * p.cellSize,
+            maxTiles: MAX_CACHED_TILES,
+        });
+        this._heightFunction = heightFunction;
+        this._params = p;
+    }
+
+    /**
+     * Height change caused by erosion at a point in noise space, 0 where tiles are still loading.
+     * @param {number} x
+     * @param {number} y
+     * @returns {number}
+     */
+    getDelta(x, y) {
+        const { cellSize, tileCells, padding } = this._params;
+        return this._blendTiles(x, y, (tile, tx, ty) => sampleGrid(tile.delta, tile.size,
+            x / cellSize - (tx * tileCells - padding),
+            y / cellSize - (ty * tileCells - padding)), 0.0);
+    }
+
+    _buildTile(tx, ty) {
+        const { cellSize, tileCells, padding } = this._params;
+        const size = tileCells + 2 * padding + 1;
+        const originX = (tx * tileCells - padding) * cellSize;
+        const originY = (ty * tileCells - padding) * cellSize;
+
+        // erode in cell units so slopes do not depend on the cell size
+        const heights = new Float32Array(size * size);
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                heights[row * size + col] = this._heightFunction.get2D(
+                    originX + col * cellSize, originY + row * cellSize) / cellSize;
+            }
+        }
+
+        const eroded = this._erodeTile(heights.slice(), size, tileSeed(this._params.seed, tx, ty));
+        const delta = new Float32Array(size * size);
+        for (let i = 0; i < delta.length; i++) {
+            delta[i] = (eroded[i] - heights[i]) * cellSize;
+        }
+        return { size, delta };
+    }
+
+    // Droplets carve the drainage first, then weathering relaxes the slopes they leave too steep
+    _erodeTile(heights, size, seed) {
+        erodeHydraulic(heights, size, { ...this._params, seed });
+        return erodeThermal(heights, size, this._params);
+    }
+}
@@ -0,0 +1,285 @@
+// Decoding of greyscale heightmap images into normalized heights. PNG and the raw formats
+// are decoded here so 16-bit precision survives (canvas decoding truncates to 8 bits);
+// other formats such as JPEG fall back to the browser's image decoder.
+// A decoded height image is { width, height, data } with data a row-major Float32Array,
+// row 0 at the top of the image, 0 for black and 1 for white.
+
+export const HEIGHT_IMAGE_WRAP_MODES = ['clamp', 'repeat'];
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Channels per pixel by PNG colour type: grey, RGB, palette, grey + alpha, RGBA
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Decode a heightmap file. The format is taken from the file name extension, or from the
+ * PNG signature when the name is unknown.
+ * @param {ArrayBuffer} buffer - file contents
+ * @param {string} name - file name or URL
+ * @returns {Promise<{width: number, height: number, data: Float32Array}>}
+ */
+export async function decodeHeightImage(buffer, name = '') {
+    const extension = name.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    if (extension === 'r16') {
+        return decodeRaw16(buffer);
+    }
+    if (extension === 'r32') {
+        return decodeRaw32(buffer);
+    }
+    if (_isPNG(buffer)) {
+        return decodePNG(buffer);
+    }
+    return _decodeWithBrowser(buffer);
+}
+
+/**
+ * Decode a PNG with 8 or 16 bits per channel. Colour images use their first channel.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<{width: number, height: number, data: Float32Array}>}
+ */
+export async function decodePNG(buffer) {
+    if (!_isPNG(buffer)) {
+        throw new Error('decodePNG: not a PNG file');
+    }
+
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    let header = null;
+    let palette = null;
+    const compressed = [];
+
+    for (let offset = PNG_SIGNATURE.length; offset + 8 <= bytes.length;) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: view.getUint32(data.byteOffset),
+                height: view.getUint32(data.byteOffset + 4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12],
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'IDAT') {
+            compressed.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header || compressed.length === 0) {
+        throw new Error('decodePNG: missing IHDR or IDAT chunk');
+    }
+    const channels = PNG_CHANNELS[header.colorType];
+    if (channels === undefined) {
+        throw new Error(`decodePNG: unsupported colour type ${header.colorType}`);
+    }
+    if (header.bitDepth !== 8 && header.bitDepth !== 16) {
+        throw new Error(`decodePNG: unsupported bit depth ${header.bitDepth}, expected 8 or 16`);
+    }
+    if (header.interlace !== 0) {
+        throw new Error('decodePNG: interlaced images are not supported');
+    }
+    if (header.colorType === 3 && palette === null) {
+        throw new Error('decodePNG: palette image without PLTE chunk');
+    }
+
+    const bytesPerPixel = channels * header.bitDepth / 8;
+    const stride = header.width * bytesPerPixel;
+    const raw = await _inflate(compressed);
+    if (raw.length < (stride + 1) * header.height) {
+        throw new Error('decodePNG: image data is truncated');
+    }
+    const pixels = _unfilter(raw, stride, header.height, bytesPerPixel);
+
+    const data = new Float32Array(header.width * header.height);
+    for (let i = 0; i < data.length; i++) {
+        const p = i * bytesPerPixel;
+        if (header.bitDepth === 16) {
+            data[i] = ((pixels[p] << 8) | pixels[p + 1]) / 65535;
+        } else if (header.colorType === 3) {
+            data[i] = palette[pixels[p] * 3] / 255;
+        } else {
+            data[i] = pixels[p] / 255;
+        }
+    }
+    return { width: header.width, height: header.height, data };
+}
+
+/**
+ * Decode a square raw little-endian 16-bit heightmap (.r16).
+ * @param {ArrayBuffer} buffer
+ * @returns {{width: number, height: number, data: Float32Array}}
+ */
+export function decodeRaw16(buffer) {
+    const size = _rawSize(buffer, 2, 'decodeRaw16');
+    const view = new DataView(buffer);
+    const data = new Float32Array(size * size);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = view.getUint16(i * 2, true) / 65535;
+    }
+    return { width: size, height: size, data };
+}
+
+/**
+ * Decode a square raw little-endian float heightmap (.r32). Values are expected in [0, 1]
+ * and are used as they are.
+ * @param {ArrayBuffer} buffer
+ * @returns {{width: number, height: number, data: Float32Array}}
+ */
+export function decodeRaw32(buffer) {
+    const size = _rawSize(buffer, 4, 'decodeRaw32');
+    const view = new DataView(buffer);
+    const data = new Float32Array(size * size);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = view.getFloat32(i * 4, true);
+    }
+    return { width: size, height: size, data };
+}
+
+/**
+ * Height image mapped onto noise space: centred on the origin, `extent` world units wide,
+ * with the top row of the image towards +y, and black to white mapped to minHeight..maxHeight.
+ */
+export class HeightImageSampler {
+    _image      = null;
+    _extentX    = 1;
+    _extentY    = 1;
+    _minHeight  = 0;
+    _maxHeight  = 1;
+    _repeat     = false;
+
+    /**
+     * @param {{width: number, height: number, data: Float32Array}} image
+     * @param {object} params - { extent, minHeight, maxHeight, wrap }
+     */
+    constructor(image, params) {
+        if (!image || image.data.length !== image.width * image.height) {
+            throw new Error('HeightImageSampler.constructor: image data does not match its size');
+        }
+        const wrap = params.wrap ?? 'clamp';
+        if (!HEIGHT_IMAGE_WRAP_MODES.includes(wrap)) {
+            throw new Error(`HeightImageSampler.constructor: unknown wrap mode '${wrap}'`);
+        }
+
+        this._image = image;
+        this._extentX = params.extent ?? 1024;
+        // keep the aspect ratio of the image
+        this._extentY = this._extentX * image.height / image.width;
+        this._minHeight = params.minHeight ?? 0;
+        this._maxHeight = params.maxHeight ?? 64;
+        this._repeat = wrap === 'repeat';
+    }
+
+    get2D(x, y) {
+        const { width, height, data } = this._image;
+
+        // pixel coordinates, pixel centres at integers
+        const px = (x / this._extentX + 0.5) * width - 0.5;
+        const py = (0.5 - y / this._extentY) * height - 0.5;
+        const x0 = Math.floor(px);
+        const y0 = Math.floor(py);
+        const fx = px - x0;
+        const fy = py - y0;
+
+        const col0 = this._index(x0, width);
+        const col1 = this._index(x0 + 1, width);
+        const row0 = this._index(y0, height) * width;
+        const row1 = this._index(y0 + 1, height) * width;
+        const top = data[row0 + col0] + (data[row0 + col1] - data[row0 + col0]) * fx;
+        const bottom = data[row1 + col0] + (data[row1 + col1] - data[row1 + col0]) * fx;
+        const value = top + (bottom - top) * fy;
+
+        return this._minHeight + value * (this._maxHeight - this._minHeight);
+    }
+
+    _index(i, size) {
+        if (this._repeat) {
+            return ((i % size) + size) % size;
+        }
+        return Math.min(Math.max(i, 0), size - 1);
+    }
+}
+
+function _isPNG(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, PNG_SIGNATURE.length));
+    return PNG_SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+function _rawSize(buffer, bytesPerSample, caller) {
+    const size = Math.round(Math.sqrt(buffer.byteLength / bytesPerSample));
+    if (size < 2 || size * size * bytesPerSample !== buffer.byteLength) {
+        throw new Error(`${caller}: raw heightmaps must be square`);
+    }
+    return size;
+}
+
+async function _inflate(chunks) {
+    const stream = new Blob(chunks).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Reverse the per-scanline PNG filters, see https://www.w3.org/TR/png/#9Filters
+function _unfilter(raw, stride, rows, bytesPerPixel) {
+    const pixels = new Uint8Array(stride * rows);
+    for (let row = 0; row < rows; row++) {
+        const filter = raw[row * (stride + 1)];
+        const source = row * (stride + 1) + 1;
+        const target = row * stride;
+        const previous = target - stride;
+
+        for (let i = 0; i < stride; i++) {
+            const left = i >= bytesPerPixel ? pixels[target + i - bytesPerPixel] : 0;
+            const up = row > 0 ? pixels[previous + i] : 0;
+            const upLeft = row > 0 && i >= bytesPerPixel ? pixels[previous + i - bytesPerPixel] : 0;
+
+            let predictor = 0;
+            switch (filter) {
+                case 0: predictor = 0; break;
+                case 1: predictor = left; break;
+                case 2: predictor = up; break;
+                case 3: predictor = (left + up) >> 1; break;
+                case 4: predictor = _paeth(left, up, upLeft); break;
+                default:
+                    throw new Error(`decodePNG: unknown filter type ${filter}`);
+            }
+            pixels[target + i] = (raw[source + i] + predictor) & 0xFF;
+        }
+    }
+    return pixels;
+}
+
+function _paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) {
+        return a;
+    }
+    return pb <= pc ? b : c;
+}
+
+// 8-bit fallback for formats without a decoder here, e.g. JPEG; browser only
+async function _decodeWithBrowser(buffer) {
+    if (typeof createImageBitmap !== 'function' || typeof OffscreenCanvas === 'undefined') {
+        throw new Error('decodeHeightImage: this image format needs a browser image decoder');
+    }
+
+    const bitmap = await createImageBitmap(new Blob([buffer]));
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const pixels = context.getImageData(0, 0, canvas.width, canvas.height).data;
+    const data = new Float32Array(canvas.width * canvas.height);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = pixels[i * 4] / 255;
+    }
+    return { width: canvas.width, height: canvas.height, data };
+}
@@ -0,0 +1,179 @@
+import { buildNoiseGraph } from './noise-graph.js';
+import { BiomeMap, generateBiomeData } from './biome.js';
+import { sampleTerrainGrid } from './terrain-export.js';
+
+// Pure heightmap generation shared by the main thread and the heightmap workers.
+// Nothing in here may touch the DOM or three.js so it also runs under Node's worker_threads.
+
+/**
+ * Heightmap texture resolution for a chunk. PlaneGeometry with N segments has (N+1)
+ * vertices per axis, plus a 1-texel border on each side so edge normals can sample across chunk seams.
+ * @param {number} chunkSegments
+ * @returns {number}
+ */
+export function heightMapResolution(chunkSegments) {
+    return chunkSegments + 3;
+}
+
+/**
+ * Sample a height function over a chunk, including the 1-texel border.
+ * @param {{get2D: Function}} heightFunction
+ * @param {number} centerX - chunk center in world units
+ * @param {number} centerY - chunk center in world units
+ * @param {number} chunkSize - chunk edge length in world units
+ * @param {number} chunkSegments - chunk geometry segments per axis
+ * @returns {Float32Array} row-major heights, data[row * resolution + col]
+ */
+export function generateHeightData(heightFunction, centerX, centerY, chunkSize, chunkSegments) {
+    if (!Number.isFinite(centerX) || !Number.isFinite(centerY)) {
+        throw new Error('generateHeightData: invalid chunk center');
+    }
+    if (!Number.isFinite(chunkSize) || chunkSize <= 0 || !Number.isFinite(chunkSegments) || chunkSegments < 1) {
+        throw new Error('generateHeightData: invalid chunk size or segments');
+    }
+
+    const resolution = heightMapResolution(chunkSegments);
+    const sampleStep = chunkSize / chunkSegments;
+    const data = new Float32Array(resolution * resolution);
+
+    // DataTexture data is row-major: data[row * width + col] = data[y * width + x]
+    for (let row = 0; row < resolution; row++) {
+        // Row 0 starts one sample outside the chunk, then covers all vertex samples, then one sample outside.
+        const worldY = centerY - (chunkSize / 2) - sampleStep + (row * sampleStep);
+        for (let col = 0; col < resolution; col++) {
+            const worldX = centerX - (chunkSize / 2) - sampleStep + (col * sampleStep);
+            data[(row * resolution) + col] = heightFunction.get2D(worldX, worldY);
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Height of chunk height data at a noise space position, bilinearly filtered exactly like
+ * HeightMap._bilinearSample in the chunk shader: texel centers sit on the sample grid of
+ * generateHeightData and lookups are clamped to the border texels.
+ * @param {Float32Array} heights - see generateHeightData
+ * @param {number} centerX - chunk center in world units
+ * @param {number} centerY - chunk center in world units
+ * @param {number} chunkSize - chunk edge length in world units
+ * @param {number} chunkSegments - chunk geometry segments per axis
+ * @param {number} x - noise space x
+ * @param {number} y - noise space y
+ * @returns {number}
+ */
+export function sampleHeightData(heights, centerX, centerY, chunkSize, chunkSegments, x, y) {
+    const resolution = heightMapResolution(chunkSegments);
+    const sampleStep = chunkSize / chunkSegments;
+    const maxIndex = resolution - 1;
+
+    // texel coordinates, texel 0 is one sample outside the chunk
+    const coordX = (x - (centerX - (chunkSize / 2) - sampleStep)) / sampleStep;
+    const coordY = (y - (centerY - (chunkSize / 2) - sampleStep)) / sampleStep;
+    const fx = coordX - Math.floor(coordX);
+    const fy = coordY - Math.floor(coordY);
+    const col = Math.min(Math.max(Math.floor(coordX), 0), maxIndex);
+    const row = Math.min(Math.max(Math.floor(coordY), 0), maxIndex);
+    const nextCol = Math.min(col + 1, maxIndex);
+    const nextRow = Math.min(row + 1, maxIndex);
+
+    const a = heights[(row * resolution) + col];
+    const b = heights[(row * resolution) + nextCol];
+    const c = heights[(nextRow * resolution) + col];
+    const d = heights[(nextRow * resolution) + nextCol];
+    const top = a + (b - a) * fx;
+    const bottom = c + (d - c) * fx;
+    return top + (bottom - top) * fy;
+}
+
+// Workers see the same graph for every chunk until the noise settings change,
+// so keep the most recently built graph instead of rebuilding it per request.
+let _cachedGraphKey = null;
+let _cachedGraph    = null;
+let _cachedBiomeKey = null;
+let _cachedBiomeMap = null;
+
+// Erosion and hydrology nodes whose tiles the main thread loads from the workers, by
+// graph key; each keeps its own tile cache
+const MAX_TILE_NODES = 8;
+const _tileNodes = new Map();
+
+// Decoded height images by id, referenced from 'image' graph nodes
+let _heightImages = {};
+
+/**
+ * Replace the height images available to 'image' graph nodes. Workers receive them once
+ * as a { heightImages } message instead of with every request.
+ * @param {Object<string, {width: number, height: number, data: Float32Array}>} heightImages
+ */
+export function setHeightImages(heightImages) {
+    _heightImages = heightImages ?? {};
+    _cachedGraphKey = null;
+    _tileNodes.clear();
+}
+
+/**
+ * Handle a heightmap request posted to a worker.
+ * @param {object} request - { graph, noiseParams, biomeParams, centerX, centerY, chunkSize, chunkSegments },
+ *  or { heights, biomeParams, ... } to only classify the biomes of heights generated elsewhere
+ * @returns {{heights: Float32Array, biomes: Uint8Array}} response; both buffers should be transferred back
+ */
+export function handleHeightMapRequest(request) {
+    const heights = request.heights ?? generateHeightData(_heightGraph(request),
+        request.centerX, request.centerY,
+        request.chunkSize, request.chunkSegments);
+
+    const biomeKey = JSON.stringify(request.biomeParams);
+    if (biomeKey !== _cachedBiomeKey) {
+        _cachedBiomeMap = new BiomeMap(request.biomeParams);
+        _cachedBiomeKey = biomeKey;
+    }
+    const biomes = generateBiomeData(_cachedBiomeMap, heights,
+        request.centerX, request.centerY,
+        request.chunkSize, request.chunkSegments);
+    return { heights, biomes };
+}
+
+/**
+ * Handle a request for one tile of an 'erosion' or 'hydrology' node, see TiledField.setTileLoader.
+ * @param {object} request - { tile: { node, tx, ty }, noiseParams } where node is the node description
+ * @returns {object} the tile; it stays cached here, so its buffers must not be transferred
+ */
+export function handleTileRequest(request) {
+    const { node: desc, tx, ty } = request.tile;
+    const key = JSON.stringify([desc, request.noiseParams]);
+    let node = _tileNodes.get(key);
+    if (!node) {
+        if (_tileNodes.size >= MAX_TILE_NODES) {
+            _tileNodes.delete(_tileNodes.keys().next().value);
+        }
+        node = buildNoiseGraph(desc, { noiseParams: request.noiseParams, heightImages: _heightImages });
+        _tileNodes.set(key, node);
+    }
+    if (typeof node.getTile !== 'function') {
+        throw new Error(`handleTileRequest: '${desc.type}' nodes have no tiles`);
+    }
+    return node.getTile(tx, ty);
+}
+
+/**
+ * Handle a request to sample the height graph over a world rectangle, see sampleTerrainGrid.
+ * @param {object} request - { grid: { bounds, width, height }, graph, noiseParams }
+ * @returns {object} grid; its heights buffer should be transferred back
+ */
+export function handleGridRequest(request) {
+    const { bounds, width, height } = request.grid;
+    return sampleTerrainGrid(_heightGraph(request), bounds, width, height);
+}
+
+function _heightGraph(request) {
+    const graphKey = JSON.stringify([request.graph, request.noiseParams]);
+    if (graphKey !== _cachedGraphKey) {
+        _cachedGraph    = buildNoiseGraph(request.graph, {
+            noiseParams: request.noiseParams,
+            heightImages: _heightImages,
+        });
+        _cachedGraphKey = graphKey;
+    }
+    return _cachedGraph;
+}
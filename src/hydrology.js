@@ -0,0 +1,555 @@
+import { TiledField, sampleGrid } from './tiled-field.js';
+
+// Drainage network (rivers and lakes) computed over a coarse grid of an unbounded height
+// function. Pure module so it runs in the heightmap workers.
+
+export const DEFAULT_HYDROLOGY_PARAMS = {
+    // world units between drainage grid samples
+    cellSize: 16.0,
+    // region core edge length and padding, in cells
+    regionCells: 128,
+    padding: 64,
+    // upstream cells draining through a cell before it carries a river
+    riverThreshold: 400,
+    riverWidth: 6.0,
+    riverDepth: 2.0,
+    // cap on how much wider and deeper large rivers get
+    maxRiverScale: 4.0,
+    // basins filled deeper than this become lakes
+    minLakeDepth: 1.5,
+    lakeDepth: 1.0,
+};
+
+// Regions kept per field; each holds a few (regionCells + 2 * padding + 1)^2 grids
+const MAX_CACHED_REGIONS = 16;
+// Height added per cell while filling depressions, so filled flats still drain
+const FILL_EPSILON = 1e-3;
+// River segments are bucketed by this many cells for lookups
+const BUCKET_CELLS = 4;
+
+const NEIGHBOUR_X = [-1, 0, 1, -1, 1, -1, 0, 1];
+const NEIGHBOUR_Y = [-1, -1, -1, 0, 0, 1, 1, 1];
+const NEIGHBOUR_DISTANCE = NEIGHBOUR_X.map((x, i) => Math.hypot(x, NEIGHBOUR_Y[i]));
+
+/**
+ * Fill every depression up to its spill level (priority flood from the grid border).
+ * Filled cells rise by a small epsilon per step away from the spill point so flow never stalls.
+ * @param {Float32Array} heights - row-major, size * size
+ * @param {number} size
+ * @returns {Float32Array} filled heights
+ */
+export function fillDepressions(heights, size) {
+    const filled = Float32Array.from(heights);
+    const closed = new Uint8Array(size * size);
+    const heap = new _IndexHeap(filled);
+
+    for (let i = 0; i < size; i++) {
+        for (const index of [i, (size - 1) * size + i, i * size, i * size + size - 1]) {
+            if (!closed[index]) {
+                closed[index] = 1;
+                heap.push(index);
+            }
+        }
+    }
+
+    while (heap.length > 0) {
+        const cell = heap.pop();
+        const x = cell % size;
+        const y = (cell - x) / size;
+        for (let n = 0; n < NEIGHBOUR_X.length; n++) {
+            const nx = x + NEIGHBOUR_X[n];
+            const ny = y + NEIGHBOUR_Y[n];
+            if (nx < 0 || nx >= size || ny < 0 || ny >= size) {
+                continue;
+            }
+            const neighbour = ny * size + nx;
+            if (closed[neighbour]) {
+                continue;
+            }
+            closed[neighbour] = 1;
+            filled[neighbour] = Math.max(heights[neighbour], filled[cell] + FILL_EPSILON);
+            heap.push(neighbour);
+        }
+    }
+
+    return filled;
+}
+
+/**
+ * D8 flow: each cell drains to its steepest downhill neighbour.
+ * @param {Float32Array} heights - depression free heights, see fillDepressions
+ * @param {number} size
+ * @returns {Int32Array} index of the downstream cell, -1 where water leaves the grid
+ */
+export function flowDirections(heights, size) {
+    const directions = new Int32Array(size * size).fill(-1);
+    for (let y = 1; y < size - 1; y++) {
+        for (let x = 1; x < size - 1; x++) {
+            const i = y * size + x;
+            let steepest = 0;
+            for (let n = 0; n < NEIGHBOUR_X.length; n++) {
+                const neighbour = (y + NEIGHBOUR_Y[n]) * size + x + NEIGHBOUR_X[n];
+                const slope = (heights[i] - heights[neighbour]) / NEIGHBOUR_DISTANCE[n];
+                if (slope > steepest) {
+                    steepest = slope;
+                    directions[i] = neighbour;
+                }
+            }
+        }
+    }
+    return directions;
+}
+
+/**
+ * Number of cells draining through each cell, itself included.
+ * @param {Float32Array} heights - depression free heights
+ * @param {Int32Array} directions - see flowDirections
+ * @returns {Float32Array}
+ */
+export function flowAccumulation(heights, directions) {
+    const order = Array.from(heights.keys()).sort((a, b) => heights[b] - heights[a]);
+    const accumulation = new Float32Array(heights.length).fill(1);
+    for (const i of order) {
+        if (directions[i] >= 0) {
+            accumulation[directions[i]] += accumulation[i];
+        }
+    }
+    return accumulation;
+}
+
+/**
+ * Rivers and lakes carved into an unbounded height function. The drainage network is solved
+ * per world-aligned region over a padded coarse grid, and the carving of neighbouring regions
+ * is cross-faded across the padding, so the result only depends on the world position and
+ * chunks of any size and LOD agree along their seams.
+ * Rivers only see upstream area within a region's padding, so very long rivers may narrow
+ * where they cross region borders.
+ */
+export class HydrologyField extends TiledField {
+    _heightFunction = null;
+    _params         = DEFAULT_HYDROLOGY_PARAMS;
+
+    constructor(heightFunction, params) {
+        const p = { ...DEFAULT_HYDROLOGY_PARAMS, ...params };
+        if (!Number.isFinite(p.cellSize) || p.cellSize <= 0) {
+            throw new Error('HydrologyField.constructor: params.cellSize must be a positive number.');
+        }
+        if (!Number.isInteger(p.regionCells) || p.regionCells < 2) {
+            throw new Error('HydrologyField.constructor: params.regionCells must be an integer of at least 2.');
+        }
+        if (!Number.isInteger(p.padding) || p.padding < 0 || p.padding > p.regionCells / 2) {
+            throw new Error('HydrologyField.constructor: params.padding must be an integer in [0, regionCells / 2].');
+        }
+
+        super({
+            tileSize: p.regionCells * p.cellSize,
+            blend: (p.padding / 2) * p.cellSize,
+            maxTiles: MAX_CACHED_REGIONS,
+        });
+        this._heightFunction = heightFunction;
+        this._params = p;
+    }
+
+    /**
+     * Height after carving river beds and lake basins into it, uncarved where regions are still loading.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} height - uncarved height at (x, y)
+     * @returns {number}
+     */
+    carve(x, y, height) {
+        return this._blendTiles(x, y, (region) => this._carveRegion(region, x, y, height), height);
+    }
+
+    /**
+     * River polylines and lake outlines within a rectangle in noise space, for water rendering.
+     * Each river or lake is reported by the region whose core contains it; regions still loading are left out.
+     * @returns {{rivers: {points: {x: number, y: number, level: number, width: number}[]}[],
+     *  lakes: {level: number, outline: {x: number, y: number}[], holes: {x: number, y: number}[][]}[]}}
+     */
+    getWaterFeatures(minX, minY, maxX, maxY) {
+        const rivers = [];
+        const lakes = [];
+        const overlaps = (box) => box.minX <= maxX && box.maxX >= minX && box.minY <= maxY && box.maxY >= minY;
+
+        for (const { tile: region } of this._tilesInBounds(minX, minY, maxX, maxY)) {
+            const inCore = (x, y) => x >= region.coreMinX && x < region.coreMaxX &&
+                y >= region.coreMinY && y < region.coreMaxY;
+
+            for (const polyline of region.rivers) {
+                // split the polyline into runs of segments owned by this region
+                let run = null;
+                for (let i = 0; i < polyline.length - 1; i++) {
+                    const a = polyline[i];
+                    const b = polyline[i + 1];
+                    const isOwned = inCore((a.x + b.x) / 2, (a.y + b.y) / 2) && overlaps({
+                        minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x),
+                        minY: Math.min(a.y, b.y), maxY: Math.max(a.y, b.y),
+                    });
+                    if (!isOwned) {
+                        run = null;
+                        continue;
+                    }
+                    if (run === null) {
+                        run = { points: [{ ...a }] };
+                        rivers.push(run);
+                    }
+                    run.points.push({ ...b });
+                }
+            }
+
+            for (const lake of region.lakes) {
+                if (inCore(lake.anchorX, lake.anchorY) && overlaps(lake.bounds)) {
+                    lakes.push({ level: lake.level, outline: lake.outline, holes: lake.holes });
+                }
+            }
+        }
+
+        return { rivers, lakes };
+    }
+
+    _carveRegion(region, x, y, height) {
+        const { cellSize } = this._params;
+        const gx = x / cellSize - region.originX;
+        const gy = y / cellSize - region.originY;
+
+        const carved = height + sampleGrid(region.lakeDelta, region.size, gx, gy);
+
+        const bx = Math.floor(gx / BUCKET_CELLS);
+        const by = Math.floor(gy / BUCKET_CELLS);
+        if (bx < 0 || bx >= region.bucketsPerAxis || by < 0 || by >= region.bucketsPerAxis) {
+            return carved;
+        }
+
+        let riverCarved = carved;
+        for (const segment of region.buckets[by * region.bucketsPerAxis + bx]) {
+            // distance to the segment and the water level at the closest point
+            const dx = segment.x1 - segment.x0;
+            const dy = segment.y1 - segment.y0;
+            const lengthSq = dx * dx + dy * dy;
+            const t = lengthSq > 0 ?
+                Math.min(Math.max(((x - segment.x0) * dx + (y - segment.y0) * dy) / lengthSq, 0), 1) : 0;
+            const distance = Math.hypot(x - (segment.x0 + dx * t), y - (segment.y0 + dy * t));
+
+            // banks fade over another half width outside the channel
+            const weight = 1 - _smoothstep((distance - segment.halfWidth) / segment.halfWidth);
+            if (weight <= 0) {
+                continue;
+            }
+            const level = segment.level0 + (segment.level1 - segment.level0) * t;
+            const channel = Math.max(1 - (distance / segment.halfWidth) ** 2, 0);
+            const bed = level - segment.depth * channel;
+            riverCarved = Math.min(riverCarved, carved + (Math.min(carved, bed) - carved) * weight);
+        }
+        return riverCarved;
+    }
+
+    _buildTile(tx, ty) {
+        const p = this._params;
+        const size = p.regionCells + 2 * p.padding + 1;
+        // grid origin in cells
+        const originX = tx * p.regionCells - p.padding;
+        const originY = ty * p.regionCells - p.padding;
+        const toWorldX = (col) => (originX + col) * p.cellSize;
+        const toWorldY = (row) => (originY + row) * p.cellSize;
+
+        const heights = new Float32Array(size * size);
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                heights[row * size + col] = this._heightFunction.get2D(toWorldX(col), toWorldY(row));
+            }
+        }
+
+        const filled = fillDepressions(heights, size);
+        const directions = flowDirections(filled, size);
+        const accumulation = flowAccumulation(filled, directions);
+
+        const { lakes, lakeDelta } = this._findLakes(heights, filled, size, toWorldX, toWorldY);
+        const rivers = this._traceRivers(filled, directions, accumulation, size, toWorldX, toWorldY);
+
+        // bucket river segments by the area their banks can reach
+        const bucketsPerAxis = Math.ceil(size / BUCKET_CELLS);
+        const buckets = Array.from({ length: bucketsPerAxis * bucketsPerAxis }, () => []);
+        for (const polyline of rivers) {
+            for (let i = 0; i < polyline.length - 1; i++) {
+                const a = polyline[i];
+                const b = polyline[i + 1];
+                const segment = {
+                    x0: a.x, y0: a.y, x1: b.x, y1: b.y,
+                    level0: a.level, level1: b.level,
+                    halfWidth: b.width / 2,
+                    depth: p.riverDepth * Math.sqrt(b.width / p.riverWidth),
+                };
+                const reach = segment.halfWidth * 2 / p.cellSize;
+                const bx0 = Math.max(Math.floor((Math.min(a.x, b.x) / p.cellSize - originX - reach) / BUCKET_CELLS), 0);
+                const bx1 = Math.min(Math.floor((Math.max(a.x, b.x) / p.cellSize - originX + reach) / BUCKET_CELLS), bucketsPerAxis - 1);
+                const by0 = Math.max(Math.floor((Math.min(a.y, b.y) / p.cellSize - originY - reach) / BUCKET_CELLS), 0);
+                const by1 = Math.min(Math.floor((Math.max(a.y, b.y) / p.cellSize - originY + reach) / BUCKET_CELLS), bucketsPerAxis - 1);
+                for (let by = by0; by <= by1; by++) {
+                    for (let bx = bx0; bx <= bx1; bx++) {
+                        buckets[by * bucketsPerAxis + bx].push(segment);
+                    }
+                }
+            }
+        }
+
+        return {
+            size, originX, originY,
+            coreMinX: tx * p.regionCells * p.cellSize,
+            coreMaxX: (tx + 1) * p.regionCells * p.cellSize,
+            coreMinY: ty * p.regionCells * p.cellSize,
+            coreMaxY: (ty + 1) * p.regionCells * p.cellSize,
+            lakeDelta, lakes, rivers, buckets, bucketsPerAxis,
+        };
+    }
+
+    // Follow the flow from every river source until the river leaves the grid or joins another
+    _traceRivers(filled, directions, accumulation, size, toWorldX, toWorldY) {
+        const p = this._params;
+        const isRiver = (i) => accumulation[i] >= p.riverThreshold;
+
+        const riverInflows = new Uint8Array(size * size);
+        for (let i = 0; i < directions.length; i++) {
+            if (isRiver(i) && directions[i] >= 0) {
+                riverInflows[directions[i]] = 1;
+            }
+        }
+
+        const point = (i) => {
+            const col = i % size;
+            const scale = Math.min(Math.sqrt(accumulation[i] / p.riverThreshold), p.maxRiverScale);
+            return {
+                x: toWorldX(col),
+                y: toWorldY((i - col) / size),
+                level: filled[i],
+                width: p.riverWidth * scale,
+            };
+        };
+
+        const rivers = [];
+        const visited = new Uint8Array(size * size);
+        for (let source = 0; source < directions.length; source++) {
+            if (!isRiver(source) || riverInflows[source]) {
+                continue;
+            }
+
+            const polyline = [];
+            let cell = source;
+            while (cell >= 0) {
+                polyline.push(point(cell));
+                // stop after the confluence point of a river that was already traced
+                if (visited[cell]) {
+                    break;
+                }
+                visited[cell] = 1;
+                cell = directions[cell];
+            }
+            if (polyline.length > 1) {
+                rivers.push(polyline);
+            }
+        }
+        return rivers;
+    }
+
+    // Lakes are filled basins deeper than minLakeDepth; their floors are lowered by lakeDepth
+    _findLakes(heights, filled, size, toWorldX, toWorldY) {
+        const p = this._params;
+        const lakeDelta = new Float32Array(size * size);
+        const component = new Int32Array(size * size).fill(-1);
+        const lakes = [];
+
+        for (let start = 0; start < heights.length; start++) {
+            if (component[start] !== -1 || filled[start] - heights[start] <= FILL_EPSILON * 2) {
+                continue;
+            }
+
+            // flood the basin of connected filled cells
+            const cells = [];
+            const stack = [start];
+            component[start] = lakes.length;
+            let maxDepth = 0;
+            let level = -Infinity;
+            while (stack.length > 0) {
+                const cell = stack.pop();
+                cells.push(cell);
+                maxDepth = Math.max(maxDepth, filled[cell] - heights[cell]);
+                level = Math.max(level, filled[cell]);
+
+                const x = cell % size;
+                const y = (cell - x) / size;
+                for (let n = 0; n < NEIGHBOUR_X.length; n++) {
+                    const nx = x + NEIGHBOUR_X[n];
+                    const ny = y + NEIGHBOUR_Y[n];
+                    if (nx < 0 || nx >= size || ny < 0 || ny >= size) {
+                        continue;
+                    }
+                    const neighbour = ny * size + nx;
+                    if (component[neighbour] === -1 && filled[neighbour] - heights[neighbour] > FILL_EPSILON * 2) {
+                        component[neighbour] = lakes.length;
+                        stack.push(neighbour);
+                    }
+                }
+            }
+
+            const isLake = maxDepth >= p.minLakeDepth;
+            lakes.push(isLake ? { cells, level } : null);
+            if (!isLake) {
+                continue;
+            }
+            for (const cell of cells) {
+                lakeDelta[cell] = -p.lakeDepth * _smoothstep((filled[cell] - heights[cell]) / p.minLakeDepth);
+            }
+        }
+
+        const outlines = [];
+        lakes.forEach((lake, index) => {
+            if (lake === null) {
+                return;
+            }
+            const loops = _traceOutline(lake.cells, size, (cell) => component[cell] === index)
+                .map((loop) => loop.map(([cx, cy]) => ({
+                    x: toWorldX(cx - 0.5),
+                    y: toWorldY(cy - 0.5),
+                })));
+
+            // the outer ring encloses the largest area, every other loop is an island
+            let outer = 0;
+            for (let i = 1; i < loops.length; i++) {
+                if (Math.abs(_area(loops[i])) > Math.abs(_area(loops[outer]))) {
+                    outer = i;
+                }
+            }
+            const outline = loops[outer];
+            const xs = outline.map((v) => v.x);
+            const ys = outline.map((v) => v.y);
+            const anchor = lake.cells[0] % size;
+            outlines.push({
+                level: lake.level,
+                outline,
+                holes: loops.filter((_, i) => i !== outer),
+                anchorX: toWorldX(anchor),
+                anchorY: toWorldY((lake.cells[0] - anchor) / size),
+                bounds: { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) },
+            });
+        });
+
+        return { lakes: outlines, lakeDelta };
+    }
+}
+
+// Closed loops of cell corners around a set of grid cells, each cell being the unit square
+// centred on its sample. Loops run counter-clockwise (interior on the left) in grid space.
+function _traceOutline(cells, size, isInside) {
+    const inside = (x, y) => x >= 0 && x < size && y >= 0 && y < size && isInside(y * size + x);
+    const cornerKey = (x, y) => y * (size + 1) + x;
+
+    // directed boundary edges keyed by their start corner
+    const edges = new Map();
+    const addEdge = (x0, y0, x1, y1) => {
+        const key = cornerKey(x0, y0);
+        if (!edges.has(key)) {
+            edges.set(key, []);
+        }
+        edges.get(key).push([x1, y1]);
+    };
+    for (const cell of cells) {
+        const x = cell % size;
+        const y = (cell - x) / size;
+        if (!inside(x, y - 1)) { addEdge(x, y, x + 1, y); }
+        if (!inside(x + 1, y)) { addEdge(x + 1, y, x + 1, y + 1); }
+        if (!inside(x, y + 1)) { addEdge(x + 1, y + 1, x, y + 1); }
+        if (!inside(x - 1, y)) { addEdge(x, y + 1, x, y); }
+    }
+
+    const loops = [];
+    for (const [startKey, ends] of edges) {
+        while (ends.length > 0) {
+            const loop = [[startKey % (size + 1), Math.floor(startKey / (size + 1))]];
+            let next = ends.pop();
+            while (cornerKey(next[0], next[1]) !== startKey) {
+                loop.push(next);
+                next = edges.get(cornerKey(next[0], next[1])).pop();
+            }
+            loops.push(_removeCollinear(loop));
+        }
+    }
+    return loops;
+}
+
+function _removeCollinear(loop) {
+    return loop.filter((v, i) => {
+        const prev = loop[(i + loop.length - 1) % loop.length];
+        const next = loop[(i + 1) % loop.length];
+        return (v[0] - prev[0]) * (next[1] - v[1]) - (v[1] - prev[1]) * (next[0] - v[0]) !== 0;
+    });
+}
+
+function _area(loop) {
+    let area = 0;
+    for (let i = 0; i < loop.length; i++) {
+        const a = loop[i];
+        const b = loop[(i + 1) % loop.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+}
+
+function _smoothstep(t) {
+    const x = Math.min(Math.max(t, 0.0), 1.0);
+    return x * x * (3.0 - 2.0 * x);
+}
+
+// Binary min-heap of grid indices ordered by a priority array
+class _IndexHeap {
+    _items      = [];
+    _priority   = null;
+
+    constructor(priority) {
+        this._priority = priority;
+    }
+
+    get length() {
+        return this._items.length;
+    }
+
+    push(index) {
+        const items = this._items;
+        items.push(index);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this._priority[items[parent]] <= this._priority[items[i]]) {
+                break;
+            }
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this._items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this._priority[items[left]] < this._priority[items[smallest]]) {
+                    smallest = left;
+                }
+                if (right < items.length && this._priority[items[right]] < this._priority[items[smallest]]) {
+                    smallest = right;
+                }
+                if (smallest === i) {
+                    break;
+                }
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
@@ -0,0 +1,472 @@
+import { NoiseGenerator, SimplexGenerator, PerlinGenerator } from './noise.js';
+import { BiomeMap, BIOMES } from './biome.js';
+import { ErosionField } from './erosion.js';
+import { HydrologyField } from './hydrology.js';
+import { HeightImageSampler } from './height-image.js';
+
+// Every node implements get2D(x, y) and get3D(x, y, z), the same interface as
+// NoiseGenerator, so a graph can be sampled anywhere a generator is expected.
+
+class ConstantNode {
+    constructor(desc) {
+        this._value = desc.value ?? 0.0;
+    }
+
+    get2D(_x, _y) {
+        return this._value;
+    }
+
+    get3D(_x, _y, _z) {
+        return this._value;
+    }
+}
+
+// Single octave of raw gradient noise in [-amplitude, amplitude]
+class GradientNoiseNode {
+    constructor(desc, context, Generator) {
+        this._generator = new Generator(desc.seed ?? context.noiseParams.seed);
+        this._scale     = desc.scale ?? context.noiseParams.scale;
+        this._amplitude = desc.amplitude ?? 1.0;
+    }
+
+    get2D(x, y) {
+        return this._generator.get2D(x / this._scale, y / this._scale) * this._amplitude;
+    }
+
+    get3D(x, y, z) {
+        return this._generator.get3D(x / this._scale, y / this._scale, z / this._scale) * this._amplitude;
+    }
+}
+
+// Wraps a full NoiseGenerator. Params left out of the description fall back to
+// the "Noise" GUI params, so the default graph reproduces the single generator exactly.
+class NoiseGeneratorNode {
+    constructor(desc, context, fractalType = undefined) {
+        const params = { ...context.noiseParams, ...desc.params };
+        if (fractalType !== undefined) {
+            params.fractalType = fractalType;
+        }
+        this._generator = new NoiseGenerator(params);
+    }
+
+    get2D(x, y) {
+        return this._generator.get2D(x, y);
+    }
+
+    get3D(x, y, z) {
+        return this._generator.get3D(x, y, z);
+    }
+}
+
+class AddNode {
+    constructor(desc, context) {
+        this._inputs = _buildInputs(desc, context);
+    }
+
+    get2D(x, y) {
+        let total = 0;
+        for (const input of this._inputs) {
+            total += input.get2D(x, y);
+        }
+        return total;
+    }
+
+    get3D(x, y, z) {
+        let total = 0;
+        for (const input of this._inputs) {
+            total += input.get3D(x, y, z);
+        }
+        return total;
+    }
+}
+
+class MultiplyNode {
+    constructor(desc, context) {
+        this._inputs = _buildInputs(desc, context);
+    }
+
+    get2D(x, y) {
+        let total = 1;
+        for (const input of this._inputs) {
+            total *= input.get2D(x, y);
+        }
+        return total;
+    }
+
+    get3D(x, y, z) {
+        let total = 1;
+        for (const input of this._inputs) {
+            total *= input.get3D(x, y, z);
+        }
+        return total;
+    }
+}
+
+// Blend from a to b using a mask clamped to [0, 1]
+class LerpNode {
+    constructor(desc, context) {
+        this._a    = _buildInput(desc, 'a', context);
+        this._b    = _buildInput(desc, 'b', context);
+        this._mask = _buildInput(desc, 'mask', context);
+    }
+
+    _mix(a, b, mask) {
+        const t = _clamp(mask, 0.0, 1.0);
+        return a + (b - a) * t;
+    }
+
+    get2D(x, y) {
+        return this._mix(this._a.get2D(x, y), this._b.get2D(x, y), this._mask.get2D(x, y));
+    }
+
+    get3D(x, y, z) {
+        return this._mix(this._a.get3D(x, y, z), this._b.get3D(x, y, z), this._mask.get3D(x, y, z));
+    }
+}
+
+class ClampNode {
+    constructor(desc, context) {
+        this._input = _buildInput(desc, 'input', context);
+        this._min   = desc.min ?? -Infinity;
+        this._max   = desc.max ?? Infinity;
+    }
+
+    get2D(x, y) {
+        return _clamp(this._input.get2D(x, y), this._min, this._max);
+    }
+
+    get3D(x, y, z) {
+        return _clamp(this._input.get3D(x, y, z), this._min, this._max);
+    }
+}
+
+// Piecewise linear remap through sorted [input, output] control points
+class CurveNode {
+    constructor(desc, context) {
+        if (!Array.isArray(desc.points) || desc.points.length < 2) {
+            throw new Error('CurveNode: points must contain at least two [input, output] pairs');
+        }
+        this._input  = _buildInput(desc, 'input', context);
+        this._points = [...desc.points].sort((p0, p1) => p0[0] - p1[0]);
+    }
+
+    _remap(value) {
+        const points = this._points;
+        if (value <= points[0][0]) {
+            return points[0][1];
+        }
+        for (let i = 1; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            if (value <= x1) {
+                const [x0, y0] = points[i - 1];
+                const t = (x1 > x0) ? (value - x0) / (x1 - x0) : 1.0;
+                return y0 + (y1 - y0) * t;
+            }
+        }
+        return points[points.length - 1][1];
+    }
+
+    get2D(x, y) {
+        return this._remap(this._input.get2D(x, y));
+    }
+
+    get3D(x, y, z) {
+        return this._remap(this._input.get3D(x, y, z));
+    }
+}
+
+// Quantize into flat steps; smoothness in [0, 1] rounds the step edges
+class TerraceNode {
+    constructor(desc, context) {
+        if (!Number.isFinite(desc.step) || desc.step <= 0) {
+            throw new Error('TerraceNode: step must be a positive number');
+        }
+        this._input      = _buildInput(desc, 'input', context);
+        this._step       = desc.step;
+        this._smoothness = _clamp(desc.smoothness ?? 0.0, 0.0, 1.0);
+    }
+
+    _terrace(value) {
+        const scaled = value / this._step;
+        const level  = Math.floor(scaled);
+        const f      = scaled - level;
+
+        // Only the last `smoothness` fraction of each step ramps up to the next level
+        const rampStart = 1.0 - this._smoothness;
+        let t = 0.0;
+        if (this._smoothness > 0.0 && f > rampStart) {
+            t = _smoothstep((f - rampStart) / this._smoothness);
+        }
+        return (level + t) * this._step;
+    }
+
+    get2D(x, y) {
+        return this._terrace(this._input.get2D(x, y));
+    }
+
+    get3D(x, y, z) {
+        return this._terrace(this._input.get3D(x, y, z));
+    }
+}
+
+// Offset the input's sample coordinates by other nodes
+class WarpNode {
+    constructor(desc, context) {
+        this._input    = _buildInput(desc, 'input', context);
+        this._warpX    = _buildInput(desc, 'warpX', context);
+        this._warpY    = _buildInput(desc, 'warpY', context);
+        this._warpZ    = desc.warpZ ? _buildInput(desc, 'warpZ', context) : null;
+        this._strength = desc.strength ?? 1.0;
+    }
+
+    get2D(x, y) {
+        const wx = this._warpX.get2D(x, y) * this._strength;
+        const wy = this._warpY.get2D(x, y) * this._strength;
+        return this._input.get2D(x + wx, y + wy);
+    }
+
+    get3D(x, y, z) {
+        const wx = this._warpX.get3D(x, y, z) * this._strength;
+        const wy = this._warpY.get3D(x, y, z) * this._strength;
+        const wz = this._warpZ ? this._warpZ.get3D(x, y, z) * this._strength : 0.0;
+        return this._input.get3D(x + wx, y + wy, z + wz);
+    }
+}
+
+// Choose a below the control threshold and b above it, blending across the falloff band
+class SelectNode {
+    constructor(desc, context) {
+        this._a         = _buildInput(desc, 'a', context);
+        this._b         = _buildInput(desc, 'b', context);
+        this._control   = _buildInput(desc, 'control', context);
+        this._threshold = desc.threshold ?? 0.0;
+        this._falloff   = Math.max(desc.falloff ?? 0.0, 0.0);
+    }
+
+    _select(control, sampleA, sampleB) {
+        if (this._falloff === 0.0) {
+            return (control < this._threshold) ? sampleA() : sampleB();
+        }
+
+        const lower = this._threshold - this._falloff;
+        const upper = this._threshold + this._falloff;
+        if (control <= lower) {
+            return sampleA();
+        }
+        if (control >= upper) {
+            return sampleB();
+        }
+
+        const t = _smoothstep((control - lower) / (upper - lower));
+        const a = sampleA();
+        return a + (sampleB() - a) * t;
+    }
+
+    get2D(x, y) {
+        return this._select(this._control.get2D(x, y),
+            () => this._a.get2D(x, y),
+            () => this._b.get2D(x, y));
+    }
+
+    get3D(x, y, z) {
+        return this._select(this._control.get3D(x, y, z),
+            () => this._a.get3D(x, y, z),
+            () => this._b.get3D(x, y, z));
+    }
+}
+
+// Scale the input by the blended height scale of the biomes at each point, so deserts
+// flatten out and mountain biomes get more rugged. Climate fields are sampled in 2D.
+class BiomeNode {
+    constructor(desc, context) {
+        this._input    = _buildInput(desc, 'input', context);
+        this._biomeMap = new BiomeMap({ seed: context.noiseParams.seed, ...desc.params });
+        this._weights  = new Float32Array(BIOMES.length);
+    }
+
+    get2D(x, y) {
+        return this._input.get2D(x, y) * this._biomeMap.getHeightScale(x, y, this._weights);
+    }
+
+    get3D(x, y, z) {
+        return this._input.get3D(x, y, z) * this._biomeMap.getHeightScale(x, y, this._weights);
+    }
+}
+
+// Add the height change of droplet erosion run over the input, see ErosionField.
+// Erosion is a 2D process, so get3D offsets the input by the change at (x, y).
+class ErosionNode {
+    constructor(desc, context) {
+        this._input = _buildInput(desc, 'input', context);
+        this._field = new ErosionField(this._input, { seed: context.noiseParams.seed, ...desc.params });
+        _setTileLoader(this._field, desc, context);
+    }
+
+    // Eroded tile, built here, for a tile loader elsewhere
+    getTile(tx, ty) {
+        return this._field.getTile(tx, ty);
+    }
+
+    get2D(x, y) {
+        return this._input.get2D(x, y) + this._field.getDelta(x, y);
+    }
+
+    get3D(x, y, z) {
+        return this._input.get3D(x, y, z) + this._field.getDelta(x, y);
+    }
+}
+
+// Carve rivers and lakes of the input's drainage network into it, see HydrologyField
+class HydrologyNode {
+    constructor(desc, context) {
+        this._input = _buildInput(desc, 'input', context);
+        this._field = new HydrologyField(this._input, desc.params);
+        _setTileLoader(this._field, desc, context);
+    }
+
+    // Drainage region, built here, for a tile loader elsewhere
+    getTile(tx, ty) {
+        return this._field.getTile(tx, ty);
+    }
+
+    get2D(x, y) {
+        return this._field.carve(x, y, this._input.get2D(x, y));
+    }
+
+    get3D(x, y, z) {
+        return this._field.carve(x, y, this._input.get3D(x, y, z));
+    }
+
+    // River polylines and lake outlines in noise space, see HydrologyField.getWaterFeatures
+    getWaterFeatures(minX, minY, maxX, maxY) {
+        return this._field.getWaterFeatures(minX, minY, maxX, maxY);
+    }
+}
+
+// Heights read from a decoded height image, see HeightImageSampler. Images are too large
+// to embed in the JSON description, so desc.image names one of context.heightImages.
+class ImageNode {
+    constructor(desc, context) {
+        const image = context.heightImages?.[desc.image];
+        if (!image) {
+            throw new Error(`buildNoiseGraph: unknown height image '${desc.image}'`);
+        }
+        this._sampler = new HeightImageSampler(image, desc.params ?? {});
+    }
+
+    get2D(x, y) {
+        return this._sampler.get2D(x, y);
+    }
+
+    get3D(x, y, _z) {
+        return this._sampler.get2D(x, y);
+    }
+}
+
+const NODE_TYPES = {
+    constant:   (desc, context) => new ConstantNode(desc, context),
+    simplex:    (desc, context) => new GradientNoiseNode(desc, context, SimplexGenerator),
+    perlin:     (desc, context) => new GradientNoiseNode(desc, context, PerlinGenerator),
+    noise:      (desc, context) => new NoiseGeneratorNode(desc, context),
+    fbm:        (desc, context) => new NoiseGeneratorNode(desc, context, 'fbm'),
+    ridged:     (desc, context) => new NoiseGeneratorNode(desc, context, 'ridged'),
+    add:        (desc, context) => new AddNode(desc, context),
+    multiply:   (desc, context) => new MultiplyNode(desc, context),
+    lerp:       (desc, context) => new LerpNode(desc, context),
+    clamp:      (desc, context) => new ClampNode(desc, context),
+    curve:      (desc, context) => new CurveNode(desc, context),
+    terrace:    (desc, context) => new TerraceNode(desc, context),
+    warp:       (desc, context) => new WarpNode(desc, context),
+    select:     (desc, context) => new SelectNode(desc, context),
+    biome:      (desc, context) => new BiomeNode(desc, context),
+    erosion:    (desc, context) => new ErosionNode(desc, context),
+    hydrology:  (desc, context) => new HydrologyNode(desc, context),
+    image:      (desc, context) => new ImageNode(desc, context),
+};
+
+export const NOISE_NODE_TYPES = Object.keys(NODE_TYPES);
+
+// Example graphs selectable from the GUI. 'single' is the original hard-wired generator.
+export const NOISE_GRAPH_PRESETS = {
+    single: { type: 'noise' },
+    continents: {
+        type: 'add',
+        inputs: [
+            // low frequency continental shelf
+            {
+                type: 'curve',
+                input: { type: 'fbm', params: { scale: 1024.0, octaves: 4, exponentiation: 1.0, height: 1.0 } },
+                points: [[0.0, -8.0], [0.4, -2.0], [0.5, 1.0], [1.0, 6.0]],
+            },
+            // mountain ranges masked to inland areas
+            {
+                type: 'lerp',
+                a: { type: 'constant', value: 0.0 },
+                b: { type: 'ridged', params: { scale: 256.0, exponentiation: 2.0, height: 48.0 } },
+                mask: {
+                    type: 'curve',
+                    input: { type: 'simplex', scale: 512.0 },
+                    points: [[0.0, 0.0], [0.5, 1.0]],
+                },
+            },
+            // detail layer driven by the "Noise" GUI params
+            { type: 'noise' },
+        ],
+    },
+    eroded: {
+        type: 'erosion',
+        input: { type: 'noise' },
+    },
+};
+
+/**
+ * Build a height function from a JSON graph description.
+ * @param {object} desc - node description, e.g. { type: 'add', inputs: [...] }
+ * @param {object} context - { noiseParams, heightImages, loadTile } supplying defaults for noise sources,
+ *  the decoded images referenced by 'image' nodes and, optionally, a (desc, tx, ty) => Promise that
+ *  builds the tiles of 'erosion' and 'hydrology' nodes elsewhere, see TiledField.setTileLoader
+ * @returns {{get2D: Function, get3D: Function}} root node
+ */
+export function buildNoiseGraph(desc, context) {
+    if (!desc || typeof desc !== 'object') {
+        throw new Error('buildNoiseGraph: node description must be an object');
+    }
+    if (!context?.noiseParams) {
+        throw new Error('buildNoiseGraph: missing context.noiseParams');
+    }
+
+    const factory = NODE_TYPES[desc.type];
+    if (!factory) {
+        throw new Error(`buildNoiseGraph: unknown node type '${desc.type}'`);
+    }
+    return factory(desc, context);
+}
+
+function _buildInput(desc, name, context) {
+    if (!desc[name]) {
+        throw new Error(`buildNoiseGraph: '${desc.type}' node is missing input '${name}'`);
+    }
+    return buildNoiseGraph(desc[name], context);
+}
+
+function _buildInputs(desc, context) {
+    if (!Array.isArray(desc.inputs) || desc.inputs.length === 0) {
+        throw new Error(`buildNoiseGraph: '${desc.type}' node requires a non-empty inputs array`);
+    }
+    return desc.inputs.map((input) => buildNoiseGraph(input, context));
+}
+
+function _setTileLoader(field, desc, context) {
+    if (typeof context.loadTile === 'function') {
+        field.setTileLoader((tx, ty) => context.loadTile(desc, tx, ty));
+    }
+}
+
+function _clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+function _smoothstep(t) {
+    const x = _clamp(t, 0.0, 1.0);
+    return x * x * (3.0 - 2.0 * x);
+}
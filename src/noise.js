@@ -1,9 +1,10 @@
+import { buildPermutationTable, createNoise2D, createNoise3D } from 'simplex-noise';
+import { mulberry32 } from './util.js';
 
-import * as PERLIN from 'https://cdn.jsdelivr.net/gh/mikechambers/es6-perlin-module@master/perlin.js';
-import { createNoise2D, createNoise3D } from 'simplex-noise';
-import { mulberry32 } from './util'
+// Both generators are fully determined by their seed, so the same seed and noise
+// params reproduce the same terrain in every session and on every thread.
 
-class SimplexGenerator {
+export class SimplexGenerator {
     constructor(seed = Date.now()) {
         const random = mulberry32(seed);
         this.noise2D = createNoise2D(random);
@@ -19,30 +20,169 @@ class SimplexGenerator {
     }
 }
 
-class PerlinGenerator {
+// Ken Perlin's improved noise with the permutation table shuffled by the seed.
+// Returns values in about [-1, 1].
+export class PerlinGenerator {
     constructor(seed = Date.now()) {
-        const random = mulberry32(seed);
-        this.offsetX = random() * 10000;
-        this.offsetY = random() * 10000;
-        this.offsetZ = random() * 10000;
+        this._perm = _perlinPermutation(seed);
     }
 
     get2D(x, y) {
-        return PERLIN.noise2(x + this.offsetX, y + this.offsetY) * 2.0 - 1.0;
+        const perm = this._perm;
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        const xf = x - xi;
+        const yf = y - yi;
+        const X = xi & 255;
+        const Y = yi & 255;
+        const u = _fade(xf);
+        const v = _fade(yf);
+
+        const a = perm[X] + Y;
+        const b = perm[X + 1] + Y;
+        return _lerp(v,
+            _lerp(u, _grad2(perm[a], xf, yf), _grad2(perm[b], xf - 1, yf)),
+            _lerp(u, _grad2(perm[a + 1], xf, yf - 1), _grad2(perm[b + 1], xf - 1, yf - 1)));
     }
 
     get3D(x, y, z) {
-        return PERLIN.noise3(
-            x + this.offsetX,
-            y + this.offsetY,
-            z + this.offsetZ
-        ) * 2.0 - 1.0;
+        const perm = this._perm;
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        const zi = Math.floor(z);
+        const xf = x - xi;
+        const yf = y - yi;
+        const zf = z - zi;
+        const X = xi & 255;
+        const Y = yi & 255;
+        const Z = zi & 255;
+        const u = _fade(xf);
+        const v = _fade(yf);
+        const w = _fade(zf);
+
+        const a = perm[X] + Y;
+        const aa = perm[a] + Z;
+        const ab = perm[a + 1] + Z;
+        const b = perm[X + 1] + Y;
+        const ba = perm[b] + Z;
+        const bb = perm[b + 1] + Z;
+        return _lerp(w,
+            _lerp(v,
+                _lerp(u, _grad3(perm[aa], xf, yf, zf), _grad3(perm[ba], xf - 1, yf, zf)),
+                _lerp(u, _grad3(perm[ab], xf, yf - 1, zf), _grad3(perm[bb], xf - 1, yf - 1, zf))),
+            _lerp(v,
+                _lerp(u, _grad3(perm[aa + 1], xf, yf, zf - 1), _grad3(perm[ba + 1], xf - 1, yf, zf - 1)),
+                _lerp(u, _grad3(perm[ab + 1], xf, yf - 1, zf - 1), _grad3(perm[bb + 1], xf - 1, yf - 1, zf - 1))));
+    }
+}
+
+// Doubled permutation table so lookups of hash + 1 never need wrapping
+function _perlinPermutation(seed) {
+    const random = mulberry32(seed);
+    const permutation = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+        permutation[i] = i;
+    }
+    // Fisher-Yates shuffle
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
     }
+
+    const perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+        perm[i] = permutation[i & 255];
+    }
+    return perm;
 }
 
+/**
+ * The 512 entry permutation table behind the 2D noise of a seeded generator, so the
+ * same noise can be evaluated elsewhere (e.g. in a compute shader).
+ * @param {string} noiseType - 'simplex' or 'perlin'
+ * @param {number} seed
+ * @returns {Uint8Array}
+ */
+export function noisePermutation(noiseType, seed) {
+    switch (noiseType) {
+        case 'simplex':
+            // createNoise2D builds its table from the first draws of the seeded random
+            return buildPermutationTable(mulberry32(seed));
+        case 'perlin':
+            return _perlinPermutation(seed);
+        default:
+            throw new Error(`noisePermutation: unknown noise type '${noiseType}'`);
+    }
+}
+
+// 2D simplex skew factor
+const SIMPLEX_F2 = 0.5 * (Math.sqrt(3.0) - 1.0);
+
+/**
+ * Lattice cell of a 2D noise-space point, wrapped to the 256 cell period of the permutation
+ * table, and the point's offset within that cell. Both generators give the same noise from the
+ * wrapped cell plus offset as from the point itself, so far from the origin the split keeps
+ * the precision a float32 absolute coordinate would lose. Simplex cells are in skewed space.
+ * @param {string} noiseType - 'simplex' or 'perlin'
+ * @param {number} x
+ * @param {number} y
+ * @returns {number[]} [cellX, cellY, offsetX, offsetY], cells in [0, 255] and offsets in [0, 1)
+ */
+export function noiseLatticeCell(noiseType, x, y) {
+    if (noiseType !== 'simplex' && noiseType !== 'perlin') {
+        throw new Error(`noiseLatticeCell: unknown noise type '${noiseType}'`);
+    }
+
+    // skew as in simplex-noise's noise2D, which picks its cell as floor(x + s)
+    const s = noiseType === 'simplex' ? (x + y) * SIMPLEX_F2 : 0.0;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    return [i & 255, j & 255, x + s - i, y + s - j];
+}
+
+function _fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function _lerp(t, a, b) {
+    return a + t * (b - a);
+}
+
+// Eight gradient directions; the axis aligned ones are scaled by sqrt(2) to match the diagonals
+function _grad2(hash, x, y) {
+    switch (hash & 7) {
+        case 0: return x + y;
+        case 1: return -x + y;
+        case 2: return x - y;
+        case 3: return -x - y;
+        case 4: return x * Math.SQRT2;
+        case 5: return -x * Math.SQRT2;
+        case 6: return y * Math.SQRT2;
+        default: return -y * Math.SQRT2;
+    }
+}
+
+// The twelve cube edge directions of improved noise, padded to sixteen
+function _grad3(hash, x, y, z) {
+    const h = hash & 15;
+    const u = h < 8 ? x : y;
+    const v = h < 4 ? y : (h === 12 || h === 14 ? x : z);
+    return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+}
+
+export const FRACTAL_TYPES = ['fbm', 'ridged', 'billow', 'hybrid', 'swiss'];
+
+// Step used for the central-difference gradient of the swiss turbulence mode (noise space units)
+const GRADIENT_EPSILON = 1e-4;
+
+export const MAX_WARP_LAYERS = 2;
+// Sample offsets decorrelating the x, y and z components of a warp layer
+const WARP_COMPONENT_OFFSETS = [[0.0, 0.0, 0.0], [5.2, 1.3, 2.8], [1.7, 9.2, 4.4]];
+
 export class NoiseGenerator {
     _noise          = {};
     _type           = 'simplex';
+    _fractalType    = 'fbm';
     _scale          = 256.0;
     _octaves        = 10;
     _persistence    = 0.5;
@@ -50,28 +190,51 @@ export class NoiseGenerator {
     _exponentiation = 3.9;
     _height         = 64;
     _seed           = 1;
+    _ridgedOffset   = 1.0;
+    _ridgedGain     = 2.0;
+    _hybridOffset   = 0.7;
+    _swissWarp      = 0.15;
+    _warpLayers     = 0;
+    _warpStrength   = 0.0;
+    _warpScale      = 256.0;
+    _warpOctaves    = 3;
+    _warpNoise      = [];
+    _warped         = new Float64Array(3);
 
     constructor(params) {
+        this._applyParams(params);
+        this._createGenerators();
+    }
 
-       this._type           = params.noiseType;
-       this._scale          = params.scale;
-       this._octaves        = params.octaves;
-       this._persistence    = params.persistence;
-       this._lacunarity     = params.lacunarity;
-       this._exponentiation = params.exponentiation;
-       this._height         = params.height;
-       this._seed           = params.seed;
+    setParams(params) {
+        const shouldRebuildGenerators = Number.isFinite(params.seed) && params.seed !== this._seed;
+
+        this._applyParams(params);
 
+        if (shouldRebuildGenerators) {
+            this._createGenerators();
+        }
+    }
+
+    _createGenerators() {
         this._noise = {
-            simplex: new SimplexGenerator(params.seed),
-            perlin: new PerlinGenerator(params.seed)
+            simplex: new SimplexGenerator(this._seed),
+            perlin: new PerlinGenerator(this._seed)
         };
+        // warp layers get their own seeds so they do not correlate with the height noise
+        this._warpNoise = [];
+        for (let layer = 0; layer < MAX_WARP_LAYERS; layer++) {
+            this._warpNoise.push(new SimplexGenerator(Math.imul(this._seed + layer + 1, 0x9E3779B1)));
+        }
     }
 
-    setParams(params) {
-        const shouldRebuildGenerators = Number.isFinite(params.seed) && params.seed !== this._seed;
+    _applyParams(params) {
+        if (params.fractalType !== undefined && !FRACTAL_TYPES.includes(params.fractalType)) {
+            throw new Error(`NoiseGenerator: unknown fractalType '${params.fractalType}'`);
+        }
 
-        this._type          = params.noiseType;
+        this._type           = params.noiseType;
+        this._fractalType    = params.fractalType ?? 'fbm';
         this._scale          = params.scale;
         this._octaves        = params.octaves;
         this._persistence    = params.persistence;
@@ -80,12 +243,17 @@ export class NoiseGenerator {
         this._height         = params.height;
         this._seed           = params.seed;
 
-        if (shouldRebuildGenerators) {
-            this._noise = {
-                simplex: new SimplexGenerator(this._seed),
-                perlin: new PerlinGenerator(this._seed)
-            };
-        }
+        // Optional per-mode parameters keep their defaults when omitted
+        this._ridgedOffset   = params.ridgedOffset ?? this._ridgedOffset;
+        this._ridgedGain     = params.ridgedGain ?? this._ridgedGain;
+        this._hybridOffset   = params.hybridOffset ?? this._hybridOffset;
+        this._swissWarp      = params.swissWarp ?? this._swissWarp;
+
+        // Domain warping, off with zero layers or zero strength
+        this._warpLayers     = Math.min(Math.max(Math.floor(params.warpLayers ?? this._warpLayers), 0), MAX_WARP_LAYERS);
+        this._warpStrength   = params.warpStrength ?? this._warpStrength;
+        this._warpScale      = params.warpScale ?? this._warpScale;
+        this._warpOctaves    = Math.max(Math.floor(params.warpOctaves ?? this._warpOctaves), 1);
     }
 
     get2D(x, y) {
@@ -93,50 +261,203 @@ export class NoiseGenerator {
             throw new Error("NoiseGenerator.get2D: invalid coordinate parameter");
         }
 
-        const xs = x / this._scale;
-        const ys = y / this._scale;
-        const noiseFunc = this._noise[this._type];
+        const p = this._warp(false, x, y, 0.0);
+        const total = this._fractal(this._noise[this._type], false,
+            p[0] / this._scale, p[1] / this._scale, 0.0);
+        return Math.pow(total, this._exponentiation) * this._height;
+    }
+
+    get3D(x, y, z) {
+        if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+            throw new Error("NoiseGenerator.get3D: invalid coordinate parameter");
+        }
+
+        const p = this._warp(true, x, y, z);
+        const total = this._fractal(this._noise[this._type], true,
+            p[0] / this._scale, p[1] / this._scale, p[2] / this._scale);
+        return Math.pow(total, this._exponentiation) * this._height;
+    }
+
+    // Domain warping in world units: every layer offsets the point by fBm noise sampled at
+    // the point warped by the previous layers, p + h2(p + h1(p)). Only the world position
+    // goes in, so neighbouring chunks agree along their seams.
+    // Returns the shared _warped scratch point, valid until the next call.
+    _warp(is3D, x, y, z) {
+        const warped = this._warped;
+        let ox = 0.0;
+        let oy = 0.0;
+        let oz = 0.0;
+        if (this._warpStrength !== 0) {
+            for (let layer = 0; layer < this._warpLayers; layer++) {
+                const generator = this._warpNoise[layer];
+                const px = (x + ox) / this._warpScale;
+                const py = (y + oy) / this._warpScale;
+                const pz = (z + oz) / this._warpScale;
+                // every component reads the offsets of the previous layer
+                const nx = this._warpComponent(generator, is3D, px, py, pz, WARP_COMPONENT_OFFSETS[0]);
+                const ny = this._warpComponent(generator, is3D, px, py, pz, WARP_COMPONENT_OFFSETS[1]);
+                oz = is3D ? this._warpComponent(generator, is3D, px, py, pz, WARP_COMPONENT_OFFSETS[2]) : 0.0;
+                ox = nx;
+                oy = ny;
+            }
+        }
+        warped[0] = x + ox;
+        warped[1] = y + oy;
+        warped[2] = z + oz;
+        return warped;
+    }
+
+    // One component of a warp layer: fBm of the layer noise around a decorrelating offset
+    _warpComponent(generator, is3D, x, y, z, componentOffset) {
+        let qx = x + componentOffset[0];
+        let qy = y + componentOffset[1];
+        let qz = z + componentOffset[2];
+        let amplitude = 1.0;
+        let normalization = 0.0;
+        let total = 0.0;
+        for (let o = 0; o < this._warpOctaves; o++) {
+            total += _sample(generator, is3D, qx, qy, qz) * amplitude;
+            normalization += amplitude;
+            amplitude *= 0.5;
+            qx *= 2.0;
+            qy *= 2.0;
+            qz *= 2.0;
+        }
+        return total / normalization * this._warpStrength;
+    }
+
+    // Dispatch to the selected fractal mode. Every mode returns a value in [0, 1]
+    // so exponentiation and height apply uniformly.
+    _fractal(generator, is3D, x, y, z) {
+        switch (this._fractalType) {
+            case 'ridged':
+                return this._ridged(generator, is3D, x, y, z);
+            case 'billow':
+                return this._billow(generator, is3D, x, y, z);
+            case 'hybrid':
+                return this._hybrid(generator, is3D, x, y, z);
+            case 'swiss':
+                return this._swiss(generator, is3D, x, y, z);
+            case 'fbm':
+            default:
+                return this._fbm(generator, is3D, x, y, z);
+        }
+    }
 
+    // Standard summed fBm remapped to [0, 1]
+    _fbm(generator, is3D, x, y, z) {
         let amplitude = 1.0;
         let frequency = 1.0;
         let normalization = 0;
         let total = 0;
         for (let o = 0; o < this._octaves; o++) {
-            const noiseValue = noiseFunc.get2D(
-                xs * frequency, ys * frequency) * 0.5 + 0.5;
+            const noiseValue = _sample(generator, is3D, x * frequency, y * frequency, z * frequency) * 0.5 + 0.5;
             total += noiseValue * amplitude;
             normalization += amplitude;
             amplitude *= this._persistence;
             frequency *= this._lacunarity;
         }
         total /= normalization;
-        return Math.pow(total, this._exponentiation) * this._height;
+        return total;
     }
 
-    get3D(x, y, z) {
-        if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
-            throw new Error("NoiseGenerator.get3D: invalid coordinate parameter");
+    // Musgrave ridged multifractal: inverted absolute noise squared, with each
+    // octave weighted by the previous signal so detail gathers along the ridges
+    _ridged(generator, is3D, x, y, z) {
+        const offset = this._ridgedOffset;
+        let amplitude = 1.0;
+        let frequency = 1.0;
+        let normalization = 0;
+        let weight = 1.0;
+        let total = 0;
+        for (let o = 0; o < this._octaves; o++) {
+            let signal = offset - Math.abs(_sample(generator, is3D, x * frequency, y * frequency, z * frequency));
+            signal *= signal * weight;
+            weight = Math.min(Math.max(signal * this._ridgedGain, 0.0), 1.0);
+            total += signal * amplitude;
+            normalization += amplitude;
+            amplitude *= this._persistence;
+            frequency *= this._lacunarity;
         }
+        total /= normalization * offset * offset;
+        return Math.min(Math.max(total, 0.0), 1.0);
+    }
 
-        const xs = x / this._scale;
-        const ys = y / this._scale;
-        const zs = z / this._scale;
-        
-        const noiseFunc = this._noise[this._type];
+    // Summed absolute noise: puffy, rounded hills with creased valleys
+    _billow(generator, is3D, x, y, z) {
+        let amplitude = 1.0;
+        let frequency = 1.0;
+        let normalization = 0;
+        let total = 0;
+        for (let o = 0; o < this._octaves; o++) {
+            total += Math.abs(_sample(generator, is3D, x * frequency, y * frequency, z * frequency)) * amplitude;
+            normalization += amplitude;
+            amplitude *= this._persistence;
+            frequency *= this._lacunarity;
+        }
+        total /= normalization;
+        return total;
+    }
 
+    // Musgrave hybrid multifractal: smooth low areas, rough high areas
+    _hybrid(generator, is3D, x, y, z) {
+        const offset = this._hybridOffset;
         let amplitude = 1.0;
         let frequency = 1.0;
         let normalization = 0;
+        let weight = 1.0;
         let total = 0;
         for (let o = 0; o < this._octaves; o++) {
-            const noiseValue = noiseFunc.get3D(
-                xs * frequency, ys * frequency, zs * frequency) * 0.5 + 0.5;
-            total += noiseValue * amplitude;
+            const signal = (_sample(generator, is3D, x * frequency, y * frequency, z * frequency) + offset) * amplitude;
+            total += weight * signal;
+            // a negative signal would flip the sign of every later octave
+            weight = Math.min(Math.max(weight * signal, 0.0), 1.0);
             normalization += amplitude;
             amplitude *= this._persistence;
             frequency *= this._lacunarity;
         }
+        total /= normalization * (1.0 + offset);
+        return Math.min(Math.max(total, 0.0), 1.0);
+    }
+
+    // Swiss turbulence (de Carpentier): ridged octaves whose sample position is
+    // warped, and whose amplitude is damped, by the accumulated noise derivative
+    _swiss(generator, is3D, x, y, z) {
+        let dx = 0.0;
+        let dy = 0.0;
+        let dz = 0.0;
+        let amplitude = 1.0;
+        let frequency = 1.0;
+        let normalization = 0;
+        let total = 0;
+        for (let o = 0; o < this._octaves; o++) {
+            const qx = (x + this._swissWarp * dx) * frequency;
+            const qy = (y + this._swissWarp * dy) * frequency;
+            const qz = (z + this._swissWarp * dz) * frequency;
+            const n = _sample(generator, is3D, qx, qy, qz);
+            total += amplitude * (1.0 - Math.abs(n));
+            normalization += amplitude;
+
+            // central difference gradient of the octave noise
+            const weight = amplitude * -n;
+            dx += weight * (_sample(generator, is3D, qx + GRADIENT_EPSILON, qy, qz) -
+                _sample(generator, is3D, qx - GRADIENT_EPSILON, qy, qz)) / (2.0 * GRADIENT_EPSILON);
+            dy += weight * (_sample(generator, is3D, qx, qy + GRADIENT_EPSILON, qz) -
+                _sample(generator, is3D, qx, qy - GRADIENT_EPSILON, qz)) / (2.0 * GRADIENT_EPSILON);
+            if (is3D) {
+                dz += weight * (_sample(generator, is3D, qx, qy, qz + GRADIENT_EPSILON) -
+                    _sample(generator, is3D, qx, qy, qz - GRADIENT_EPSILON)) / (2.0 * GRADIENT_EPSILON);
+            }
+
+            amplitude *= this._persistence * Math.min(Math.max(total, 0.0), 1.0);
+            frequency *= this._lacunarity;
+        }
         total /= normalization;
-        return Math.pow(total, this._exponentiation) * this._height;
+        return Math.min(Math.max(total, 0.0), 1.0);
     }
-}
\ No newline at end of file
+}
+
+// Scalar coordinates all the way down, so the per octave loops allocate nothing
+function _sample(generator, is3D, x, y, z) {
+    return is3D ? generator.get3D(x, y, z) : generator.get2D(x, y);
+}
@@ -1,18 +1,178 @@
 import * as THREE from 'three/webgpu';
 
-export class QuadTree { 
+// Unit steps in quadtree space (x, y), where quadtree y follows world z
+export const DIRECTIONS = {
+    left:  new THREE.Vector2(-1, 0),
+    right: new THREE.Vector2(1, 0),
+    down:  new THREE.Vector2(0, -1),
+    up:    new THREE.Vector2(0, 1),
+};
+
+// Split heuristics return a refinement score: a leaf splits when its score exceeds 1.
+// viewer: { position, fov (degrees), viewportHeight, frustum? } in world space
+export const SPLIT_HEURISTICS = {
+    // split while the viewer is closer than splitRatio * node size (splitRatio 1 is the classic rule)
+    distance: (node, viewer, heuristic) => {
+        const position = _viewerPosition2D(viewer);
+        const distance = Math.max(node.center.distanceTo(position), Number.EPSILON);
+        return (node.size.x * heuristic.splitRatio) / distance;
+    },
+
+    // split while the node's geometric error projects to more than pixelError pixels. The
+    // error is the vertex spacing, reduced where the node's height range shows flatter ground,
+    // and is projected from the nearest point of the node's box. Nodes outside the viewer's
+    // frustum refine as if outOfFrustumScale times as far away. QuadTree.update only applies
+    // that to splits, so turning the camera does not merge and re-split nodes.
+    screenSpaceError: (node, viewer, heuristic) => {
+        const box = _nodeBox(node, _scratchBox);
+        const position = _viewerPosition3D(viewer, _scratchPosition);
+        const distance = Math.max(box.distanceToPoint(position), Number.EPSILON);
+
+        const spacing = node.size.x / heuristic.segments;
+        let geometricError = spacing;
+        if (node.heightBounds !== null) {
+            const range = node.heightBounds.max - node.heightBounds.min;
+            geometricError = THREE.MathUtils.clamp(range, spacing * MIN_ERROR_RATIO, spacing);
+        }
+
+        const fov = THREE.MathUtils.degToRad(viewer.fov);
+        let screenError = (geometricError * viewer.viewportHeight) / (2 * distance * Math.tan(fov / 2));
+        if (viewer.frustum && !viewer.frustum.intersectsBox(box)) {
+            screenError *= heuristic.outOfFrustumScale;
+        }
+        return screenError / heuristic.pixelError;
+    },
+};
+
+// Lower bound of the screen space geometric error as a fraction of the vertex spacing, so
+// flat ground still refines up close where the chunk textures need the resolution
+const MIN_ERROR_RATIO = 0.125;
+
+const _scratchBox = new THREE.Box3();
+const _scratchPosition = new THREE.Vector3();
+
+export const DEFAULT_HEURISTIC = {
+    type: 'distance',
+    splitRatio: 1.0,
+    pixelError: 4.0,
+    segments: 128,
+    outOfFrustumScale: 0.25,
+};
+
+function _viewerPosition2D(viewer) {
+    const position = viewer.position;
+    const py = Number.isFinite(position.z) ? position.z : position.y;
+    return new THREE.Vector2(position.x, py);
+}
+
+// World space viewer position; 2D positions stand on the ground at height 0
+function _viewerPosition3D(viewer, target) {
+    const position = viewer.position;
+    if (Number.isFinite(position.z)) {
+        return target.set(position.x, position.y, position.z);
+    }
+    return target.set(position.x, 0, position.y);
+}
+
+// World space box of a node, flat at height 0 until its height range is known
+function _nodeBox(node, target) {
+    const minHeight = node.heightBounds?.min ?? 0;
+    const maxHeight = node.heightBounds?.max ?? 0;
+    target.min.set(node.bounds.min.x, minHeight, node.bounds.min.y);
+    target.max.set(node.bounds.max.x, maxHeight, node.bounds.max.y);
+    return target;
+}
+
+// Long-lived quadtree refined around a viewer. update() splits and merges nodes
+// incrementally, with hysteresis on merges, and keeps neighbouring leaves within
+// one level of each other (2:1 balance). Node ids are stable for a given tree id,
+// depth and grid position, so they can be used as chunk keys.
+// Nodes carry optional world height bounds ({ min, max } or null), set on leaves through
+// setHeightBounds. Inner nodes hold the union of their children, new children inherit
+// their parent's bounds until their own are known.
+export class QuadTree {
+    _id = 'root';
     _root = null;
     _minNodeSize = 0;
+    _heuristic = DEFAULT_HEURISTIC;
+    _hysteresis = 0.1;
+    _findNodeOutside = null;
 
     constructor(params) {
         const boundingBox = new THREE.Box2(params.min, params.max);
-        this._root = {
-            bounds: boundingBox,
-            children: [],
-            center: boundingBox.getCenter(new THREE.Vector2()),
-            size: boundingBox.getSize(new THREE.Vector2()),
-        }
+        this._id = params.id ?? this._id;
         this._minNodeSize = params.nodeSize;
+        // optional (x, y, maxDepth) => node lookup for points beyond this tree, used by QuadTreeGrid
+        this._findNodeOutside = params.findNodeOutside ?? null;
+        this._root = this._createNode(boundingBox, null, 0);
+        this.setHeuristic(params.heuristic ?? DEFAULT_HEURISTIC, params.hysteresis ?? this._hysteresis);
+    }
+
+    get root() {
+        return this._root;
+    }
+
+    setHeuristic(heuristic, hysteresis = this._hysteresis) {
+        const merged = { ...DEFAULT_HEURISTIC, ...heuristic };
+        if (!SPLIT_HEURISTICS[merged.type]) {
+            throw new Error(`QuadTree.setHeuristic: unknown heuristic type '${merged.type}'`);
+        }
+        if (!Number.isFinite(hysteresis) || hysteresis < 0 || hysteresis >= 1) {
+            throw new Error('QuadTree.setHeuristic: hysteresis must be in [0, 1)');
+        }
+
+        this._heuristic = merged;
+        this._hysteresis = hysteresis;
+    }
+
+    _createNode(bounds, parent, depth) {
+        const center = bounds.getCenter(new THREE.Vector2());
+        const size = bounds.getSize(new THREE.Vector2());
+
+        // integer grid position of the node at its depth
+        const rootMin = parent ? this._root.bounds.min : bounds.min;
+        const ix = Math.round((bounds.min.x - rootMin.x) / size.x);
+        const iy = Math.round((bounds.min.y - rootMin.y) / size.y);
+
+        return {
+            id: this._id + '/' + depth + '/' + ix + '/' + iy,
+            bounds: bounds,
+            children: [],
+            center: center,
+            size: size,
+            depth: depth,
+            parent: parent,
+            tree: this,
+            heightBounds: parent?.heightBounds ? { ...parent.heightBounds } : null,
+        };
+    }
+
+    _split(node) {
+        const midpoint = node.bounds.getCenter(new THREE.Vector2());
+
+        // bottom left
+        const b1 = new THREE.Box2(node.bounds.min.clone(), midpoint.clone());
+
+        // bottom right
+        const b2 = new THREE.Box2(
+            new THREE.Vector2(midpoint.x, node.bounds.min.y),
+            new THREE.Vector2(node.bounds.max.x, midpoint.y)
+        );
+
+        // top left
+        const b3 = new THREE.Box2(
+            new THREE.Vector2(node.bounds.min.x, midpoint.y),
+            new THREE.Vector2(midpoint.x, node.bounds.max.y)
+        );
+
+        // top right
+        const b4 = new THREE.Box2(midpoint.clone(), node.bounds.max.clone());
+
+        node.children = [b1, b2, b3, b4].map((b) => this._createNode(b, node, node.depth + 1));
+    }
+
+    _canSplit(node) {
+        return node.size.x > this._minNodeSize;
     }
 
     getChildren() {
@@ -29,67 +189,344 @@ export class QuadTree {
             }
         }
 
-        const children = []; 
+        const children = [];
         getChildrenRecursive(this._root, children);
         return children;
     }
 
+    findLeafAt(x, y) {
+        return this._findNodeAt(x, y, Infinity);
+    }
+
+    // Deepest node containing (x, y) no deeper than maxDepth, or null outside the tree
+    _findNodeAt(x, y, maxDepth) {
+        const point = new THREE.Vector2(x, y);
+        if (!this._root.bounds.containsPoint(point)) {
+            return null;
+        }
+
+        let node = this._root;
+        while (node.children.length > 0 && node.depth < maxDepth) {
+            node = node.children.find((c) => c.bounds.containsPoint(point));
+        }
+        return node;
+    }
+
+    /**
+     * Leaves sharing the given edge of a node.
+     * @param {object} node - any node of this tree
+     * @param {string} direction - key of DIRECTIONS
+     * @returns {object[]} a single equal or coarser leaf, or the finer leaves along the edge;
+     *  empty at the border of the tree
+     */
+    getNeighbours(node, direction) {
+        const step = DIRECTIONS[direction];
+        if (!step) {
+            throw new Error(`QuadTree.getNeighbours: unknown direction '${direction}'`);
+        }
+
+        // probe just past the edge midpoint, at most as deep as the node itself
+        const reach = node.size.x / 2 + this._minNodeSize * 0.25;
+        const px = node.center.x + step.x * reach;
+        const py = node.center.y + step.y * reach;
+        let neighbour = this._findNodeAt(px, py, node.depth);
+        if (neighbour === null && this._findNodeOutside) {
+            neighbour = this._findNodeOutside(px, py, node.depth);
+        }
+        if (neighbour === null) {
+            return [];
+        }
+        if (neighbour.children.length === 0) {
+            return [neighbour];
+        }
+
+        // collect the finer leaves of the neighbour that touch the shared edge
+        const leaves = [];
+        const collect = (n) => {
+            if (!this._touchesEdge(n, node, direction)) {
+                return;
+            }
+            if (n.children.length === 0) {
+                leaves.push(n);
+                return;
+            }
+            for (const c of n.children) {
+                collect(c);
+            }
+        };
+        collect(neighbour);
+        return leaves;
+    }
+
+    _touchesEdge(candidate, node, direction) {
+        const a = candidate.bounds;
+        const b = node.bounds;
+        switch (direction) {
+            case 'left':
+                return a.max.x === b.min.x;
+            case 'right':
+                return a.min.x === b.max.x;
+            case 'down':
+                return a.max.y === b.min.y;
+            case 'up':
+                return a.min.y === b.max.y;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Set the world height range covered by a node, and update the unions held by its ancestors.
+     * @param {object} node - any node of this tree
+     * @param {number} min
+     * @param {number} max
+     */
+    setHeightBounds(node, min, max) {
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+            throw new Error('QuadTree.setHeightBounds: invalid height range');
+        }
+        node.heightBounds = { min, max };
+
+        for (let parent = node.parent; parent !== null; parent = parent.parent) {
+            let union = null;
+            for (const c of parent.children) {
+                if (c.heightBounds === null) {
+                    continue;
+                }
+                union = union === null ? { ...c.heightBounds } : {
+                    min: Math.min(union.min, c.heightBounds.min),
+                    max: Math.max(union.max, c.heightBounds.max),
+                };
+            }
+            parent.heightBounds = union;
+        }
+    }
+
+    /**
+     * Refine the tree around a viewer.
+     * @param {{position: THREE.Vector3, fov?: number, viewportHeight?: number, frustum?: THREE.Frustum}} viewer
+     * @returns {boolean} true if any node was split or merged
+     */
+    update(viewer) {
+        const position = viewer?.position;
+        const py = Number.isFinite(position?.z) ? position.z : position?.y;
+        if (!Number.isFinite(position?.x) || !Number.isFinite(py)) {
+            throw new Error('QuadTree.update: invalid viewer position');
+        }
+
+        const score = SPLIT_HEURISTICS[this._heuristic.type];
+        // merges ignore the frustum, so nodes refined in view stay split while it turns away
+        const mergeViewer = { ...viewer, frustum: null };
+        let changed = false;
+
+        const updateRecursive = (node) => {
+            if (node.children.length === 0 && score(node, viewer, this._heuristic) > 1.0 && this._canSplit(node)) {
+                this._split(node);
+                changed = true;
+            }
+
+            for (const c of node.children) {
+                updateRecursive(c);
+            }
+
+            // merge bottom-up, only once the score drops clearly below the split threshold
+            if (node.children.length > 0 && score(node, mergeViewer, this._heuristic) < 1.0 - this._hysteresis &&
+                this._canMerge(node)) {
+                node.children = [];
+                changed = true;
+            }
+        };
+        updateRecursive(this._root);
+
+        if (this._balance()) {
+            changed = true;
+        }
+        return changed;
+    }
+
+    // Backwards compatible single-shot refinement around a position
     insert(position) {
-        const py = Number.isFinite(position.z) ? position.z : position.y;
-        if (!Number.isFinite(position.x) || !Number.isFinite(py)) {
-            throw new Error('QuadTree.insert: invalid position parameter');
-        }
-
-        const insertRecursive = (child, position) => {
-            const distanceToChild = (child, position) => {
-                return child.center.distanceTo(position);
-            };
-
-            const createChildren = (child) => {
-                const midpoint = child.bounds.getCenter(new THREE.Vector2());
-
-                // bottom left
-                const b1 = new THREE.Box2(child.bounds.min, midpoint);
-
-                // bottom right
-                const b2 = new THREE.Box2(
-                    new THREE.Vector2(midpoint.x, child.bounds.min.y),
-                    new THREE.Vector2(child.bounds.max.x, midpoint.y)
-                );
-                
-                // top left
-                const b3 = new THREE.Box2(
-                    new THREE.Vector2(child.bounds.min.x, midpoint.y),
-                    new THREE.Vector2(midpoint.x, child.bounds.max.y)
-                );
-                
-                // top right
-                const b4 = new THREE.Box2(midpoint, child.bounds.max);
-                
-                // construct children list
-                const children = [b1,b2,b3,b4].map(
-                    (b) => {
-                        return {
-                            bounds : b,
-                            children: [],
-                            center: b.getCenter(new THREE.Vector2()),
-                            size: b.getSize(new THREE.Vector2()),
-                        }
+        this.update({ position: position });
+    }
+
+    // A node may only merge if its children are leaves and no neighbouring leaf
+    // would end up more than one level deeper than the merged node.
+    _canMerge(node) {
+        if (node.children.some((c) => c.children.length > 0)) {
+            return false;
+        }
+        for (const direction in DIRECTIONS) {
+            for (const neighbour of this.getNeighbours(node, direction)) {
+                if (neighbour.depth > node.depth + 1) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    // Split coarse leaves until every pair of adjacent leaves differs by at most one level
+    _balance() {
+        let changed = false;
+        let isBalanced = false;
+        while (!isBalanced) {
+            isBalanced = true;
+            for (const leaf of this.getChildren()) {
+                for (const direction in DIRECTIONS) {
+                    const neighbours = this.getNeighbours(leaf, direction);
+                    if (neighbours.length === 1 && neighbours[0].depth < leaf.depth - 1) {
+                        // the neighbour may belong to an adjacent tree of a QuadTreeGrid
+                        neighbours[0].tree._split(neighbours[0]);
+                        isBalanced = false;
+                        changed = true;
                     }
-                );
-                return children;
-            };
+                }
+            }
+        }
+        return changed;
+    }
+}
 
-            const distToChild = distanceToChild(child, position);
+// Square grid of QuadTree root tiles centred on the viewer, so the refined area
+// follows the viewer indefinitely. Tiles are created within `rings` tiles of the
+// viewer's tile and retired once they are more than rings + 1 tiles away.
+// Neighbour queries and 2:1 balance work across tile borders.
+export class QuadTreeGrid {
+    _trees = {};
+    _tileSize = 4096;
+    _rings = 1;
+    _minNodeSize = 64;
+    _heuristic = DEFAULT_HEURISTIC;
+    _hysteresis = 0.1;
 
-            if (distToChild < child.size.x && child.size.x > this._minNodeSize) {
-                child.children = createChildren(child);
-                for (const c of child.children) {
-                    insertRecursive(c, position);
+    constructor(params) {
+        if (!Number.isFinite(params.tileSize) || params.tileSize <= 0) {
+            throw new Error('QuadTreeGrid.constructor: params.tileSize must be a positive number.');
+        }
+        if (!Number.isInteger(params.rings) || params.rings < 0) {
+            throw new Error('QuadTreeGrid.constructor: params.rings must be a non-negative integer.');
+        }
+        if (!Number.isInteger(params.maxDepth) || params.maxDepth < 0) {
+            throw new Error('QuadTreeGrid.constructor: params.maxDepth must be a non-negative integer.');
+        }
+
+        this._tileSize = params.tileSize;
+        this._rings = params.rings;
+        this._minNodeSize = params.tileSize / Math.pow(2, params.maxDepth);
+        this._heuristic = params.heuristic ?? this._heuristic;
+        this._hysteresis = params.hysteresis ?? this._hysteresis;
+    }
+
+    get minNodeSize() {
+        return this._minNodeSize;
+    }
+
+    setHeuristic(heuristic, hysteresis = this._hysteresis) {
+        for (const k in this._trees) {
+            this._trees[k].setHeuristic(heuristic, hysteresis);
+        }
+        this._heuristic = heuristic;
+        this._hysteresis = hysteresis;
+    }
+
+    _tileIndex(x, y) {
+        return [Math.floor(x / this._tileSize), Math.floor(y / this._tileSize)];
+    }
+
+    _tileKey(ix, iy) {
+        return ix + '_' + iy;
+    }
+
+    _createTree(ix, iy) {
+        return new QuadTree({
+            id: this._tileKey(ix, iy),
+            min: new THREE.Vector2(ix * this._tileSize, iy * this._tileSize),
+            max: new THREE.Vector2((ix + 1) * this._tileSize, (iy + 1) * this._tileSize),
+            nodeSize: this._minNodeSize,
+            heuristic: this._heuristic,
+            hysteresis: this._hysteresis,
+            findNodeOutside: (x, y, maxDepth) => this._findNodeAt(x, y, maxDepth),
+        });
+    }
+
+    _findNodeAt(x, y, maxDepth) {
+        const tree = this._trees[this._tileKey(...this._tileIndex(x, y))];
+        return tree ? tree._findNodeAt(x, y, maxDepth) : null;
+    }
+
+    /**
+     * Move the tile grid with the viewer and refine every tile.
+     * @param {{position: THREE.Vector3, fov?: number, viewportHeight?: number, frustum?: THREE.Frustum}} viewer
+     * @returns {boolean} true if any tile or node was created, split, merged or retired
+     */
+    update(viewer) {
+        const position = viewer?.position;
+        const py = Number.isFinite(position?.z) ? position.z : position?.y;
+        if (!Number.isFinite(position?.x) || !Number.isFinite(py)) {
+            throw new Error('QuadTreeGrid.update: invalid viewer position');
+        }
+
+        let changed = false;
+        const [cx, cy] = this._tileIndex(position.x, py);
+
+        // retire tiles beyond the hysteresis ring
+        for (const k in this._trees) {
+            const tree = this._trees[k];
+            const [ix, iy] = this._tileIndex(tree.root.center.x, tree.root.center.y);
+            if (Math.max(Math.abs(ix - cx), Math.abs(iy - cy)) > this._rings + 1) {
+                delete this._trees[k];
+                changed = true;
+            }
+        }
+
+        for (let iy = cy - this._rings; iy <= cy + this._rings; iy++) {
+            for (let ix = cx - this._rings; ix <= cx + this._rings; ix++) {
+                const key = this._tileKey(ix, iy);
+                if (!(key in this._trees)) {
+                    this._trees[key] = this._createTree(ix, iy);
+                    changed = true;
                 }
             }
         }
 
-        insertRecursive(this._root, new THREE.Vector2(position.x, py));
+        for (const k in this._trees) {
+            if (this._trees[k].update(viewer)) {
+                changed = true;
+            }
+        }
+
+        // Balancing one tile can split nodes of an adjacent tile that was already
+        // balanced, so repeat until every tile is stable
+        let isBalanced = false;
+        while (!isBalanced) {
+            isBalanced = true;
+            for (const k in this._trees) {
+                if (this._trees[k]._balance()) {
+                    isBalanced = false;
+                    changed = true;
+                }
+            }
+        }
+        return changed;
+    }
+
+    getChildren() {
+        const children = [];
+        for (const k in this._trees) {
+            children.push(...this._trees[k].getChildren());
+        }
+        return children;
+    }
+
+    findLeafAt(x, y) {
+        return this._findNodeAt(x, y, Infinity);
+    }
+
+    getNeighbours(node, direction) {
+        return node.tree.getNeighbours(node, direction);
+    }
+
+    setHeightBounds(node, min, max) {
+        node.tree.setHeightBounds(node, min, max);
     }
-}
\ No newline at end of file
+}
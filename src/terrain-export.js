@@ -0,0 +1,440 @@
+// Export of the terrain to files for other tools: 16-bit PNG and raw float heightmaps,
+// splat maps, and triangle meshes as binary glTF or OBJ. Plain functions without DOM or
+// three.js so they also run under Node.
+//
+// Grids are sampled in world space: x to the east, z to the south, heights along +y.
+// Row 0 lies at minZ, which is the top row of exported images, the same orientation
+// decodeHeightImage reads back.
+
+// Order of the splat weight channels, matching MATERIAL_LAYERS
+export const SPLAT_LAYERS = ['grass', 'dirt', 'rock', 'snow'];
+
+/**
+ * Sample a height function over a world rectangle.
+ * @param {{get2D: Function}} heightFunction - in noise space, where y runs along world -z
+ * @param {{minX: number, minZ: number, maxX: number, maxZ: number}} bounds
+ * @param {number} width - samples along x, at least 2
+ * @param {number} height - samples along z, at least 2
+ * @returns {{width: number, height: number, bounds: object, heights: Float32Array,
+ *  minHeight: number, maxHeight: number}}
+ */
+export function sampleTerrainGrid(heightFunction, bounds, width, height) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 2 || height < 2) {
+        throw new Error('sampleTerrainGrid: width and height must be integers of at least 2');
+    }
+    if (!(bounds.maxX > bounds.minX) || !(bounds.maxZ > bounds.minZ)) {
+        throw new Error('sampleTerrainGrid: bounds must not be empty');
+    }
+
+    const heights = new Float32Array(width * height);
+    const stepX = (bounds.maxX - bounds.minX) / (width - 1);
+    const stepZ = (bounds.maxZ - bounds.minZ) / (height - 1);
+    let minHeight = Infinity;
+    let maxHeight = -Infinity;
+    for (let row = 0; row < height; row++) {
+        const z = bounds.minZ + row * stepZ;
+        for (let col = 0; col < width; col++) {
+            const h = heightFunction.get2D(bounds.minX + col * stepX, -z);
+            heights[row * width + col] = h;
+            minHeight = Math.min(minHeight, h);
+            maxHeight = Math.max(maxHeight, h);
+        }
+    }
+    return { width, height, bounds: { ...bounds }, heights, minHeight, maxHeight };
+}
+
+/**
+ * Material layer weights per grid sample, a CPU version of the blend in TerrainMaterial.
+ * @param {object} grid - see sampleTerrainGrid
+ * @param {object} bands - see TerrainMaterial.getSplatBands
+ * @returns {Float32Array} four weights per sample in SPLAT_LAYERS order, summing to 1
+ */
+export function computeSplatWeights(grid, bands) {
+    const { width, height, heights } = grid;
+    const stepX = (grid.bounds.maxX - grid.bounds.minX) / (width - 1);
+    const stepZ = (grid.bounds.maxZ - grid.bounds.minZ) / (height - 1);
+    const weights = new Float32Array(width * height * 4);
+    const normal = [0, 0, 0];
+
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const i = row * width + col;
+            const h = heights[i];
+            _gridNormal(grid, col, row, stepX, stepZ, normal);
+
+            // slopes compared as 1 - cos(angle), like the shader
+            const slope = 1.0 - normal[1];
+            const curvature = (_gridHeight(grid, col - 1, row) + _gridHeight(grid, col + 1, row) +
+                _gridHeight(grid, col, row - 1) + _gridHeight(grid, col, row + 1) - 4.0 * h) / (stepX * stepZ);
+
+            const dirt = Math.min(Math.max(curvature * bands.curvatureStrength, 0.0), 1.0);
+            const rock = _smoothstep(bands.rockSlope[0], bands.rockSlope[1], slope);
+            const snow = _smoothstep(bands.snowHeight[0], bands.snowHeight[1], h) *
+                (1.0 - _smoothstep(bands.snowSlope[0], bands.snowSlope[1], slope));
+
+            // each layer is mixed over the ones before it
+            weights[i * 4 + 3] = snow;
+            weights[i * 4 + 2] = rock * (1.0 - snow);
+            weights[i * 4 + 1] = dirt * (1.0 - rock) * (1.0 - snow);
+            weights[i * 4] = (1.0 - dirt) * (1.0 - rock) * (1.0 - snow);
+        }
+    }
+    return weights;
+}
+
+/**
+ * Indexed triangle mesh of a grid, centred on the middle of its bounds.
+ * @param {object} grid - see sampleTerrainGrid
+ * @param {Float32Array} [splat] - optional weights from computeSplatWeights
+ * @returns {{positions: Float32Array, normals: Float32Array, uvs: Float32Array,
+ *  indices: Uint32Array, splat: Float32Array|null}}
+ */
+export function buildTerrainMesh(grid, splat = null) {
+    const { width, height, heights, bounds } = grid;
+    const count = width * height;
+    if (splat !== null && splat.length !== count * 4) {
+        throw new Error('buildTerrainMesh: splat weights do not match the grid');
+    }
+
+    const stepX = (bounds.maxX - bounds.minX) / (width - 1);
+    const stepZ = (bounds.maxZ - bounds.minZ) / (height - 1);
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerZ = (bounds.minZ + bounds.maxZ) / 2;
+
+    const positions = new Float32Array(count * 3);
+    const normals = new Float32Array(count * 3);
+    const uvs = new Float32Array(count * 2);
+    const normal = [0, 0, 0];
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const i = row * width + col;
+            positions[i * 3] = bounds.minX + col * stepX - centerX;
+            positions[i * 3 + 1] = heights[i];
+            positions[i * 3 + 2] = bounds.minZ + row * stepZ - centerZ;
+
+            _gridNormal(grid, col, row, stepX, stepZ, normal);
+            normals.set(normal, i * 3);
+
+            // glTF convention, v = 0 at the top row of the heightmap image
+            uvs[i * 2] = col / (width - 1);
+            uvs[i * 2 + 1] = row / (height - 1);
+        }
+    }
+
+    // two counter-clockwise triangles per cell, seen from above
+    const indices = new Uint32Array((width - 1) * (height - 1) * 6);
+    let n = 0;
+    for (let row = 0; row < height - 1; row++) {
+        for (let col = 0; col < width - 1; col++) {
+            const a = row * width + col;
+            const b = a + width;
+            indices[n++] = a;
+            indices[n++] = b;
+            indices[n++] = a + 1;
+            indices[n++] = a + 1;
+            indices[n++] = b;
+            indices[n++] = b + 1;
+        }
+    }
+
+    return { positions, normals, uvs, indices, splat };
+}
+
+/**
+ * Grid heights as a 16-bit greyscale PNG, black at grid.minHeight and white at grid.maxHeight.
+ * @param {object} grid - see sampleTerrainGrid
+ * @returns {Promise<Uint8Array>}
+ */
+export function encodeHeightPNG(grid) {
+    const range = grid.maxHeight - grid.minHeight;
+    const data = new Uint16Array(grid.width * grid.height);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = range > 0 ? Math.round((grid.heights[i] - grid.minHeight) / range * 65535) : 0;
+    }
+    return encodePNG({ width: grid.width, height: grid.height, channels: 1, bitDepth: 16, data });
+}
+
+/**
+ * Splat weights as an 8-bit RGBA PNG, one layer per channel in SPLAT_LAYERS order.
+ * @param {object} grid - see sampleTerrainGrid
+ * @param {Float32Array} splat - see computeSplatWeights
+ * @returns {Promise<Uint8Array>}
+ */
+export function encodeSplatPNG(grid, splat) {
+    const data = new Uint8Array(splat.length);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = Math.round(Math.min(Math.max(splat[i], 0.0), 1.0) * 255);
+    }
+    return encodePNG({ width: grid.width, height: grid.height, channels: 4, bitDepth: 8, data });
+}
+
+/**
+ * Non-interlaced greyscale, grey + alpha, RGB or RGBA PNG.
+ * @param {object} image
+ * @param {number} image.width
+ * @param {number} image.height
+ * @param {number} image.channels - 1 to 4
+ * @param {number} image.bitDepth - 8 or 16
+ * @param {Uint8Array|Uint16Array} image.data - row-major samples, channels interleaved
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodePNG(image) {
+    const { width, height, channels, bitDepth, data } = image;
+    const colorType = [0, 4, 2, 6][channels - 1];
+    if (colorType === undefined) {
+        throw new Error(`encodePNG: unsupported channel count ${channels}`);
+    }
+    if (bitDepth !== 8 && bitDepth !== 16) {
+        throw new Error(`encodePNG: unsupported bit depth ${bitDepth}`);
+    }
+    if (data.length !== width * height * channels) {
+        throw new Error('encodePNG: data does not match the image size');
+    }
+
+    // unfiltered scanlines, big-endian samples
+    const bytesPerSample = bitDepth / 8;
+    const stride = width * channels * bytesPerSample;
+    const raw = new Uint8Array((stride + 1) * height);
+    const rawView = new DataView(raw.buffer);
+    for (let row = 0; row < height; row++) {
+        const start = row * (stride + 1) + 1;
+        for (let i = 0; i < width * channels; i++) {
+            const value = data[row * width * channels + i];
+            if (bitDepth === 16) {
+                rawView.setUint16(start + i * 2, value);
+            } else {
+                raw[start + i] = value;
+            }
+        }
+    }
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = bitDepth;
+    header[9] = colorType;
+
+    return _concatBytes([
+        new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        _pngChunk('IHDR', header),
+        _pngChunk('IDAT', await _deflate(raw)),
+        _pngChunk('IEND', new Uint8Array(0)),
+    ]);
+}
+
+/**
+ * Grid heights as little-endian float32 values, row by row (.r32).
+ * @param {object} grid - see sampleTerrainGrid
+ * @returns {Uint8Array}
+ */
+export function encodeRawFloat32(grid) {
+    const bytes = new Uint8Array(grid.heights.length * 4);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < grid.heights.length; i++) {
+        view.setFloat32(i * 4, grid.heights[i], true);
+    }
+    return bytes;
+}
+
+/**
+ * Wavefront OBJ text with positions, texture coordinates and normals.
+ * @param {object} mesh - see buildTerrainMesh
+ * @returns {string}
+ */
+export function encodeOBJ(mesh) {
+    const lines = ['# terrain export', 'o terrain'];
+    const { positions, normals, uvs, indices } = mesh;
+    for (let i = 0; i < positions.length; i += 3) {
+        lines.push(`v ${_num(positions[i])} ${_num(positions[i + 1])} ${_num(positions[i + 2])}`);
+    }
+    for (let i = 0; i < uvs.length; i += 2) {
+        // OBJ texture coordinates start at the bottom of the image
+        lines.push(`vt ${_num(uvs[i])} ${_num(1.0 - uvs[i + 1])}`);
+    }
+    for (let i = 0; i < normals.length; i += 3) {
+        lines.push(`vn ${_num(normals[i])} ${_num(normals[i + 1])} ${_num(normals[i + 2])}`);
+    }
+    for (let i = 0; i < indices.length; i += 3) {
+        const [a, b, c] = [indices[i] + 1, indices[i + 1] + 1, indices[i + 2] + 1];
+        lines.push(`f ${a}/${a}/${a} ${b}/${b}/${b} ${c}/${c}/${c}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Binary glTF 2.0 with a single mesh. Splat weights, when present, are stored in the
+ * custom _SPLAT vertex attribute.
+ * @param {object} mesh - see buildTerrainMesh
+ * @returns {Uint8Array}
+ */
+export function encodeGLB(mesh) {
+    const attributes = [
+        { name: 'POSITION', array: mesh.positions, type: 'VEC3', components: 3 },
+        { name: 'NORMAL', array: mesh.normals, type: 'VEC3', components: 3 },
+        { name: 'TEXCOORD_0', array: mesh.uvs, type: 'VEC2', components: 2 },
+    ];
+    if (mesh.splat) {
+        attributes.push({ name: '_SPLAT', array: mesh.splat, type: 'VEC4', components: 4 });
+    }
+
+    const FLOAT = 5126;
+    const UNSIGNED_INT = 5125;
+    const ARRAY_BUFFER = 34962;
+    const ELEMENT_ARRAY_BUFFER = 34963;
+
+    const buffers = [];
+    const bufferViews = [];
+    const accessors = [];
+    let byteLength = 0;
+    const addView = (array, target) => {
+        bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target });
+        buffers.push(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+        // every array holds 4 byte elements, so views stay 4 byte aligned
+        byteLength += array.byteLength;
+        return bufferViews.length - 1;
+    };
+
+    const primitiveAttributes = {};
+    for (const attribute of attributes) {
+        const accessor = {
+            bufferView: addView(attribute.array, ARRAY_BUFFER),
+            componentType: FLOAT,
+            count: attribute.array.length / attribute.components,
+            type: attribute.type,
+        };
+        if (attribute.name === 'POSITION') {
+            // required for positions
+            accessor.min = [Infinity, Infinity, Infinity];
+            accessor.max = [-Infinity, -Infinity, -Infinity];
+            for (let i = 0; i < attribute.array.length; i++) {
+                accessor.min[i % 3] = Math.min(accessor.min[i % 3], attribute.array[i]);
+                accessor.max[i % 3] = Math.max(accessor.max[i % 3], attribute.array[i]);
+            }
+        }
+        accessors.push(accessor);
+        primitiveAttributes[attribute.name] = accessors.length - 1;
+    }
+    accessors.push({
+        bufferView: addView(mesh.indices, ELEMENT_ARRAY_BUFFER),
+        componentType: UNSIGNED_INT,
+        count: mesh.indices.length,
+        type: 'SCALAR',
+    });
+
+    const json = {
+        asset: { version: '2.0', generator: 'threejs-terrain' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ mesh: 0, name: 'terrain' }],
+        meshes: [{ name: 'terrain', primitives: [{ attributes: primitiveAttributes, indices: accessors.length - 1, material: 0 }] }],
+        materials: [{ name: 'terrain', pbrMetallicRoughness: { metallicFactor: 0.0, roughnessFactor: 1.0 } }],
+        buffers: [{ byteLength }],
+        bufferViews,
+        accessors,
+    };
+
+    // chunks are padded to 4 bytes, JSON with spaces and binary data with zeros
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+    const binLength = Math.ceil(byteLength / 4) * 4;
+    const glb = new Uint8Array(12 + 8 + jsonLength + 8 + binLength);
+    const view = new DataView(glb.buffer);
+
+    view.setUint32(0, 0x46546C67, true); // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, glb.length, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+    glb.fill(0x20, 20, 20 + jsonLength);
+    glb.set(jsonBytes, 20);
+
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, binLength, true);
+    view.setUint32(binStart + 4, 0x004E4942, true); // 'BIN'
+    let offset = binStart + 8;
+    for (const bytes of buffers) {
+        glb.set(bytes, offset);
+        offset += bytes.length;
+    }
+    return glb;
+}
+
+function _gridHeight(grid, col, row) {
+    const c = Math.min(Math.max(col, 0), grid.width - 1);
+    const r = Math.min(Math.max(row, 0), grid.height - 1);
+    return grid.heights[r * grid.width + c];
+}
+
+// Unit normal from central differences, one-sided at the grid border
+function _gridNormal(grid, col, row, stepX, stepZ, out) {
+    const left = Math.max(col - 1, 0);
+    const right = Math.min(col + 1, grid.width - 1);
+    const up = Math.max(row - 1, 0);
+    const down = Math.min(row + 1, grid.height - 1);
+    const dx = (_gridHeight(grid, right, row) - _gridHeight(grid, left, row)) / ((right - left) * stepX);
+    const dz = (_gridHeight(grid, col, down) - _gridHeight(grid, col, up)) / ((down - up) * stepZ);
+    const length = Math.sqrt(dx * dx + 1.0 + dz * dz);
+    out[0] = -dx / length;
+    out[1] = 1.0 / length;
+    out[2] = -dz / length;
+    return out;
+}
+
+function _smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0.0), 1.0);
+    return t * t * (3.0 - 2.0 * t);
+}
+
+function _num(value) {
+    return Number(value.toFixed(6)).toString();
+}
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function _crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function _pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    // the CRC covers the type and the data
+    view.setUint32(8 + data.length, _crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+async function _deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function _concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
@@ -0,0 +1,132 @@
+// Ray casts against height fields y = height(x, z). The terrain displaces its vertices in the
+// shader, so three.js Raycaster only sees the flat chunk grids; these march the ray over the
+// height data instead. Nothing in here touches three.js or the DOM, so it runs under Node.
+
+// Fraction of the local sample spacing advanced per march step, below 1 so rays grazing a
+// ridge between two samples are less likely to step over it
+const MARCH_STEP_SCALE = 0.5;
+
+/**
+ * Intersect a ray with a height field. The ray is marched in steps of the field's local sample
+ * spacing, measured horizontally so no grid cell is skipped. The first step that ends below
+ * the surface is refined by bisection.
+ * @param {{x: number, y: number, z: number}} origin
+ * @param {{x: number, y: number, z: number}} direction - unit length
+ * @param {object} field
+ * @param {Function} field.getHeight - (x, z) => surface height
+ * @param {Function} field.getStep - (x, z) => spacing of the height samples around (x, z)
+ * @param {number} [field.maxHeight] - upper bound of the heights, lets rays above it stop early
+ * @param {object} [options]
+ * @param {number} [options.maxDistance=4096]
+ * @param {number} [options.refineIterations=16] - bisection steps, each halves the error
+ * @returns {{distance: number, x: number, y: number, z: number}|null} first hit, null if none
+ */
+export function raycastHeightField(origin, direction, field, options = {}) {
+    const maxDistance = options.maxDistance ?? 4096;
+    const refineIterations = options.refineIterations ?? 16;
+    const maxHeight = field.maxHeight ?? Infinity;
+
+    const length = Math.hypot(direction.x, direction.y, direction.z);
+    if (!(length > 0) || !Number.isFinite(length)) {
+        throw new Error('raycastHeightField: direction must be a non-zero vector');
+    }
+    const dx = direction.x / length;
+    const dy = direction.y / length;
+    const dz = direction.z / length;
+    const horizontal = Math.hypot(dx, dz);
+
+    // signed height of the ray above the surface at distance t
+    const clearance = (t) => origin.y + dy * t - field.getHeight(origin.x + dx * t, origin.z + dz * t);
+    const hit = (t) => {
+        const x = origin.x + dx * t;
+        const z = origin.z + dz * t;
+        return { distance: t, x, y: field.getHeight(x, z), z };
+    };
+
+    // start where the ray comes down through maxHeight
+    let t = 0.0;
+    if (origin.y > maxHeight) {
+        if (dy >= 0.0) {
+            return null;
+        }
+        t = (maxHeight - origin.y) / dy;
+    }
+
+    if (clearance(t) <= 0.0) {
+        return t <= maxDistance ? hit(t) : null;
+    }
+
+    while (t < maxDistance) {
+        // above the highest point and rising, nothing left to hit
+        if (dy >= 0.0 && origin.y + dy * t > maxHeight) {
+            return null;
+        }
+
+        const step = field.getStep(origin.x + dx * t, origin.z + dz * t) * MARCH_STEP_SCALE;
+        const next = Math.min(t + step / Math.max(horizontal, 1e-6), maxDistance);
+        if (clearance(next) <= 0.0) {
+            // bisect the step that crossed the surface
+            let above = t;
+            let below = next;
+            for (let i = 0; i < refineIterations; i++) {
+                const middle = (above + below) * 0.5;
+                if (clearance(middle) > 0.0) {
+                    above = middle;
+                } else {
+                    below = middle;
+                }
+            }
+            return hit((above + below) * 0.5);
+        }
+
+        t = next;
+    }
+    return null;
+}
+
+/**
+ * Height field over a regular grid, bilinearly interpolated and clamped at the border.
+ * @param {object} grid - { width, height, bounds: {minX, minZ, maxX, maxZ}, heights, maxHeight },
+ *  row-major with row 0 at minZ, see sampleTerrainGrid
+ * @returns {{getHeight: Function, getStep: Function, maxHeight: number}} field for raycastHeightField
+ */
+export function gridHeightField(grid) {
+    const { width, height, bounds, heights } = grid;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 2 || height < 2) {
+        throw new Error('gridHeightField: width and height must be integers of at least 2');
+    }
+    if (heights.length !== width * height) {
+        throw new Error('gridHeightField: heights must hold width * height values');
+    }
+
+    const stepX = (bounds.maxX - bounds.minX) / (width - 1);
+    const stepZ = (bounds.maxZ - bounds.minZ) / (height - 1);
+    let maxHeight = grid.maxHeight;
+    if (!Number.isFinite(maxHeight)) {
+        maxHeight = -Infinity;
+        for (const h of heights) {
+            maxHeight = Math.max(maxHeight, h);
+        }
+    }
+
+    return {
+        getHeight: (x, z) => {
+            const coordX = Math.min(Math.max((x - bounds.minX) / stepX, 0), width - 1);
+            const coordZ = Math.min(Math.max((z - bounds.minZ) / stepZ, 0), height - 1);
+            const col = Math.min(Math.floor(coordX), width - 2);
+            const row = Math.min(Math.floor(coordZ), height - 2);
+            const fx = coordX - col;
+            const fz = coordZ - row;
+
+            const a = heights[row * width + col];
+            const b = heights[row * width + col + 1];
+            const c = heights[(row + 1) * width + col];
+            const d = heights[(row + 1) * width + col + 1];
+            const top = a + (b - a) * fx;
+            const bottom = c + (d - c) * fx;
+            return top + (bottom - top) * fz;
+        },
+        getStep: () => Math.min(stepX, stepZ),
+        maxHeight: maxHeight,
+    };
+}
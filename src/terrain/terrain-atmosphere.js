@@ -140,6 +140,10 @@ export class TerrainAtmosphere {
         this._atmosphereHost.setFog(this._fogParams.enable ? this._fog : null);
     }
 
+    getSky() {
+        return this._sky;
+    }
+
     update(_deltaTime) {
         // TODO: Implement update function 
         return;
@@ -186,7 +190,7 @@ export class TerrainAtmosphere {
             }
             // Position sun light
             this._sunLight.position.copy(
-                position.clone().multiplyScalar(SUNLIGHT_DISTANCE)
+                position.clone().multiplyScalar(SUNLIGHT_DISTANCE).add(this._sunTarget.position)
             );
 
         })(sunPosition);
@@ -200,6 +204,13 @@ export class TerrainAtmosphere {
         this._sunLight.intensity = this._sunParams.intensity;
     }
 
+    // Sky and lights are anchored to the local origin, which the floating origin keeps
+    // near the camera: re-centre the sun target there and re-aim the sun light at it
+    onOriginShift(_delta, _origin) {
+        this._sunTarget.position.set(0, 0, 0);
+        this.onSunSkyChange();
+    }
+
     onFogChange() {
         if (!this._fog) {
             return;
@@ -211,6 +222,13 @@ export class TerrainAtmosphere {
         this._fog.far = this._fogParams.far;
     }
 
+    // GUI params were replaced by a world preset
+    onSettingsLoaded() {
+        this.onSunSkyChange();
+        this.onFogChange();
+        this._atmosphereHost.setFog(this._fogParams.enable ? this._fog : null);
+    }
+
     dispose() {
         this._atmosphereHost?.setFog(null);
 
@@ -0,0 +1,150 @@
+import * as THREE from 'three/webgpu';
+
+export const SEAM_MODES = ['skirts', 'stitching', 'none'];
+
+/**
+ * Build the flat grid geometry of a terrain chunk. Heights are applied in the vertex shader,
+ * so seams are handled purely through topology:
+ *  - 'skirts' appends a strip of vertices below every edge (local z = -skirtDepth), the shader
+ *    displaces them by the edge height so the strip hangs down and hides cracks.
+ *  - 'stitching' collapses edge vertices onto every k-th vertex where the neighbour across
+ *    that edge is k times coarser, so both sides share the same edge segments.
+ *
+ * Vertex layout and winding match THREE.PlaneGeometry: row 0 is local +y, column 0 is local -x.
+ * @param {object} params
+ * @param {number} params.chunkSize
+ * @param {number} params.chunkSegments
+ * @param {string} params.seamMode - one of SEAM_MODES
+ * @param {number} params.skirtDepth
+ * @param {{left: number, right: number, down: number, up: number}} params.edgeRatios -
+ *  neighbour size / chunk size across each edge, in quadtree directions
+ * @returns {THREE.BufferGeometry}
+ */
+export function createTerrainChunkGeometry(params) {
+    if (!Number.isFinite(params.chunkSize) || params.chunkSize <= 0) {
+        throw new Error('createTerrainChunkGeometry: params.chunkSize must be a positive number.');
+    }
+    if (!Number.isInteger(params.chunkSegments) || params.chunkSegments < 1) {
+        throw new Error('createTerrainChunkGeometry: params.chunkSegments must be a positive integer.');
+    }
+
+    const segments = params.chunkSegments;
+    const rowLength = segments + 1;
+    const halfSize = params.chunkSize / 2;
+    const segmentSize = params.chunkSize / segments;
+
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    for (let iy = 0; iy <= segments; iy++) {
+        const y = halfSize - iy * segmentSize;
+        for (let ix = 0; ix <= segments; ix++) {
+            const x = ix * segmentSize - halfSize;
+            positions.push(x, y, 0);
+            normals.push(0, 0, 1);
+            uvs.push(ix / segments, 1 - (iy / segments));
+        }
+    }
+
+    // Chunk edges as ordered vertex indices, keyed by quadtree direction.
+    // Quadtree y runs along world z, which is local -y, so 'down' is row 0.
+    const edges = {
+        down:  [],
+        up:    [],
+        left:  [],
+        right: [],
+    };
+    for (let i = 0; i <= segments; i++) {
+        edges.down.push(i);
+        edges.up.push(segments * rowLength + i);
+        edges.left.push(i * rowLength);
+        edges.right.push(i * rowLength + segments);
+    }
+
+    // vertex remap used to collapse stitched edges
+    const remap = new Uint32Array(rowLength * rowLength);
+    for (let i = 0; i < remap.length; i++) {
+        remap[i] = i;
+    }
+    if (params.seamMode === 'stitching') {
+        for (const direction in edges) {
+            const ratio = params.edgeRatios?.[direction] ?? 1;
+            const stride = Math.min(Math.round(ratio), segments);
+            if (stride <= 1 || segments % stride !== 0) {
+                continue;
+            }
+            const edge = edges[direction];
+            for (let i = 0; i < edge.length; i++) {
+                remap[edge[i]] = edge[Math.floor(i / stride) * stride];
+            }
+        }
+    }
+
+    const indices = [];
+    const pushTriangle = (a, b, c) => {
+        const ra = remap[a];
+        const rb = remap[b];
+        const rc = remap[c];
+        // drop triangles collapsed by stitching
+        if (ra === rb || rb === rc || ra === rc) {
+            return;
+        }
+        indices.push(ra, rb, rc);
+    };
+
+    for (let iy = 0; iy < segments; iy++) {
+        for (let ix = 0; ix < segments; ix++) {
+            const a = ix + rowLength * iy;
+            const b = ix + rowLength * (iy + 1);
+            const c = (ix + 1) + rowLength * (iy + 1);
+            const d = (ix + 1) + rowLength * iy;
+            pushTriangle(a, b, d);
+            pushTriangle(b, c, d);
+        }
+    }
+
+    if (params.seamMode === 'skirts') {
+        const depth = Number.isFinite(params.skirtDepth) ? params.skirtDepth : 0;
+        // outward direction of each edge in local space
+        const outward = {
+            down:  [0, 1],
+            up:    [0, -1],
+            left:  [-1, 0],
+            right: [1, 0],
+        };
+
+        for (const direction in edges) {
+            const edge = edges[direction];
+            const skirtStart = positions.length / 3;
+            for (const index of edge) {
+                positions.push(positions[index * 3], positions[index * 3 + 1], -depth);
+                normals.push(0, 0, 1);
+                uvs.push(uvs[index * 2], uvs[index * 2 + 1]);
+            }
+
+            // Wind each quad so it faces away from the chunk
+            const [ox, oy] = outward[direction];
+            const ex = positions[edge[1] * 3] - positions[edge[0] * 3];
+            const ey = positions[edge[1] * 3 + 1] - positions[edge[0] * 3 + 1];
+            const facesOutward = (ey * ox - ex * oy) > 0;
+            for (let i = 0; i < edge.length - 1; i++) {
+                const p0 = edge[i];
+                const p1 = edge[i + 1];
+                const s0 = skirtStart + i;
+                const s1 = skirtStart + i + 1;
+                if (facesOutward) {
+                    indices.push(p0, s0, p1, p1, s0, s1);
+                } else {
+                    indices.push(p0, p1, s0, p1, s1, s0);
+                }
+            }
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(indices);
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    return geometry;
+}
@@ -0,0 +1,375 @@
+import * as THREE from 'three/webgpu';
+import * as TSL from 'three/tsl';
+import { NoiseGenerator, noiseLatticeCell, noisePermutation } from '../noise';
+import { heightMapResolution } from '../heightmap';
+
+// Gradients picked by each permuted hash: simplex-noise's grad2 (hash % 12) and
+// PerlinGenerator's _grad2 (hash & 7)
+const SIMPLEX_GRADIENTS = [
+    [1, 1], [-1, 1], [1, -1], [-1, -1],
+    [1, 0], [-1, 0], [1, 0], [-1, 0],
+    [0, 1], [0, -1], [0, 1], [0, -1],
+];
+const PERLIN_GRADIENTS = [
+    [1, 1], [-1, 1], [1, -1], [-1, -1],
+    [Math.SQRT2, 0], [-Math.SQRT2, 0], [0, Math.SQRT2], [0, -Math.SQRT2],
+];
+
+// 2D simplex skew and unskew factors
+const F2 = 0.5 * (Math.sqrt(3.0) - 1.0);
+const G2 = (3.0 - Math.sqrt(3.0)) / 6.0;
+
+// Chunks dispatched per frame, bounds the frame time spent on terrain compute
+const MAX_DISPATCHES_PER_FRAME = 4;
+
+// Size of the per-octave cell uniforms, larger octave counts stay on the CPU
+const MAX_OCTAVES = 16;
+
+// Largest difference to the CPU reference, relative to the noise height, before a chunk is reported
+const REFERENCE_TOLERANCE = 1e-3;
+
+// Permutation of the CPU generator for a type and seed, plus the gradient each entry selects
+function createNoiseTables(noiseType, seed) {
+    const perm = noisePermutation(noiseType, seed);
+    const gradX = new Float32Array(perm.length);
+    const gradY = new Float32Array(perm.length);
+    for (let i = 0; i < perm.length; i++) {
+        const gradient = noiseType === 'simplex' ? SIMPLEX_GRADIENTS[perm[i] % 12] : PERLIN_GRADIENTS[perm[i] & 7];
+        gradX[i] = gradient[0];
+        gradY[i] = gradient[1];
+    }
+    return { perm: Int32Array.from(perm), gradX, gradY };
+}
+
+// SimplexGenerator.get2D, i.e. simplex-noise's noise2D, from a skewed cell and the offset within it
+function simplex2D(cell, offset, tables) {
+    // unskewed distance to the cell's first corner
+    const t = offset.x.add(offset.y).mul(G2);
+    const x0 = offset.x.sub(t);
+    const y0 = offset.y.sub(t);
+
+    // lower or upper triangle of the skewed cell
+    const i1 = TSL.select(x0.greaterThan(y0), TSL.int(1), TSL.int(0));
+    const j1 = TSL.int(1).sub(i1);
+    const x1 = x0.sub(i1.toFloat()).add(G2);
+    const y1 = y0.sub(j1.toFloat()).add(G2);
+    const x2 = x0.sub(1.0 - 2.0 * G2);
+    const y2 = y0.sub(1.0 - 2.0 * G2);
+
+    const ii = cell.x.toInt().bitAnd(255);
+    const jj = cell.y.toInt().bitAnd(255);
+    const corner = (gi, x, y) => {
+        const falloff = TSL.max(TSL.float(0.5).sub(x.mul(x)).sub(y.mul(y)), 0.0);
+        const falloff2 = falloff.mul(falloff);
+        return falloff2.mul(falloff2).mul(
+            tables.gradX.element(gi).mul(x).add(tables.gradY.element(gi).mul(y)));
+    };
+
+    const n0 = corner(ii.add(tables.perm.element(jj)), x0, y0);
+    const n1 = corner(ii.add(i1).add(tables.perm.element(jj.add(j1))), x1, y1);
+    const n2 = corner(ii.add(1).add(tables.perm.element(jj.add(1))), x2, y2);
+    return n0.add(n1).add(n2).mul(70.0);
+}
+
+// PerlinGenerator.get2D, from a cell and the offset within it
+function perlin2D(cell, offset, tables) {
+    const xf = offset.x;
+    const yf = offset.y;
+    const X = cell.x.toInt().bitAnd(255);
+    const Y = cell.y.toInt().bitAnd(255);
+    const fade = (t) => t.mul(t).mul(t).mul(t.mul(t.mul(6.0).sub(15.0)).add(10.0));
+    const u = fade(xf);
+    const v = fade(yf);
+
+    const a = tables.perm.element(X).add(Y);
+    const b = tables.perm.element(X.add(1)).add(Y);
+    const grad = (hash, x, y) => tables.gradX.element(hash).mul(x).add(tables.gradY.element(hash).mul(y));
+    return TSL.mix(
+        TSL.mix(grad(a, xf, yf), grad(b, xf.sub(1.0), yf), u),
+        TSL.mix(grad(a.add(1), xf, yf.sub(1.0)), grad(b.add(1), xf.sub(1.0), yf.sub(1.0)), u),
+        v);
+}
+
+// Optional compute backend for chunk heights. Evaluates the plain "Noise" fBm in a TSL compute
+// shader that writes each chunk's heights straight into a storage texture, which the chunk then
+// samples in place of the DataTexture filled on the CPU.
+// The CPU NoiseGenerator stays the reference: the shader repeats its arithmetic on the same
+// permutation tables, so heights agree up to float32 rounding. Each octave's lattice cell at the
+// chunk origin is found on the CPU in double precision and wrapped to the table period, the
+// shader only adds the small offsets from there, so chunks far from the origin stay in step.
+// The heights are also read back, so biomes, vegetation and other CPU consumers see exactly what
+// the GPU draws, and each chunk's first texel is checked against the reference.
+// Jobs are keyed and prioritized like WorkerPool jobs and dispatched from onBeforeRender.
+export class GPUHeightMap {
+    _available  = false;
+    _queue      = [];
+    _jobs       = {};
+    _uniforms   = {};
+    _tables     = null;
+    _tablesKey  = null;
+    _heights    = null;
+    _kernel     = null;
+    _kernelKey  = null;
+    _reference  = null;
+    _warned     = false;
+
+    constructor() {
+        this._uniforms = {
+            // per octave: wrapped lattice cell and offset within it at the chunk origin
+            octaveCells:    TSL.uniformArray(Array.from({ length: MAX_OCTAVES }, () => new THREE.Vector4()), 'vec4'),
+            step:           TSL.uniform(1.0),
+            resolution:     TSL.uniform(0, 'uint'),
+            scale:          TSL.uniform(1.0),
+            octaves:        TSL.uniform(1, 'int'),
+            persistence:    TSL.uniform(0.5),
+            lacunarity:     TSL.uniform(2.0),
+            exponentiation: TSL.uniform(1.0),
+            height:         TSL.uniform(1.0),
+        };
+    }
+
+    /**
+     * Whether the height graph and noise params are covered by the compute shader: the
+     * plain 'noise' node with fBm, without domain warping and with at most MAX_OCTAVES octaves.
+     * @param {object} graph - noise graph description
+     * @param {object} noiseParams
+     * @returns {boolean}
+     */
+    static supportsGraph(graph, noiseParams) {
+        const isWarped = noiseParams.warpLayers > 0 && noiseParams.warpStrength !== 0;
+        return graph.type === 'noise' && graph.params === undefined
+            && (noiseParams.fractalType ?? 'fbm') === 'fbm' && !isWarped
+            && noiseParams.octaves <= MAX_OCTAVES;
+    }
+
+    // True once a renderer that can run the compute shader was seen: the WebGPU backend,
+    // with filterable float32 textures so chunks can sample the storage textures
+    isAvailable() {
+        return this._available;
+    }
+
+    /**
+     * Queue a chunk. Lower priority values are dispatched first.
+     * Enqueuing a key that is already queued or running cancels the earlier job.
+     * @param {string} key
+     * @param {object} request - { noiseParams, centerX, centerY, chunkSize, chunkSegments }
+     * @param {number} priority
+     * @returns {Promise<{heights: Float32Array, texture: THREE.StorageTexture}|null>} null if cancelled
+     */
+    enqueue(key, request, priority = 0) {
+        this.cancel(key);
+
+        return new Promise((resolve, reject) => {
+            const job = { key, request, priority, resolve, reject, cancelled: false };
+            this._jobs[key] = job;
+            this._queue.push(job);
+        });
+    }
+
+    cancel(key) {
+        const job = this._jobs[key];
+        if (!job) {
+            return;
+        }
+
+        // Dispatched jobs drop their texture once the read back completes
+        job.cancelled = true;
+        delete this._jobs[key];
+        const index = this._queue.indexOf(job);
+        if (index !== -1) {
+            this._queue.splice(index, 1);
+        }
+        job.resolve(null);
+    }
+
+    setPriority(key, priority) {
+        const job = this._jobs[key];
+        if (job) {
+            job.priority = priority;
+        }
+    }
+
+    // Called with the renderer before the scene is drawn
+    update(renderer) {
+        this._available = renderer.backend.isWebGPUBackend === true && renderer.hasFeature('float32-filterable');
+        if (!this._available) {
+            return;
+        }
+
+        for (let n = 0; n < MAX_DISPATCHES_PER_FRAME && this._queue.length > 0; n++) {
+            let next = 0;
+            for (let i = 1; i < this._queue.length; i++) {
+                if (this._queue[i].priority < this._queue[next].priority) {
+                    next = i;
+                }
+            }
+            this._dispatch(renderer, this._queue.splice(next, 1)[0]);
+        }
+    }
+
+    _dispatch(renderer, job) {
+        const request = job.request;
+        const resolution = heightMapResolution(request.chunkSegments);
+        const step = request.chunkSize / request.chunkSegments;
+
+        // Same layout and filtering as the CPU DataTexture, see generateHeightData
+        const texture = new THREE.StorageTexture(resolution, resolution);
+        texture.format = THREE.RedFormat;
+        texture.type = THREE.FloatType;
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        texture.wrapS = THREE.ClampToEdgeWrapping;
+        texture.wrapT = THREE.ClampToEdgeWrapping;
+        texture.generateMipmaps = false;
+        texture.mipmapsAutoUpdate = false;
+
+        const noiseParams = request.noiseParams;
+        this._applyNoiseParams(noiseParams);
+        const u = this._uniforms;
+        const originX = request.centerX - request.chunkSize / 2 - step;
+        const originY = request.centerY - request.chunkSize / 2 - step;
+        let frequency = 1.0;
+        for (let o = 0; o < noiseParams.octaves; o++) {
+            const cell = noiseLatticeCell(noiseParams.noiseType,
+                originX / noiseParams.scale * frequency, originY / noiseParams.scale * frequency);
+            u.octaveCells.array[o].fromArray(cell);
+            frequency *= noiseParams.lacunarity;
+        }
+        u.step.value = step;
+        u.resolution.value = resolution;
+
+        // Reference for the first texel, taken now as the params may change before the read back
+        const expected = this._referenceHeight(noiseParams, originX, originY);
+        const tolerance = REFERENCE_TOLERANCE * Math.max(Math.abs(noiseParams.height), 1.0);
+
+        // Uniform driven, so every chunk reuses the same shader with its own output texture
+        const kernel = this._getKernel(texture, noiseParams.noiseType, resolution * resolution);
+        if (kernel.output !== null) {
+            kernel.output.value = texture;
+        }
+        renderer.compute(kernel.computeNode);
+
+        // The copy is queued right behind the dispatch, later dispatches may reuse the buffer
+        renderer.getArrayBufferAsync(this._heights.value).then((buffer) => {
+            if (job.cancelled) {
+                texture.dispose();
+                return;
+            }
+            delete this._jobs[job.key];
+            const heights = new Float32Array(buffer);
+            if (!this._warned && Math.abs(heights[0] - expected) > tolerance) {
+                console.warn(`GPUHeightMap: height ${heights[0]} at (${originX}, ${originY}) `
+                    + `differs from the CPU reference ${expected}`);
+                this._warned = true;
+            }
+            job.resolve({ heights, texture });
+        }).catch((error) => {
+            texture.dispose();
+            if (!job.cancelled) {
+                delete this._jobs[job.key];
+                job.reject(error);
+            }
+        });
+    }
+
+    // Kernel for the current tables and texel count. Its output texture node only exists once
+    // the first dispatch has built the shader, bound to the texture the kernel was created with.
+    _getKernel(texture, noiseType, count) {
+        const kernelKey = this._tablesKey + ':' + count;
+        if (kernelKey !== this._kernelKey) {
+            this._kernel?.computeNode.dispose();
+            this._heights = TSL.instancedArray(count, 'float');
+            this._kernel = this._createKernel(texture, noiseType, count);
+            this._kernelKey = kernelKey;
+        }
+        return this._kernel;
+    }
+
+    // Mirrors NoiseGenerator._fbm followed by exponentiation and height
+    _createKernel(texture, noiseType, count) {
+        const u = this._uniforms;
+        const tables = this._tables;
+        const noise = noiseType === 'perlin' ? perlin2D : simplex2D;
+        // offsets into the noise's lattice space, simplex cells are skewed
+        const skew = noiseType === 'perlin' ? (p) => p : (p) => p.add(p.x.add(p.y).mul(F2));
+        const heights = this._heights;
+        const kernel = { computeNode: null, output: null };
+
+        kernel.computeNode = TSL.Fn(() => {
+            const index = TSL.instanceIndex;
+            TSL.If(index.lessThan(u.resolution.mul(u.resolution)), () => {
+                const col = index.mod(u.resolution);
+                const row = index.div(u.resolution);
+                // noise-space offset from the chunk origin, small enough for float32
+                const local = TSL.vec2(col.toFloat(), row.toFloat()).mul(u.step).div(u.scale).toVar();
+
+                const amplitude = TSL.float(1.0).toVar();
+                const frequency = TSL.float(1.0).toVar();
+                const normalization = TSL.float(0.0).toVar();
+                const total = TSL.float(0.0).toVar();
+                TSL.Loop({ start: 0, end: u.octaves, type: 'int', condition: '<' }, ({ i }) => {
+                    const origin = u.octaveCells.element(i);
+                    const lattice = origin.zw.add(skew(local.mul(frequency))).toVar();
+                    const cell = TSL.floor(lattice);
+                    const noiseValue = noise(origin.xy.add(cell), lattice.sub(cell), tables).mul(0.5).add(0.5);
+                    total.addAssign(noiseValue.mul(amplitude));
+                    normalization.addAssign(amplitude);
+                    amplitude.mulAssign(u.persistence);
+                    frequency.mulAssign(u.lacunarity);
+                });
+                const height = TSL.pow(total.div(normalization), u.exponentiation).mul(u.height);
+
+                heights.element(index).assign(height);
+                kernel.output = TSL.textureStore(texture, TSL.uvec2(col, row), TSL.vec4(height, 0.0, 0.0, 1.0)).toWriteOnly();
+            });
+        })().compute(count);
+
+        return kernel;
+    }
+
+    _applyNoiseParams(noiseParams) {
+        const u = this._uniforms;
+        u.scale.value = noiseParams.scale;
+        u.octaves.value = noiseParams.octaves;
+        u.persistence.value = noiseParams.persistence;
+        u.lacunarity.value = noiseParams.lacunarity;
+        u.exponentiation.value = noiseParams.exponentiation;
+        u.height.value = noiseParams.height;
+
+        // tables only change with the noise type and seed
+        const tablesKey = noiseParams.noiseType + ':' + noiseParams.seed;
+        if (tablesKey !== this._tablesKey) {
+            const tables = createNoiseTables(noiseParams.noiseType, noiseParams.seed);
+            this._tables = {
+                perm: TSL.instancedArray(tables.perm, 'int').toReadOnly(),
+                gradX: TSL.instancedArray(tables.gradX, 'float').toReadOnly(),
+                gradY: TSL.instancedArray(tables.gradY, 'float').toReadOnly(),
+            };
+            this._tablesKey = tablesKey;
+        }
+    }
+
+    // Height NoiseGenerator, the reference the CPU chunks use, gives at a point
+    _referenceHeight(noiseParams, x, y) {
+        if (this._reference === null) {
+            this._reference = new NoiseGenerator(noiseParams);
+        } else {
+            this._reference.setParams(noiseParams);
+        }
+        return this._reference.get2D(x, y);
+    }
+
+    dispose() {
+        for (const key in this._jobs) {
+            this.cancel(key);
+        }
+        this._queue = [];
+        this._kernel?.computeNode.dispose();
+        this._kernel = null;
+        this._kernelKey = null;
+        this._tables = null;
+        this._tablesKey = null;
+        this._heights = null;
+        this._reference = null;
+    }
+}
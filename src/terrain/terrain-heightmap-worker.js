@@ -0,0 +1,46 @@
+import { handleGridRequest, handleHeightMapRequest, handleTileRequest, setHeightImages } from '../heightmap.js';
+
+// Heightmap worker entry point. Runs as a browser module worker, or under
+// Node's worker_threads for headless use.
+const handleRequest = (request, reply) => {
+    if (request.tile) {
+        reply(handleTileRequest(request), []);
+        return;
+    }
+    if (request.grid) {
+        const grid = handleGridRequest(request);
+        reply(grid, [grid.heights.buffer]);
+        return;
+    }
+    const response = handleHeightMapRequest(request);
+    reply(response, [response.heights.buffer, response.biomes.buffer]);
+};
+
+const onRequest = (request, reply) => {
+    // height images are broadcast ahead of the requests that use them and get no reply
+    if (request.heightImages) {
+        setHeightImages(request.heightImages);
+        return;
+    }
+    // a failed request is reported to the pool so the worker stays alive for the next one
+    try {
+        handleRequest(request, reply);
+    } catch (error) {
+        reply({ error: String(error?.message ?? error) }, []);
+    }
+};
+
+if (typeof globalThis.WorkerGlobalScope !== 'undefined') {
+    globalThis.onmessage = (event) => {
+        onRequest(event.data, (response, transfer) => globalThis.postMessage(response, transfer));
+    };
+} else {
+    import('node:worker_threads').then(({ parentPort }) => {
+        if (!parentPort) {
+            throw new Error('terrain-heightmap-worker: must be started as a worker');
+        }
+        parentPort.on('message', (request) => {
+            onRequest(request, (response, transfer) => parentPort.postMessage(response, transfer));
+        });
+    });
+}
@@ -0,0 +1,243 @@
+import * as THREE from 'three/webgpu';
+import * as TSL from 'three/tsl';
+import { mulberry32 } from '../util';
+import { BIOMES } from '../biome';
+
+export const MATERIAL_LAYERS = ['grass', 'dirt', 'rock', 'snow'];
+export const TEXTURE_SCALES = [4, 8, 16, 32, 64];
+
+// Texture coordinates are taken relative to the chunk offset modulo this period so they stay
+// small on the GPU far from the origin. Every entry of TEXTURE_SCALES divides it, so tiling
+// remains continuous across chunk borders.
+const TILE_PERIOD = 4096;
+const DETAIL_TEXTURE_SIZE = 128;
+
+/**
+ * Tileable greyscale detail texture (value noise) used as the default texture of a layer.
+ * @param {number} seed
+ * @param {number} size - texture width and height in texels
+ * @returns {THREE.DataTexture}
+ */
+export function createDetailTexture(seed, size = DETAIL_TEXTURE_SIZE) {
+    const random = mulberry32(seed);
+    const data = new Uint8Array(size * size * 4);
+    const values = new Float32Array(size * size);
+
+    let amplitude = 1.0;
+    let normalization = 0.0;
+    for (let cells = 4; cells <= size / 4; cells *= 2) {
+        // lattice wraps around so the texture tiles seamlessly
+        const lattice = new Float32Array(cells * cells);
+        for (let i = 0; i < lattice.length; i++) {
+            lattice[i] = random();
+        }
+
+        for (let y = 0; y < size; y++) {
+            const fy = (y / size) * cells;
+            const y0 = Math.floor(fy);
+            const ty = fy - y0;
+            const sy = ty * ty * (3 - 2 * ty);
+            for (let x = 0; x < size; x++) {
+                const fx = (x / size) * cells;
+                const x0 = Math.floor(fx);
+                const tx = fx - x0;
+                const sx = tx * tx * (3 - 2 * tx);
+
+                const a = lattice[(y0 % cells) * cells + (x0 % cells)];
+                const b = lattice[(y0 % cells) * cells + ((x0 + 1) % cells)];
+                const c = lattice[((y0 + 1) % cells) * cells + (x0 % cells)];
+                const d = lattice[((y0 + 1) % cells) * cells + ((x0 + 1) % cells)];
+                const top = a + (b - a) * sx;
+                const bottom = c + (d - c) * sx;
+                values[y * size + x] += (top + (bottom - top) * sy) * amplitude;
+            }
+        }
+        normalization += amplitude;
+        amplitude *= 0.5;
+    }
+
+    for (let i = 0; i < values.length; i++) {
+        const v = Math.round((values[i] / normalization) * 255);
+        data[i * 4] = v;
+        data[i * 4 + 1] = v;
+        data[i * 4 + 2] = v;
+        data[i * 4 + 3] = 255;
+    }
+
+    const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat, THREE.UnsignedByteType);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.generateMipmaps = true;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// Shared terrain surface description. Holds the uniforms and layer textures every chunk
+// material reads, so GUI edits apply to all chunks without rebuilding their shaders.
+// Layers: grass is the base, dirt gathers in concave areas (curvature), rock covers slopes
+// steeper than the rock angle, snow covers ground above the snow line unless it is too steep.
+// The grass layer is tinted towards the colour of the biomes baked for each chunk.
+export class TerrainMaterial {
+    _params         = null;
+    _uniforms       = {};
+    _textureNodes   = {};
+    _textures       = {};
+
+    constructor(params) {
+        this._params = params;
+
+        // transition bands as [min, max] pairs for smoothstep
+        this._uniforms = {
+            useTextures:        TSL.uniform(0.0),
+            rockSlopeMin:       TSL.uniform(0.0),
+            rockSlopeMax:       TSL.uniform(0.0),
+            snowHeightMin:      TSL.uniform(0.0),
+            snowHeightMax:      TSL.uniform(0.0),
+            snowSlopeMin:       TSL.uniform(0.0),
+            snowSlopeMax:       TSL.uniform(0.0),
+            curvatureStrength:  TSL.uniform(0.0),
+            biomeTint:          TSL.uniform(0.0),
+            biomeColors:        TSL.uniformArray(BIOMES.map((b) => new THREE.Color(b.color)), 'color'),
+        };
+        for (const layer of MATERIAL_LAYERS) {
+            this._uniforms[layer + 'Color'] = TSL.uniform(new THREE.Color());
+            this._uniforms[layer + 'Scale'] = TSL.uniform(1.0);
+
+            this._textures[layer] = createDetailTexture(MATERIAL_LAYERS.indexOf(layer) + 1);
+            this._textureNodes[layer] = TSL.texture(this._textures[layer]);
+        }
+
+        this.update();
+    }
+
+    // Push the current GUI params into the shared uniforms
+    update() {
+        const p = this._params;
+        const u = this._uniforms;
+
+        // slopes are compared as 1 - cos(angle), which is what 1 - normal.z yields
+        const slopeBand = (degrees) => {
+            const toSlope = (angle) => 1.0 - Math.cos(THREE.MathUtils.degToRad(THREE.MathUtils.clamp(angle, 0.0, 90.0)));
+            const low = toSlope(degrees - p.slopeBlend);
+            // keep the band non-empty so smoothstep stays defined
+            return [low, Math.max(toSlope(degrees + p.slopeBlend), low + 1e-4)];
+        };
+
+        u.useTextures.value = p.useTextures ? 1.0 : 0.0;
+        [u.rockSlopeMin.value, u.rockSlopeMax.value] = slopeBand(p.rockSlope);
+        [u.snowSlopeMin.value, u.snowSlopeMax.value] = slopeBand(p.snowMaxSlope);
+        u.snowHeightMin.value = p.snowHeight - p.heightBlend;
+        u.snowHeightMax.value = p.snowHeight + Math.max(p.heightBlend, 1e-4);
+        u.curvatureStrength.value = p.curvatureStrength;
+        u.biomeTint.value = p.biomeTint;
+
+        for (const layer of MATERIAL_LAYERS) {
+            u[layer + 'Color'].value.set(p[layer + 'Color']);
+            u[layer + 'Scale'].value = 1.0 / p[layer + 'TextureScale'];
+        }
+    }
+
+    /**
+     * Current layer transition bands, for computing the layer weights outside the shader.
+     * @returns {{rockSlope: number[], snowHeight: number[], snowSlope: number[], curvatureStrength: number}}
+     */
+    getSplatBands() {
+        const u = this._uniforms;
+        return {
+            rockSlope: [u.rockSlopeMin.value, u.rockSlopeMax.value],
+            snowHeight: [u.snowHeightMin.value, u.snowHeightMax.value],
+            snowSlope: [u.snowSlopeMin.value, u.snowSlopeMax.value],
+            curvatureStrength: u.curvatureStrength.value,
+        };
+    }
+
+    /**
+     * Replace the tiled texture of a layer, e.g. with an artist texture.
+     * @param {string} layer - one of MATERIAL_LAYERS
+     * @param {THREE.Texture} texture - should use RepeatWrapping
+     */
+    setLayerTexture(layer, texture) {
+        if (!MATERIAL_LAYERS.includes(layer)) {
+            throw new Error(`TerrainMaterial.setLayerTexture: unknown layer '${layer}'`);
+        }
+        if (!texture) {
+            throw new Error('TerrainMaterial.setLayerTexture: texture is required');
+        }
+
+        const oldTexture = this._textures[layer];
+        this._textureNodes[layer].value = texture;
+        this._textures[layer] = texture;
+        oldTexture?.dispose();
+    }
+
+    /**
+     * Colour node for one chunk.
+     * @param {object} params
+     * @param {Node<float>} params.heightNode - displaced height
+     * @param {Node<vec3>} params.normalNode - chunk local normal, z up
+     * @param {Node<float>} params.curvatureNode - height Laplacian, positive in valleys
+     * @param {Node<vec4>} params.biomeNode - biome texel, see generateBiomeData
+     * @param {THREE.Vector2} params.offset - absolute chunk offset
+     * @returns {Node<vec3>}
+     */
+    createColorNode(params) {
+        const u = this._uniforms;
+
+        const tileOffset = TSL.vec2(
+            THREE.MathUtils.euclideanModulo(params.offset.x, TILE_PERIOD),
+            THREE.MathUtils.euclideanModulo(params.offset.y, TILE_PERIOD)
+        );
+        const position = TSL.vec3(TSL.positionLocal.xy.add(tileOffset), params.heightNode);
+        const normal = params.normalNode;
+
+        // Triplanar weights: the top projection dominates on flat ground, the side
+        // projections take over on cliffs so textures do not smear
+        const weights = normal.abs().pow(TSL.vec3(4.0));
+        const triplanarWeights = weights.div(weights.x.add(weights.y).add(weights.z));
+
+        const layerColor = (layer) => {
+            const textureNode = this._textureNodes[layer];
+            const scaled = position.mul(u[layer + 'Scale']);
+            const detail = textureNode.sample(scaled.yz).r.mul(triplanarWeights.x)
+                .add(textureNode.sample(scaled.xz).r.mul(triplanarWeights.y))
+                .add(textureNode.sample(scaled.xy).r.mul(triplanarWeights.z));
+
+            // detail textures average 0.5, so scale by 2 to keep the layer colour's brightness
+            const modulation = TSL.mix(TSL.float(1.0), detail.mul(2.0), u.useTextures);
+            return u[layer + 'Color'].mul(modulation);
+        };
+
+        const slope = TSL.float(1.0).sub(normal.z);
+
+        const dirtWeight = params.curvatureNode.mul(u.curvatureStrength).clamp(0.0, 1.0);
+        const rockWeight = TSL.smoothstep(u.rockSlopeMin, u.rockSlopeMax, slope);
+        const snowWeight = TSL.smoothstep(u.snowHeightMin, u.snowHeightMax, params.heightNode)
+            .mul(TSL.float(1.0).sub(TSL.smoothstep(u.snowSlopeMin, u.snowSlopeMax, slope)));
+
+        // Biome texels store byte values: two biome indices and the blend weight of the second
+        const biome = params.biomeNode.mul(255.0).round();
+        const biomeColor = TSL.mix(
+            u.biomeColors.element(biome.x.toInt()),
+            u.biomeColors.element(biome.y.toInt()),
+            biome.z.div(255.0)
+        );
+        const grassColor = layerColor('grass');
+
+        let color = TSL.mix(grassColor, biomeColor, u.biomeTint);
+        color = TSL.mix(color, layerColor('dirt'), dirtWeight);
+        color = TSL.mix(color, layerColor('rock'), rockWeight);
+        color = TSL.mix(color, layerColor('snow'), snowWeight);
+        return color;
+    }
+
+    dispose() {
+        for (const layer in this._textures) {
+            this._textures[layer].dispose();
+        }
+        this._textures = {};
+        this._textureNodes = {};
+        this._uniforms = {};
+    }
+}
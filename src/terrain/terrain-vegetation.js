@@ -0,0 +1,244 @@
+import * as THREE from 'three/webgpu';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { mulberry32 } from '../util';
+import { BIOMES } from '../biome';
+import { heightMapResolution } from '../heightmap';
+import { sampleGrid } from '../tiled-field';
+
+// Scattered object types. spacing is the jittered grid spacing at density 1 on the finest
+// LOD; maxLevel is the coarsest LOD level (0 = finest chunks) that still carries the type;
+// biomes scale the chance of keeping a sample, unlisted biomes use defaultBiomeWeight.
+export const VEGETATION_TYPES = {
+    tree: {
+        spacing: 10.0, maxLevel: 3, scale: 1.0,
+        maxHeight: 12.0, maxSlope: 30.0,
+        defaultBiomeWeight: 0.2,
+        biomes: { 'taiga': 1.0, 'temperate forest': 1.0, 'temperate rainforest': 1.0, 'tropical rainforest': 1.0, 'savanna': 0.3, 'desert': 0.0, 'alpine': 0.0 },
+    },
+    bush: {
+        spacing: 8.0, maxLevel: 1, scale: 1.0,
+        maxHeight: 14.0, maxSlope: 35.0,
+        defaultBiomeWeight: 0.5,
+        biomes: { 'savanna': 1.0, 'temperate grassland': 0.6, 'desert': 0.2, 'alpine': 0.1 },
+    },
+    grass: {
+        spacing: 3.0, maxLevel: 0, scale: 1.0,
+        maxHeight: 10.0, maxSlope: 25.0,
+        defaultBiomeWeight: 0.6,
+        biomes: { 'temperate grassland': 1.0, 'savanna': 1.0, 'temperate forest': 0.8, 'desert': 0.05, 'tundra': 0.3, 'alpine': 0.1 },
+    },
+    rock: {
+        spacing: 12.0, maxLevel: 2, scale: 1.0,
+        maxHeight: Infinity, maxSlope: 60.0,
+        defaultBiomeWeight: 0.3,
+        biomes: { 'alpine': 1.0, 'tundra': 0.8, 'desert': 0.8 },
+    },
+};
+
+// Random numbers drawn per grid cell, fixed so every cell consumes the same sequence length
+const RANDOMS_PER_SAMPLE = 5;
+
+/**
+ * Deterministic jittered grid placement of one vegetation type over a chunk.
+ * Positions are chunk local (x, y) with z the terrain height, matching the chunk mesh.
+ * @param {object} params
+ * @param {string} params.type - key of VEGETATION_TYPES
+ * @param {string} params.key - chunk key, seeds the placement together with params.seed
+ * @param {number} params.seed
+ * @param {Float32Array} params.heights - chunk heights, see generateHeightData
+ * @param {Uint8Array} params.biomes - chunk biomes, see generateBiomeData
+ * @param {number} params.chunkSize
+ * @param {number} params.chunkSegments
+ * @param {number} params.density - multiplier of the type's base density
+ * @param {number} params.level - LOD level, 0 for the finest chunks
+ * @param {number} params.lodFalloff - density multiplier per LOD level
+ * @param {number} params.minHeight - nothing is placed below, e.g. the sea level
+ * @returns {Float32Array} packed [x, y, z, rotation, scale] per instance
+ */
+export function scatterVegetation(params) {
+    const type = VEGETATION_TYPES[params.type];
+    if (!type) {
+        throw new Error(`scatterVegetation: unknown vegetation type '${params.type}'`);
+    }
+
+    const density = params.density * Math.pow(params.lodFalloff, params.level);
+    if (params.level > type.maxLevel || density <= 0) {
+        return new Float32Array(0);
+    }
+
+    const size = params.chunkSize;
+    const resolution = heightMapResolution(params.chunkSegments);
+    const step = size / params.chunkSegments;
+    const cells = Math.max(Math.floor(size / (type.spacing / Math.sqrt(density))), 1);
+    const cellSize = size / cells;
+    const maxSlopeCos = Math.cos(THREE.MathUtils.degToRad(type.maxSlope));
+    const random = mulberry32(_hashKey(params.type + ':' + params.key, params.seed));
+
+    // texel coordinates of a chunk local position, past the 1 texel border
+    const heightAt = (col, row) => sampleGrid(params.heights, resolution, col, row);
+
+    const instances = [];
+    for (let j = 0; j < cells; j++) {
+        for (let i = 0; i < cells; i++) {
+            const [jitterX, jitterY, keep, rotation, scale] = Array.from({ length: RANDOMS_PER_SAMPLE }, random);
+            const x = (i + jitterX) * cellSize - size / 2;
+            const y = (j + jitterY) * cellSize - size / 2;
+            const col = (x + size / 2) / step + 1;
+            const row = (y + size / 2) / step + 1;
+
+            const height = heightAt(col, row);
+            if (height < params.minHeight || height > type.maxHeight) {
+                continue;
+            }
+
+            const gradientX = (heightAt(col + 1, row) - heightAt(col - 1, row)) / (2 * step);
+            const gradientY = (heightAt(col, row + 1) - heightAt(col, row - 1)) / (2 * step);
+            const normalZ = 1 / Math.sqrt(1 + gradientX * gradientX + gradientY * gradientY);
+            if (normalZ < maxSlopeCos) {
+                continue;
+            }
+
+            const texel = Math.round(row) * resolution + Math.round(col);
+            const biome = BIOMES[params.biomes[texel * 4]]?.name;
+            if (keep >= (type.biomes[biome] ?? type.defaultBiomeWeight)) {
+                continue;
+            }
+
+            instances.push(x, y, height, rotation * Math.PI * 2, type.scale * (0.7 + scale * 0.6));
+        }
+    }
+    return new Float32Array(instances);
+}
+
+// FNV-1a hash of the key mixed with the seed
+function _hashKey(key, seed) {
+    let h = 0x811C9DC5 ^ (seed | 0);
+    for (let i = 0; i < key.length; i++) {
+        h = Math.imul(h ^ key.charCodeAt(i), 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// Placeholder procedural geometry, modelled y up and rotated so y maps to chunk local z
+function _createGeometry(type) {
+    const colored = (geometry, color) => {
+        const c = new THREE.Color(color);
+        const colors = new Float32Array(geometry.attributes.position.count * 3);
+        for (let i = 0; i < colors.length; i += 3) {
+            colors[i] = c.r;
+            colors[i + 1] = c.g;
+            colors[i + 2] = c.b;
+        }
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        return geometry;
+    };
+
+    let geometry = null;
+    switch (type) {
+        case 'tree': {
+            const trunk = colored(new THREE.CylinderGeometry(0.15, 0.25, 1.5, 5).translate(0, 0.75, 0), '#5a3e26');
+            const crown = colored(new THREE.ConeGeometry(1.2, 4.0, 7).translate(0, 3.2, 0), '#2f5a2c');
+            geometry = mergeGeometries([trunk, crown]);
+            trunk.dispose();
+            crown.dispose();
+            break;
+        }
+        case 'bush':
+            geometry = colored(new THREE.IcosahedronGeometry(0.8, 0).scale(1.0, 0.7, 1.0).translate(0, 0.4, 0), '#48663a');
+            break;
+        case 'grass':
+            geometry = colored(new THREE.ConeGeometry(0.15, 0.8, 3).translate(0, 0.4, 0), '#6f8f3e');
+            break;
+        case 'rock':
+            geometry = colored(new THREE.DodecahedronGeometry(0.7, 0).scale(1.2, 0.6, 1.0).translate(0, 0.15, 0), '#77736d');
+            break;
+        default:
+            throw new Error(`TerrainVegetation: no geometry for vegetation type '${type}'`);
+    }
+    return geometry.rotateX(Math.PI / 2);
+}
+
+// Shared geometry and materials of the scattered objects, and the per-chunk instancing.
+// Chunks own their instanced meshes; the geometry and materials live here.
+export class TerrainVegetation {
+    _params     = null;
+    _geometries = {};
+    _material   = null;
+
+    constructor(params) {
+        this._params = params;
+        for (const type in VEGETATION_TYPES) {
+            this._geometries[type] = _createGeometry(type);
+        }
+        this._material = new THREE.MeshLambertNodeMaterial({ vertexColors: true });
+    }
+
+    /**
+     * Instanced meshes scattered over one chunk.
+     * @param {object} params
+     * @param {string} params.key - chunk key
+     * @param {number} params.seed
+     * @param {{heights: Float32Array, biomes: Uint8Array}} params.data - chunk height data
+     * @param {number} params.chunkSize
+     * @param {number} params.chunkSegments
+     * @param {number} params.level - LOD level, 0 for the finest chunks
+     * @param {number} params.minHeight
+     * @returns {THREE.Group|null} group of InstancedMesh, null when disabled or empty
+     */
+    createInstances(params) {
+        if (!this._params.enabled) {
+            return null;
+        }
+
+        const group = new THREE.Group();
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        const up = new THREE.Vector3(0, 0, 1);
+
+        for (const type in VEGETATION_TYPES) {
+            const instances = scatterVegetation({
+                type,
+                key: params.key,
+                seed: params.seed,
+                heights: params.data.heights,
+                biomes: params.data.biomes,
+                chunkSize: params.chunkSize,
+                chunkSegments: params.chunkSegments,
+                density: this._params[type + 'Density'],
+                level: params.level,
+                lodFalloff: this._params.lodFalloff,
+                minHeight: params.minHeight,
+            });
+            const count = instances.length / 5;
+            if (count === 0) {
+                continue;
+            }
+
+            const mesh = new THREE.InstancedMesh(this._geometries[type], this._material, count);
+            for (let i = 0; i < count; i++) {
+                const s = instances[i * 5 + 4];
+                // sink slightly so objects on slopes do not float
+                position.set(instances[i * 5], instances[i * 5 + 1], instances[i * 5 + 2] - 0.1 * s);
+                rotation.setFromAxisAngle(up, instances[i * 5 + 3]);
+                scale.setScalar(s);
+                mesh.setMatrixAt(i, matrix.compose(position, rotation, scale));
+            }
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.computeBoundingSphere();
+            group.add(mesh);
+        }
+
+        return group.children.length > 0 ? group : null;
+    }
+
+    dispose() {
+        for (const type in this._geometries) {
+            this._geometries[type].dispose();
+        }
+        this._geometries = {};
+        this._material?.dispose();
+        this._material = null;
+    }
+}
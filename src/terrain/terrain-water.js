@@ -0,0 +1,303 @@
+import * as THREE from 'three/webgpu';
+import * as TSL from 'three/tsl';
+import { createDetailTexture } from './terrain-material';
+
+const WATER_SIZE = 8192;
+const WATER_NORMAL_SEED = 7;
+const WATER_NORMAL_SIZE = 256;
+const WATER_NORMAL_STRENGTH = 8.0;
+// reflectance of water seen head on
+const WATER_F0 = 0.02;
+const SUN_SHININESS = 512.0;
+// wave coordinates wrap at this period, a multiple of every wave scale times 4, so they stay precise
+const WAVE_PERIOD = 4096;
+const WAVE_SCALES = [8, 16, 32, 64, 128];
+
+// The sky is rendered into a small cube map on its own layer, so the reflection sees only the sky
+const SKY_REFLECTION_LAYER = 1;
+const SKY_REFLECTION_SIZE = 64;
+
+/**
+ * Tileable tangent space normal map built from a detail texture used as a height field.
+ * @param {number} seed
+ * @param {number} size - texture width and height in texels
+ * @returns {THREE.DataTexture}
+ */
+export function createWaterNormalTexture(seed, size = WATER_NORMAL_SIZE) {
+    const heightTexture = createDetailTexture(seed, size);
+    const heights = heightTexture.image.data;
+    heightTexture.dispose();
+
+    const heightAt = (x, y) => heights[(((y + size) % size) * size + ((x + size) % size)) * 4] / 255;
+    const data = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const dx = (heightAt(x + 1, y) - heightAt(x - 1, y)) * WATER_NORMAL_STRENGTH;
+            const dy = (heightAt(x, y + 1) - heightAt(x, y - 1)) * WATER_NORMAL_STRENGTH;
+            const length = Math.hypot(dx, dy, 1.0);
+
+            const i = (y * size + x) * 4;
+            data[i]     = Math.round((-dx / length * 0.5 + 0.5) * 255);
+            data[i + 1] = Math.round((-dy / length * 0.5 + 0.5) * 255);
+            data[i + 2] = Math.round((1.0 / length * 0.5 + 0.5) * 255);
+            data[i + 3] = 255;
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat, THREE.UnsignedByteType);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.generateMipmaps = true;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// Water surface at sea level. A single large plane follows the camera; its colour combines
+// the reflected sky (Fresnel weighted), light absorbed on the way down to the terrain below,
+// which is read back from the depth buffer, and foam where the water gets shallow.
+export class TerrainWater {
+    _waterHost      = null;
+    _waterParams    = {};
+    _waterRollup    = null;
+    _mesh           = null;
+    _material       = null;
+    _normalTexture  = null;
+    _uniforms       = {};
+    _skyCamera      = null;
+    _skyTarget      = null;
+    _skyState       = null;
+
+    constructor(params) {
+        // guard check params are valid
+        if (typeof params.waterHost?.getCamera !== 'function' || typeof params.waterHost?.getSky !== 'function') {
+            throw new Error('TerrainWater: params.waterHost must provide getCamera and getSky functions.');
+        }
+        this._waterHost = params.waterHost;
+
+        // Setup GUI controls for water
+        params.guiParams.water = {
+            enabled: true,
+            seaLevel: 0.5,
+            shallowColor: '#3f9c9a',
+            deepColor: '#0b2f4a',
+            foamColor: '#f4f8fa',
+            clarity: 4.0,
+            foamWidth: 0.6,
+            waveSpeed: 1.0,
+            waveScale: 32.0,
+            waveStrength: 0.4,
+        };
+        this._waterParams = params.guiParams.water;
+
+        this._waterRollup = params.gui.addFolder("Water");
+        this._waterRollup.add(this._waterParams, "enabled")
+            .onChange(() => { this.onWaterChange(); })
+            .name("enabled");
+        this._waterRollup.add(this._waterParams, "seaLevel", -32.0, 32.0)
+            .onChange(() => { this.onWaterChange(); })
+            .name("sea level");
+        this._waterRollup.addColor(this._waterParams, "shallowColor")
+            .onChange(() => { this.onWaterChange(); })
+            .name("shallow color");
+        this._waterRollup.addColor(this._waterParams, "deepColor")
+            .onChange(() => { this.onWaterChange(); })
+            .name("deep color");
+        this._waterRollup.addColor(this._waterParams, "foamColor")
+            .onChange(() => { this.onWaterChange(); })
+            .name("foam color");
+        this._waterRollup.add(this._waterParams, "clarity", 0.1, 32.0)
+            .onChange(() => { this.onWaterChange(); })
+            .name("clarity (depth)");
+        this._waterRollup.add(this._waterParams, "foamWidth", 0.0, 4.0)
+            .onChange(() => { this.onWaterChange(); })
+            .name("foam width");
+        this._waterRollup.add(this._waterParams, "waveSpeed", 0.0, 4.0)
+            .onChange(() => { this.onWaterChange(); })
+            .name("wave speed");
+        this._waterRollup.add(this._waterParams, "waveScale", WAVE_SCALES)
+            .onChange(() => { this.onWaterChange(); })
+            .name("wave scale");
+        this._waterRollup.add(this._waterParams, "waveStrength", 0.0, 1.0)
+            .onChange(() => { this.onWaterChange(); })
+            .name("wave strength");
+
+        // Sky reflection
+        const sky = this._waterHost.getSky();
+        sky.layers.enable(SKY_REFLECTION_LAYER);
+        this._skyTarget = new THREE.CubeRenderTarget(SKY_REFLECTION_SIZE);
+        this._skyCamera = new THREE.CubeCamera(1, sky.scale.x * 2, this._skyTarget);
+        for (const camera of this._skyCamera.children) {
+            camera.layers.set(SKY_REFLECTION_LAYER);
+        }
+
+        this._uniforms = {
+            shallowColor:   TSL.uniform(new THREE.Color()),
+            deepColor:      TSL.uniform(new THREE.Color()),
+            foamColor:      TSL.uniform(new THREE.Color()),
+            clarity:        TSL.uniform(1.0),
+            foamWidth:      TSL.uniform(1.0),
+            waveScale:      TSL.uniform(1.0),
+            waveStrength:   TSL.uniform(1.0),
+            waveTime:       TSL.uniform(0.0),
+            waveOffset:     TSL.uniform(new THREE.Vector2()),
+        };
+
+        this._normalTexture = createWaterNormalTexture(WATER_NORMAL_SEED);
+        this._material = this._createMaterial(sky);
+
+        this._mesh = new THREE.Mesh(new THREE.PlaneGeometry(WATER_SIZE, WATER_SIZE), this._material);
+        this._mesh.rotation.x = -Math.PI / 2;
+        // drawn after the terrain, whose depth it reads
+        this._mesh.renderOrder = 1;
+        params.scene.add(this._mesh);
+
+        this.onWaterChange();
+    }
+
+    _createMaterial(sky) {
+        const u = this._uniforms;
+        const normalMap = TSL.texture(this._normalTexture);
+
+        // Two normal map layers scrolling in different directions at different scales
+        const wavePosition = TSL.positionWorld.xz.add(u.waveOffset);
+        const uvA = wavePosition.div(u.waveScale).add(TSL.vec2(0.031, 0.017).mul(u.waveTime));
+        const uvB = wavePosition.div(u.waveScale.mul(4.0)).add(TSL.vec2(-0.013, 0.023).mul(u.waveTime));
+        const normalA = normalMap.sample(uvA).xyz.mul(2.0).sub(1.0);
+        const normalB = normalMap.sample(uvB).xyz.mul(2.0).sub(1.0);
+
+        // texture x runs along world x and texture y along world z
+        const slope = normalA.xy.add(normalB.xy).mul(u.waveStrength);
+        const normal = TSL.vec3(slope.x, 1.0, slope.y).normalize();
+
+        const viewDirection = TSL.cameraPosition.sub(TSL.positionWorld).normalize();
+        const cosTheta = TSL.max(TSL.dot(normal, viewDirection), 0.0);
+        const fresnel = TSL.float(WATER_F0).add(TSL.float(1.0 - WATER_F0).mul(TSL.pow(TSL.float(1.0).sub(cosTheta), 5.0)));
+
+        // keep reflections above the horizon, the sky cube map has nothing useful below it
+        const reflected = TSL.reflect(viewDirection.negate(), normal);
+        const reflectDirection = TSL.vec3(reflected.x, TSL.abs(reflected.y), reflected.z);
+        const skyColor = TSL.cubeTexture(this._skyTarget.texture, reflectDirection).rgb;
+        const sunDirection = sky.sunPosition.normalize();
+        const sunHighlight = TSL.pow(TSL.max(TSL.dot(reflectDirection, sunDirection), 0.0), SUN_SHININESS);
+
+        // Terrain position behind this fragment, reconstructed from the depth buffer
+        const sceneDepth = TSL.viewportDepthTexture(TSL.screenUV).x;
+        const terrainView = TSL.getViewPosition(TSL.screenUV, sceneDepth, TSL.cameraProjectionMatrixInverse);
+        const terrainWorld = TSL.cameraWorldMatrix.mul(TSL.vec4(terrainView, 1.0)).xyz;
+        const waterDepth = TSL.max(TSL.positionWorld.y.sub(terrainWorld.y), 0.0);
+
+        // Light fades exponentially with depth, shifting from the shallow to the deep colour
+        const absorption = TSL.float(1.0).sub(TSL.exp(waterDepth.negate().div(u.clarity)));
+        const waterColor = TSL.mix(u.shallowColor, u.deepColor, absorption);
+
+        // Foam hugs the shoreline, broken up by the wave texture
+        const foamNoise = normalMap.sample(uvA.mul(3.0)).z;
+        const foam = TSL.float(1.0).sub(TSL.smoothstep(0.0, u.foamWidth, waterDepth))
+            .mul(TSL.smoothstep(0.4, 0.9, foamNoise.add(0.3)));
+
+        const color = TSL.mix(waterColor, skyColor, fresnel).add(sunHighlight);
+        const material = new THREE.MeshBasicNodeMaterial({
+            transparent: true,
+            depthWrite: false,
+            side: THREE.FrontSide,
+        });
+        material.colorNode = TSL.mix(color, u.foamColor, foam);
+        // shallow water lets the terrain show through, grazing angles reflect fully
+        material.opacityNode = TSL.max(TSL.max(absorption, fresnel), foam).clamp(0.0, 1.0);
+        return material;
+    }
+
+    // Sky uniforms as a comparable snapshot, the reflection is only re-rendered when they change
+    _getSkyState() {
+        const sky = this._waterHost.getSky();
+        return [
+            ...sky.sunPosition.value.toArray(),
+            sky.turbidity.value,
+            sky.rayleigh.value,
+            sky.mieCoefficient.value,
+            sky.mieDirectionalG.value,
+        ].join(',');
+    }
+
+    update(deltaTime) {
+        if (!this._waterParams.enabled) {
+            return;
+        }
+
+        this._uniforms.waveTime.value += deltaTime * this._waterParams.waveSpeed;
+
+        // follow the camera on the ground plane
+        const camera = this._waterHost.getCamera();
+        this._mesh.position.x = camera.position.x;
+        this._mesh.position.z = camera.position.z;
+    }
+
+    // Called with the renderer before the scene is drawn
+    onBeforeRender(renderer, scene) {
+        if (!this._waterParams.enabled) {
+            return;
+        }
+
+        const skyState = this._getSkyState();
+        if (skyState !== this._skyState) {
+            this._skyState = skyState;
+            this._skyCamera.update(renderer, scene);
+        }
+    }
+
+    // Wave coordinates are world positions, keep them continuous across origin shifts
+    onOriginShift(_delta, origin) {
+        this._uniforms.waveOffset.value.set(
+            THREE.MathUtils.euclideanModulo(origin.x, WAVE_PERIOD),
+            THREE.MathUtils.euclideanModulo(origin.z, WAVE_PERIOD)
+        );
+    }
+
+    // GUI params were replaced by a world preset
+    onSettingsLoaded() {
+        this.onWaterChange();
+    }
+
+    // Height of the water surface, -Infinity while the water is hidden
+    getSeaLevel() {
+        return this._waterParams.enabled ? this._waterParams.seaLevel : -Infinity;
+    }
+
+    onWaterChange() {
+        const u = this._uniforms;
+        const p = this._waterParams;
+
+        this._mesh.visible = p.enabled;
+        this._mesh.position.y = p.seaLevel;
+
+        u.shallowColor.value.set(p.shallowColor);
+        u.deepColor.value.set(p.deepColor);
+        u.foamColor.value.set(p.foamColor);
+        u.clarity.value = p.clarity;
+        u.foamWidth.value = Math.max(p.foamWidth, 1e-4);
+        u.waveScale.value = p.waveScale;
+        u.waveStrength.value = p.waveStrength;
+    }
+
+    dispose() {
+        this._mesh?.parent?.remove(this._mesh);
+        this._mesh?.geometry.dispose();
+        this._material?.dispose();
+        this._normalTexture?.dispose();
+        this._skyTarget?.dispose();
+
+        if (this._waterRollup) {
+            this._waterRollup.destroy();
+            this._waterRollup = null;
+        }
+
+        this._mesh = null;
+        this._material = null;
+        this._normalTexture = null;
+        this._skyTarget = null;
+        this._skyCamera = null;
+        this._waterHost = null;
+    }
+}
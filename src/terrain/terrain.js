@@ -1,14 +1,80 @@
 import * as THREE from 'three/webgpu';
 import * as TSL from 'three/tsl';
-import { NoiseGenerator } from '../noise';
+import { FRACTAL_TYPES, MAX_WARP_LAYERS } from '../noise';
+import { buildNoiseGraph, NOISE_GRAPH_PRESETS } from '../noise-graph';
 import { TerrainAtmosphere } from './terrain-atmosphere';
-import { OrbitController, FPSController } from '../controller';
+import { TerrainWater } from './terrain-water';
+import { TerrainVegetation } from './terrain-vegetation';
+import { GPUHeightMap } from './terrain-gpu-heightmap';
+import { OrbitController, FPSController, WalkController, PlaybackController } from '../controller';
 import * as UTIL from '../util';
-import { QuadTree } from '../quadtree';
+import * as CONFIG from '../config';
+import { QuadTreeGrid, DIRECTIONS, SPLIT_HEURISTICS } from '../quadtree';
+import { createTerrainChunkGeometry, SEAM_MODES } from './terrain-geometry';
+import { TerrainMaterial, MATERIAL_LAYERS, TEXTURE_SCALES } from './terrain-material';
+import { WorkerPool } from '../worker-pool';
+import { generateHeightData, heightMapResolution, sampleHeightData } from '../heightmap';
+import { BiomeMap, BIOMES, generateBiomeData } from '../biome';
+import { decodeHeightImage, HEIGHT_IMAGE_WRAP_MODES } from '../height-image';
+import * as EXPORT from '../terrain-export';
+import * as PRESET from '../world-preset';
+import * as CAMERA_PATH from '../camera-path';
+import { raycastHeightField } from '../terrain-raycast';
+
+const MAX_HEIGHTMAP_WORKERS = 4;
+
+// Chunk heights are filled on the CPU (workers) or by a compute shader, see GPUHeightMap
+const HEIGHT_BACKENDS = ['cpu', 'gpu'];
+
+// Export formats by GUI label
+const EXPORT_FORMATS = {
+    'heightmap png (16-bit)': 'png',
+    'raw float32 (.r32)': 'r32',
+    'glTF binary (.glb)': 'glb',
+    'OBJ': 'obj',
+    'splat map png': 'splat',
+};
+
+// Seeds remembered across sessions, most recent first
+const SEED_HISTORY_STORAGE_KEY = 'threejs-terrain.seeds';
+const MAX_SEED_HISTORY = 16;
+
+// localStorage key of the saved world presets, stored as { name: preset }
+const PRESET_STORAGE_KEY = 'threejs-terrain.presets';
+
+// Seconds between keys of a recorded camera path, the spline fills in between
+const CAMERA_PATH_KEY_INTERVAL = 0.1;
+
+// Pointer travel in pixels up to which a press and release count as a click, not a drag
+const PICK_CLICK_TOLERANCE = 4;
+
+// Heightmaps shipped with the app, selectable as height image sources
+const HEIGHT_IMAGE_ASSETS = {
+    'heightmap-hi.png': new URL('../../assets/textures/heightmap-hi.png', import.meta.url).href,
+    'heightmap-test.jpg': new URL('../../assets/textures/heightmap-test.jpg', import.meta.url).href,
+};
+
+// Scratch normal of the terrain slope queries
+const _queryNormal = new THREE.Vector3();
+
+// Scratch objects of the LOD frustum and chunk visibility tests
+const _lodMatrix = new THREE.Matrix4();
+const _originMatrix = new THREE.Matrix4();
+const _chunkBox = new THREE.Box3();
+
+// Chunks outside the LOD camera's view are generated as if this many times farther away
+const OUT_OF_VIEW_PRIORITY_SCALE = 4.0;
+
+// Erosion and hydrology tiles for height queries go ahead of every chunk
+const TILE_PRIORITY = -1.0;
 
 class HeightMap {
     _heightmapNode      = null;
     _resolutionUniform  = null;
+    _heightNode         = null;
+    _curvatureNode      = null;
+    _biomeMapNode       = null;
+    _biomeNode          = null;
 
     constructor(params) {
         if (!params || !Number.isFinite(params.chunkSize) || params.chunkSize < 1) {
@@ -37,6 +103,12 @@ class HeightMap {
         const uvSample = uv.mul(uvSamplingScale).add(uvSamplingOffset);
 
         const sample = this._bilinearSample(this._heightmapNode, uvSample, this._resolutionUniform);
+        this._heightNode = sample;
+
+        // Biome texels are categorical, so read the texel nearest to the vertex instead of filtering
+        this._biomeMapNode = TSL.texture(params.biomeTexture);
+        const biomeTexel = TSL.floor(uvSample.mul(this._resolutionUniform.sub(1.0)).add(0.5));
+        this._biomeNode = this._biomeMapNode.sample(biomeTexel.add(0.5).div(this._resolutionUniform));
 
         // Displace terrain vertices using sampled height
         params.material.positionNode = TSL.positionLocal.add(TSL.vec3(0, 0, sample));
@@ -55,6 +127,23 @@ class HeightMap {
         const tangentX = TSL.vec3(localGridStep, 0.0, hR.sub(hL));
         const tangentY = TSL.vec3(0.0, localGridStep, hU.sub(hD));
         params.material.normalNode = TSL.cross(tangentX, tangentY).normalize();
+
+        // Discrete Laplacian of the height: positive in valleys, negative on ridges
+        const texelWorldStep = params.chunkSize / params.chunkSegments;
+        this._curvatureNode = hL.add(hR).add(hD).add(hU).sub(sample.mul(4.0))
+            .div(texelWorldStep * texelWorldStep);
+    }
+
+    getHeightNode() {
+        return this._heightNode;
+    }
+
+    getCurvatureNode() {
+        return this._curvatureNode;
+    }
+
+    getBiomeNode() {
+        return this._biomeNode;
     }
 
     // Manual Bilinear Filtering implementation in TSL: 
@@ -92,13 +181,14 @@ class HeightMap {
         })({ texNode, uv, filtersize });
     }
 
-    setTexture(texture) {
-        if (texture === null) {
-            throw new Error('HeightMap.setTexture: texture is required');
+    setTexture(texture, biomeTexture) {
+        if (texture === null || biomeTexture === null) {
+            throw new Error('HeightMap.setTexture: texture and biomeTexture are required');
         }
 
         // Update the texture node's value so all dependent TSL nodes update
         this._heightmapNode.value = texture;
+        this._biomeMapNode.value = biomeTexture;
 
         // Update the resolution uniform based on the new texture dimensions 
         // Note: texture resolution is (segments+1), but uniform should be segments for correct filtering
@@ -114,31 +204,52 @@ class TerrainChunk {
     _material               = null;
     _heightMap              = null;
     _heightMapTexture       = null;
+    _biomeTexture           = null;
+    _vegetation             = null;
     _materialNodes          = {};
+    _chunkSize              = 0;
+    _chunkSegments          = 0;
+    _seams                  = null;
+    _heightRange            = null;
 
     constructor(params) {
+        this._chunkSize     = params.chunkSize;
+        this._chunkSegments = params.chunkSegments;
+        this._seams         = params.seams;
+
         // Create geometry, apply material, and insert into scene
-        const geometry  = new THREE.PlaneGeometry(
-            params.chunkSize, params.chunkSize, 
-            params.chunkSegments, params.chunkSegments
-        );
+        const geometry  = createTerrainChunkGeometry({
+            chunkSize: params.chunkSize,
+            chunkSegments: params.chunkSegments,
+            ...params.seams,
+        });
         
         // --- TSL Terrain Material Setup ---
         this._material = new THREE.MeshLambertNodeMaterial({
-            color: '#444444',
+            color: '#ffffff',
             wireframe: false,
             flatShading: false,
             side: THREE.FrontSide
         });
-        this._materialNodes["diffuseColor"] = TSL.color( this._material.color); // Store original color
         
         this._heightMap = new HeightMap({
             chunkSize: params.chunkSize,
             chunkSegments: params.chunkSegments,
             material: this._material,
             textureMap: params.heightMapTexture,
+            biomeTexture: params.biomeTexture,
         });
         this._heightMapTexture = params.heightMapTexture;
+        this._biomeTexture = params.biomeTexture;
+
+        // Layered surface colour blended by height, slope and curvature
+        this._materialNodes["diffuseColor"] = params.terrainMaterial.createColorNode({
+            heightNode: this._heightMap.getHeightNode(),
+            normalNode: this._material.normalNode,
+            curvatureNode: this._heightMap.getCurvatureNode(),
+            biomeNode: this._heightMap.getBiomeNode(),
+            offset: params.position,
+        });
 
         // Debug Visualization
         // Create a node to visualize the normal as a color (0..1 range)
@@ -164,32 +275,98 @@ class TerrainChunk {
             oldGeometry.dispose();
         }
 
-        // Create new plane geometry with updated segments
-        this._mesh.geometry = new THREE.PlaneGeometry(
-            params.chunkSize, params.chunkSize,
-            params.chunkSegments, params.chunkSegments
-        );
+        // Create new chunk geometry with updated segments and seams
+        this._mesh.geometry = createTerrainChunkGeometry(params);
+        this._updateBoundingVolume();
     }
 
-    setTexture(texture) {
+    // world height range of the chunk's heightmap
+    setHeightRange(min, max) {
+        this._heightRange = { min, max };
+        this._updateBoundingVolume();
+    }
+
+    // The shader displaces the flat grid along local z, so bounds computed from the geometry
+    // alone would let the renderer cull chunks that rise into view
+    _updateBoundingVolume() {
+        if (this._heightRange === null) {
+            return;
+        }
+        const geometry = this._mesh.geometry;
+        geometry.computeBoundingBox();
+        geometry.boundingBox.min.z += this._heightRange.min;
+        geometry.boundingBox.max.z += this._heightRange.max;
+        geometry.boundingSphere = geometry.boundingBox.getBoundingSphere(geometry.boundingSphere ?? new THREE.Sphere());
+    }
+
+    // seams: { seamMode, skirtDepth, edgeRatios }, see createTerrainChunkGeometry
+    setSeams(seams) {
+        const current = this._seams;
+        const isUnchanged = current !== null &&
+            current.seamMode === seams.seamMode &&
+            current.skirtDepth === seams.skirtDepth &&
+            Object.keys(DIRECTIONS).every((d) => current.edgeRatios[d] === seams.edgeRatios[d]);
+        if (isUnchanged) {
+            return;
+        }
+
+        this._seams = seams;
+        this.RebuildChunk({
+            chunkSize: this._chunkSize,
+            chunkSegments: this._chunkSegments,
+            ...seams,
+        });
+    }
+
+    setTexture(texture, biomeTexture) {
         if (!this._heightMap) {
             throw new Error('TerrainChunk.setTexture: height map is not initialized');
         }
 
-        if (texture === null) {
-            throw new Error('TerrainChunk.setTexture: texture is required');
+        if (texture === null || biomeTexture === null) {
+            throw new Error('TerrainChunk.setTexture: texture and biomeTexture are required');
         }
 
         const oldTexture = this._heightMapTexture;
-        if (oldTexture === texture) {
+        const oldBiomeTexture = this._biomeTexture;
+        if (oldTexture === texture && oldBiomeTexture === biomeTexture) {
             return;
         }
 
-        this._heightMap.setTexture(texture);
+        this._heightMap.setTexture(texture, biomeTexture);
         this._heightMapTexture = texture;
-        if (oldTexture) {
+        this._biomeTexture = biomeTexture;
+        if (oldTexture && oldTexture !== texture) {
             oldTexture.dispose();
         }
+        if (oldBiomeTexture && oldBiomeTexture !== biomeTexture) {
+            oldBiomeTexture.dispose();
+        }
+    }
+
+    // group of InstancedMesh in chunk local space, or null; the chunk takes ownership
+    setVegetation(vegetation) {
+        this._disposeVegetation();
+        this._vegetation = vegetation;
+        if (vegetation) {
+            this._mesh.add(vegetation);
+        }
+    }
+
+    _disposeVegetation() {
+        if (!this._vegetation) {
+            return;
+        }
+        this._vegetation.parent?.remove(this._vegetation);
+        // geometry and material are shared between chunks, only the instance buffers are ours
+        for (const mesh of this._vegetation.children) {
+            mesh.dispose();
+        }
+        this._vegetation = null;
+    }
+
+    setVisible(visible) {
+        this._mesh.visible = visible;
     }
 
     displayNormals(isNormalsDisplayed) {
@@ -207,6 +384,8 @@ class TerrainChunk {
     }
 
     dispose() {
+        this._disposeVegetation();
+
         if (this._mesh?.parent) {
             this._mesh.parent.remove(this._mesh);
         }
@@ -220,6 +399,11 @@ class TerrainChunk {
             this._heightMapTexture = null;
         }
 
+        if (this._biomeTexture) {
+            this._biomeTexture.dispose();
+            this._biomeTexture = null;
+        }
+
         if (this._material) {
             this._material.dispose();
         }
@@ -234,36 +418,92 @@ class TerrainChunk {
 class TerrainChunkManager {
     _group      = null;
     _chunks     = {};
+    _retiringChunks = [];
+    _workerPool = null;
+    _gpuHeightMap = null;
     _chunkSize  = 64;
     _chunkSegments = 128;
-    _noiseGenerator = null;
+    _heightFunction = null;
+    _noiseGraph = null;
     _terrainParams = {};
     _noiseParams = {};
+    _seedParams = {};
+    _seedHistory = [];
+    _seedControllers = {};
+    _lockedSeed = null;
+    _heightImageParams = {};
+    _heightImages = {};
+    _heightImageId = null;
+    _heightImageCount = 0;
+    _heightImageSource = null;
     _FPSPosition = null
+    _terrainMaterial = null;
+    _materialParams = {};
+    _biomeParams = {};
+    _biomeMap = null;
+    _erosionParams = {};
+    _thermalParams = {};
+    _hydrologyParams = {};
+    _vegetation = null;
+    _vegetationParams = {};
+    _exportParams = {};
+    _getSeaLevel = null;
+    _FPSCamera = null;
+    _quadTree = null;
+    _isQuadTreeDirty = true;
+    _lodFrustum = null;
 
     constructor(params) {
         this._FPSPosition = params.terrainHost.getFPSControllerPosition;
+        this._FPSCamera = params.terrainHost.getFPSControllerCamera;
+        this._getSeaLevel = params.terrainHost.getSeaLevel;
+        // the height function built below loads its erosion and hydrology tiles from the pool
+        this._workerPool = this._createWorkerPool();
         this._initializeNoise(params);
+        this._initializeHeightImage(params);
+        this._initializeErosion(params);
+        this._initializeHydrology(params);
+        this._initializeBiomes(params);
         this._initializeTerrain(params);
+        this._initializeMaterial(params);
+        this._initializeVegetation(params);
+        this._initializeExport(params);
+        this._gpuHeightMap = new GPUHeightMap();
     }
 
     _initializeNoise(params) {
         // setup noise GUI fields
         params.guiParams.noise = {
+            graph: 'single',
             noiseType: 'simplex',
+            fractalType: 'fbm',
             scale: 64.0,
             octaves: 6,
             persistence: 0.5,
             lacunarity: 2.0,
             exponentiation: 3.9,
             height: 16.0,
-            seed: 1
+            seed: 1,
+            seedLocked: false,
+            ridgedOffset: 1.0,
+            ridgedGain: 2.0,
+            hybridOffset: 0.7,
+            swissWarp: 0.15,
+            warpLayers: 0,
+            warpStrength: 32.0,
+            warpScale: 256.0,
+            warpOctaves: 3,
         }
         this._noiseParams = params.guiParams.noise;
         
         const noiseRollup = params.gui.addFolder("Noise"); 
+        noiseRollup.add(params.guiParams.noise, "graph", Object.keys(NOISE_GRAPH_PRESETS)).onFinishChange(
+            () => { this.setNoiseGraph(NOISE_GRAPH_PRESETS[this._noiseParams.graph]); })
+            .name("height graph");
         noiseRollup.add(params.guiParams.noise, "noiseType", ["simplex", "perlin"]).onFinishChange(
             () => { this.onNoiseChange(); });
+        noiseRollup.add(params.guiParams.noise, "fractalType", FRACTAL_TYPES).onFinishChange(
+            () => { this.onNoiseChange(); });
         noiseRollup.add(params.guiParams.noise, "scale", 1.0, 128.0).onFinishChange(
             () => { this.onNoiseChange(); });
         noiseRollup.add(params.guiParams.noise, "octaves", 1, 8, 1).onFinishChange(
@@ -277,7 +517,365 @@ class TerrainChunkManager {
         noiseRollup.add(params.guiParams.noise, "height", 0, 64).onFinishChange(
             () => { this.onNoiseChange(); });
 
-        this._noiseGenerator = new NoiseGenerator(this._noiseParams);
+        // seed entry, randomize and history; kept out of guiParams.noise except the lock
+        this._seedParams = {
+            history : String(this._noiseParams.seed),
+            randomize : () => { this.onSeedRandomize(); },
+        };
+        this._seedHistory = this._readSeedHistory();
+        const seedRollup = noiseRollup.addFolder("Seed");
+        this._seedControllers.seed = seedRollup.add(params.guiParams.noise, "seed").step(1)
+            .onFinishChange(() => { this.onSeedChange(); });
+        this._seedControllers.randomize = seedRollup.add(this._seedParams, "randomize");
+        this._seedControllers.history = seedRollup.add(this._seedParams, "history", [])
+            .name("history");
+        this._seedControllers.locked = seedRollup.add(params.guiParams.noise, "seedLocked")
+            .onChange(() => { this.onSeedLockChange(); })
+            .name("lock seed");
+        this._updateSeedControllers();
+
+        // fractal mode specific parameters
+        const fractalRollup = noiseRollup.addFolder("Fractal");
+        fractalRollup.add(params.guiParams.noise, "ridgedOffset", 0.5, 1.5).onFinishChange(
+            () => { this.onNoiseChange(); }).name("ridged offset");
+        fractalRollup.add(params.guiParams.noise, "ridgedGain", 0.0, 4.0).onFinishChange(
+            () => { this.onNoiseChange(); }).name("ridged gain");
+        fractalRollup.add(params.guiParams.noise, "hybridOffset", 0.0, 1.5).onFinishChange(
+            () => { this.onNoiseChange(); }).name("hybrid offset");
+        fractalRollup.add(params.guiParams.noise, "swissWarp", 0.0, 1.0).onFinishChange(
+            () => { this.onNoiseChange(); }).name("swiss warp");
+
+        // domain warping of the sample position, in world units
+        const warpRollup = noiseRollup.addFolder("Domain Warp");
+        warpRollup.add(params.guiParams.noise, "warpLayers", 0, MAX_WARP_LAYERS, 1).onFinishChange(
+            () => { this.onNoiseChange(); }).name("layers (0 = off)");
+        warpRollup.add(params.guiParams.noise, "warpStrength", 0.0, 256.0).onFinishChange(
+            () => { this.onNoiseChange(); }).name("strength");
+        warpRollup.add(params.guiParams.noise, "warpScale", 16.0, 2048.0).onFinishChange(
+            () => { this.onNoiseChange(); }).name("scale");
+        warpRollup.add(params.guiParams.noise, "warpOctaves", 1, 6, 1).onFinishChange(
+            () => { this.onNoiseChange(); }).name("octaves");
+
+        this._noiseGraph = NOISE_GRAPH_PRESETS[this._noiseParams.graph];
+    }
+
+    _readSeedHistory() {
+        try {
+            const history = JSON.parse(window.localStorage.getItem(SEED_HISTORY_STORAGE_KEY) ?? '[]');
+            return Array.isArray(history) ? history.filter(Number.isFinite) : [];
+        } catch (error) {
+            console.error('TerrainChunkManager: ignoring unreadable seed history', error);
+            return [];
+        }
+    }
+
+    // Most recent seed first, without duplicates
+    _pushSeedHistory(seed) {
+        this._seedHistory = [seed, ...this._seedHistory.filter((s) => s !== seed)].slice(0, MAX_SEED_HISTORY);
+        try {
+            window.localStorage.setItem(SEED_HISTORY_STORAGE_KEY, JSON.stringify(this._seedHistory));
+        } catch (error) {
+            console.error('TerrainChunkManager: could not store seed history', error);
+        }
+    }
+
+    _updateSeedControllers() {
+        const locked = this._noiseParams.seedLocked;
+        this._seedControllers.locked.updateDisplay();
+        this._seedControllers.seed.enable(!locked).updateDisplay();
+        this._seedControllers.randomize.enable(!locked);
+
+        // options() replaces the controller, so re-attach the handler
+        this._seedParams.history = String(this._noiseParams.seed);
+        this._seedControllers.history = this._seedControllers.history
+            .options(this._seedHistory.map(String))
+            .onChange(() => { this.onSeedHistorySelect(); })
+            .name("history")
+            .enable(!locked);
+    }
+
+    _initializeHeightImage(params) {
+        // Setup height image GUI parameters
+        params.guiParams.heightImage = {
+            source : 'none',
+            extent : 1024.0,
+            minHeight : 0.0,
+            maxHeight : 48.0,
+            wrap : 'clamp',
+            detailHeight : 2.0,
+            loadFile : () => { this._pickHeightImageFile(); },
+        }
+        this._heightImageParams = params.guiParams.heightImage;
+
+        // Create GUI Height Image rollup
+        const imageRollup = params.gui.addFolder("Height Image");
+        this._heightImageSource = imageRollup.add(this._heightImageParams, 'source',
+            ['none', ...Object.keys(HEIGHT_IMAGE_ASSETS), 'file'])
+            .onChange(() => { this.onHeightImageSourceChange(); })
+            .name('source');
+        imageRollup.add(this._heightImageParams, 'loadFile')
+            .name('load file (png, jpg, r16, r32)');
+        imageRollup.add(this._heightImageParams, 'extent', 64.0, 16384.0)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('world extent');
+        imageRollup.add(this._heightImageParams, 'minHeight', -64.0, 64.0)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('min height');
+        imageRollup.add(this._heightImageParams, 'maxHeight', -64.0, 256.0)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('max height');
+        imageRollup.add(this._heightImageParams, 'wrap', HEIGHT_IMAGE_WRAP_MODES)
+            .onChange(() => { this.onNoiseChange(); })
+            .name('outside image');
+        imageRollup.add(this._heightImageParams, 'detailHeight', 0.0, 32.0)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('detail noise height');
+    }
+
+    _pickHeightImageFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.png,.jpg,.jpeg,.r16,.r32';
+        input.addEventListener('change', () => {
+            const file = input.files?.[0];
+            if (!file) {
+                return;
+            }
+            this._heightImageParams.source = 'file';
+            this._heightImageSource.updateDisplay();
+            this._loadHeightImage(file.arrayBuffer(), file.name);
+        });
+        input.click();
+    }
+
+    // Decode and apply a height image; only the most recent load is applied
+    _loadHeightImage(bufferPromise, name) {
+        const count = ++this._heightImageCount;
+        return bufferPromise
+            .then((buffer) => decodeHeightImage(buffer, name))
+            .then((image) => {
+                if (count === this._heightImageCount) {
+                    this.setHeightImage(image);
+                }
+            })
+            .catch((error) => {
+                console.error('TerrainChunkManager: failed to load height image ' + name, error);
+            });
+    }
+
+    /**
+     * Use a decoded height image as the terrain source instead of the noise graph,
+     * with the "Noise" params adding detail on top. Pass null to return to the noise graph.
+     * @param {{width: number, height: number, data: Float32Array}|null} image - see decodeHeightImage
+     */
+    setHeightImage(image) {
+        this._heightImageId = image ? 'image-' + this._heightImageCount : null;
+        this._heightImages = image ? { [this._heightImageId]: image } : {};
+        this._workerPool?.broadcast({ heightImages: this._heightImages });
+        this.onNoiseChange();
+    }
+
+    _initializeErosion(params) {
+        // Setup erosion GUI parameters
+        params.guiParams.erosion = {
+            enabled : false,
+            cellSize : 4.0,
+            iterations : 4096,
+            inertia : 0.05,
+            capacity : 4.0,
+            deposition : 0.3,
+            erosion : 0.3,
+            radius : 3,
+            evaporation : 0.01,
+        }
+        this._erosionParams = params.guiParams.erosion;
+
+        // Thermal weathering has its own toggle but runs in the same erosion tiles as the droplets
+        params.guiParams.thermal = {
+            enabled : false,
+            iterations : 20,
+            talusAngle : 35.0,
+            rate : 0.5,
+        }
+        this._thermalParams = params.guiParams.thermal;
+
+        // Create GUI Erosion rollup
+        const erosionRollup = params.gui.addFolder("Erosion");
+        erosionRollup.add(this._erosionParams, 'enabled')
+            .onChange(() => { this.onNoiseChange(); })
+            .name('erode terrain');
+        erosionRollup.add(this._erosionParams, 'cellSize', [1, 2, 4, 8, 16])
+            .onChange(() => { this.onNoiseChange(); })
+            .name('cell size');
+
+        const hydraulicRollup = erosionRollup.addFolder("Hydraulic");
+        hydraulicRollup.add(this._erosionParams, 'iterations', 0, 32768, 1)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('droplets per tile');
+        hydraulicRollup.add(this._erosionParams, 'inertia', 0.0, 1.0)
+            .onFinishChange(() => { this.onNoiseChange(); });
+        hydraulicRollup.add(this._erosionParams, 'capacity', 0.0, 16.0)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('sediment capacity');
+        hydraulicRollup.add(this._erosionParams, 'deposition', 0.0, 1.0)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('deposition rate');
+        hydraulicRollup.add(this._erosionParams, 'erosion', 0.0, 1.0)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('erosion rate');
+        hydraulicRollup.add(this._erosionParams, 'radius', 1, 8, 1)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('erosion radius');
+        hydraulicRollup.add(this._erosionParams, 'evaporation', 0.0, 0.2)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('evaporation rate');
+
+        const thermalRollup = erosionRollup.addFolder("Thermal");
+        thermalRollup.add(this._thermalParams, 'enabled')
+            .onChange(() => { this.onNoiseChange(); })
+            .name('weather slopes');
+        thermalRollup.add(this._thermalParams, 'iterations', 0, 200, 1)
+            .onFinishChange(() => { this.onNoiseChange(); });
+        thermalRollup.add(this._thermalParams, 'talusAngle', 0.0, 89.0)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('talus angle (degrees)');
+        thermalRollup.add(this._thermalParams, 'rate', 0.0, 1.0)
+            .onFinishChange(() => { this.onNoiseChange(); });
+    }
+
+    _initializeHydrology(params) {
+        // Setup rivers and lakes GUI parameters
+        params.guiParams.hydrology = {
+            enabled : false,
+            cellSize : 16.0,
+            riverThreshold : 400,
+            riverWidth : 6.0,
+            riverDepth : 2.0,
+            minLakeDepth : 1.5,
+            lakeDepth : 1.0,
+        }
+        this._hydrologyParams = params.guiParams.hydrology;
+
+        // Create GUI Rivers rollup
+        const hydrologyRollup = params.gui.addFolder("Rivers & Lakes");
+        hydrologyRollup.add(this._hydrologyParams, 'enabled')
+            .onChange(() => { this.onNoiseChange(); })
+            .name('carve rivers and lakes');
+        hydrologyRollup.add(this._hydrologyParams, 'cellSize', [8, 16, 32])
+            .onChange(() => { this.onNoiseChange(); })
+            .name('drainage cell size');
+        hydrologyRollup.add(this._hydrologyParams, 'riverThreshold', 50, 4000, 1)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('river threshold (cells)');
+        hydrologyRollup.add(this._hydrologyParams, 'riverWidth', 1.0, 32.0)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('river width');
+        hydrologyRollup.add(this._hydrologyParams, 'riverDepth', 0.0, 8.0)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('river depth');
+        hydrologyRollup.add(this._hydrologyParams, 'minLakeDepth', 0.1, 8.0)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('min lake depth');
+        hydrologyRollup.add(this._hydrologyParams, 'lakeDepth', 0.0, 8.0)
+            .onFinishChange(() => { this.onNoiseChange(); })
+            .name('lake basin depth');
+    }
+
+    _initializeBiomes(params) {
+        // Setup biome GUI parameters
+        params.guiParams.biome = {
+            shaping : false,
+            climateScale : 2048.0,
+            temperatureOffset : 0.0,
+            precipitationOffset : 0.0,
+            lapseRate : 1.5,
+            sharpness : 4.0,
+        }
+        this._biomeParams = params.guiParams.biome;
+
+        // Create GUI Biomes rollup
+        const biomeRollup = params.gui.addFolder("Biomes");
+        biomeRollup.add(this._biomeParams, 'shaping')
+            .onChange(() => { this.onBiomeChange(); })
+            .name('shape terrain');
+        biomeRollup.add(this._biomeParams, 'climateScale', 256.0, 8192.0)
+            .onFinishChange(() => { this.onBiomeChange(); })
+            .name('climate scale');
+        biomeRollup.add(this._biomeParams, 'temperatureOffset', -20.0, 20.0)
+            .onFinishChange(() => { this.onBiomeChange(); })
+            .name('temperature offset (C)');
+        biomeRollup.add(this._biomeParams, 'precipitationOffset', -200.0, 200.0)
+            .onFinishChange(() => { this.onBiomeChange(); })
+            .name('precipitation offset (cm)');
+        biomeRollup.add(this._biomeParams, 'lapseRate', 0.0, 5.0)
+            .onFinishChange(() => { this.onBiomeChange(); })
+            .name('lapse rate (C per unit)');
+        biomeRollup.add(this._biomeParams, 'sharpness', 0.5, 16.0)
+            .onFinishChange(() => { this.onBiomeChange(); })
+            .name('border sharpness');
+
+        this._biomeMap = new BiomeMap(this._climateParams());
+        this._heightFunction = this._buildHeightFunction();
+    }
+
+    // BiomeMap params; the climate fields share the terrain seed
+    _climateParams() {
+        return {
+            seed: this._noiseParams.seed,
+            climateScale: this._biomeParams.climateScale,
+            temperatureOffset: this._biomeParams.temperatureOffset,
+            precipitationOffset: this._biomeParams.precipitationOffset,
+            lapseRate: this._biomeParams.lapseRate,
+            sharpness: this._biomeParams.sharpness,
+        };
+    }
+
+    // Noise graph actually sampled for heights: the selected graph or the height image,
+    // reshaped by biomes, eroded and carved by rivers when those are enabled
+    _heightGraph() {
+        let graph = this._noiseGraph;
+        if (this._heightImageId !== null) {
+            const p = this._heightImageParams;
+            graph = {
+                type: 'image',
+                image: this._heightImageId,
+                params: { extent: p.extent, minHeight: p.minHeight, maxHeight: p.maxHeight, wrap: p.wrap },
+            };
+            if (p.detailHeight > 0) {
+                graph = { type: 'add', inputs: [graph, { type: 'noise', params: { height: p.detailHeight } }] };
+            }
+        }
+        if (this._biomeParams.shaping) {
+            graph = { type: 'biome', input: graph, params: this._climateParams() };
+        }
+        if (this._erosionParams.enabled || this._thermalParams.enabled) {
+            const erosionParams = { ...this._erosionParams };
+            delete erosionParams.enabled;
+            // either pass is skipped with zero iterations
+            if (!this._erosionParams.enabled) {
+                erosionParams.iterations = 0;
+            }
+            const thermal = this._thermalParams;
+            erosionParams.thermalIterations = thermal.enabled ? thermal.iterations : 0;
+            erosionParams.talusAngle = thermal.talusAngle;
+            erosionParams.thermalRate = thermal.rate;
+            graph = { type: 'erosion', input: graph, params: erosionParams };
+        }
+        if (this._hydrologyParams.enabled) {
+            const hydrologyParams = { ...this._hydrologyParams };
+            delete hydrologyParams.enabled;
+            graph = { type: 'hydrology', input: graph, params: hydrologyParams };
+        }
+        return graph;
+    }
+
+    // Main thread copy of the height graph for queries and the no-worker fallback. With workers,
+    // erosion and hydrology tiles are built there and read as uneroded, uncarved heights meanwhile.
+    _buildHeightFunction() {
+        const noiseParams = this._noiseParams;
+        const loadTile = this._workerPool ? (desc, tx, ty) => this._workerPool.enqueue(
+            `tile:${JSON.stringify(desc)}:${tx},${ty}`, { tile: { node: desc, tx, ty }, noiseParams }, TILE_PRIORITY) : null;
+        return buildNoiseGraph(this._heightGraph(), { noiseParams, heightImages: this._heightImages, loadTile });
     }
 
     _initializeTerrain (params) {
@@ -285,6 +883,16 @@ class TerrainChunkManager {
         params.guiParams.terrain = {
             wireframe : false,
             normals : false,
+            seams : 'skirts',
+            skirtDepth : 8.0,
+            lodHeuristic : 'screenSpaceError',
+            lodSplitRatio : 1.0,
+            lodPixelError : 4.0,
+            lodHysteresis : 0.1,
+            rootTileSize : 2048,
+            rootTileRings : 1,
+            maxDepth : 5,
+            heightBackend : 'cpu',
         }
         this._terrainParams = params.guiParams.terrain;
 
@@ -296,6 +904,36 @@ class TerrainChunkManager {
         terrainRollup.add(params.guiParams.terrain, 'normals')
             .onChange(() => { this.onNormals(); })
             .name('Display normals');
+        terrainRollup.add(params.guiParams.terrain, 'seams', SEAM_MODES)
+            .onChange(() => { this.onSeamsChange(); })
+            .name('LOD seams');
+        terrainRollup.add(params.guiParams.terrain, 'skirtDepth', 0.0, 64.0)
+            .onFinishChange(() => { this.onSeamsChange(); })
+            .name('skirt depth');
+        terrainRollup.add(params.guiParams.terrain, 'lodHeuristic', Object.keys(SPLIT_HEURISTICS))
+            .onChange(() => { this.onLodChange(); })
+            .name('LOD heuristic');
+        terrainRollup.add(params.guiParams.terrain, 'lodSplitRatio', 0.25, 4.0)
+            .onFinishChange(() => { this.onLodChange(); })
+            .name('split distance ratio');
+        terrainRollup.add(params.guiParams.terrain, 'lodPixelError', 0.5, 32.0)
+            .onFinishChange(() => { this.onLodChange(); })
+            .name('pixel error');
+        terrainRollup.add(params.guiParams.terrain, 'lodHysteresis', 0.0, 0.5)
+            .onFinishChange(() => { this.onLodChange(); })
+            .name('LOD hysteresis');
+        terrainRollup.add(params.guiParams.terrain, 'rootTileSize', [1024, 2048, 4096, 8192])
+            .onChange(() => { this.onQuadTreeGridChange(); })
+            .name('root tile size');
+        terrainRollup.add(params.guiParams.terrain, 'rootTileRings', 0, 4, 1)
+            .onFinishChange(() => { this.onQuadTreeGridChange(); })
+            .name('root tile rings');
+        terrainRollup.add(params.guiParams.terrain, 'maxDepth', 1, 8, 1)
+            .onFinishChange(() => { this.onQuadTreeGridChange(); })
+            .name('max depth');
+        terrainRollup.add(params.guiParams.terrain, 'heightBackend', HEIGHT_BACKENDS)
+            .onChange(() => { this.onHeightBackendChange(); })
+            .name('height backend');
 
         // create mesh group and add to scene
         this._group = new THREE.Group();
@@ -303,24 +941,140 @@ class TerrainChunkManager {
         params.scene.add(this._group);
     }
 
-    _generateHeightMapTexture(centerX, centerY, chunkSize = this._chunkSize) {
-        // PlaneGeometry with N segments has (N+1) vertices per axis.
-        // Add a 1-texel border on each side so edge normals can sample across chunk seams.
-        const resolution = this._chunkSegments + 3;
-        const sampleStep = chunkSize / this._chunkSegments;
-        const data = new Float32Array(resolution * resolution);
-        
-        // DataTexture data is row-major: data[row * width + col] = data[y * width + x]
-        for (let row = 0; row < resolution; row++) {
-            // Row 0 starts one sample outside the chunk, then covers all vertex samples, then one sample outside.
-            const worldY = centerY - (chunkSize / 2) - sampleStep + (row * sampleStep);
-            for (let col = 0; col < resolution; col++) {
-                const worldX = centerX - (chunkSize / 2) - sampleStep + (col * sampleStep);
-                data[(row * resolution) + col] = this._noiseGenerator.get2D(worldX, worldY);
-            }
+    _initializeMaterial(params) {
+        // Setup terrain material GUI parameters
+        params.guiParams.material = {
+            grassColor : '#4f6b32',
+            dirtColor : '#6b5a3e',
+            rockColor : '#6e6a64',
+            snowColor : '#f2f4f7',
+            grassTextureScale : 8,
+            dirtTextureScale : 8,
+            rockTextureScale : 16,
+            snowTextureScale : 32,
+            useTextures : true,
+            rockSlope : 35.0,
+            slopeBlend : 8.0,
+            snowHeight : 10.0,
+            heightBlend : 2.0,
+            snowMaxSlope : 50.0,
+            curvatureStrength : 0.5,
+            biomeTint : 0.5,
         }
+        this._materialParams = params.guiParams.material;
+        this._terrainMaterial = new TerrainMaterial(this._materialParams);
+
+        // Create GUI Material rollup
+        const materialRollup = params.gui.addFolder("Material");
+        materialRollup.add(this._materialParams, 'useTextures')
+            .onChange(() => { this.onMaterialChange(); })
+            .name('tiled textures');
+        materialRollup.add(this._materialParams, 'rockSlope', 0.0, 90.0)
+            .onChange(() => { this.onMaterialChange(); })
+            .name('rock slope (degrees)');
+        materialRollup.add(this._materialParams, 'slopeBlend', 0.0, 30.0)
+            .onChange(() => { this.onMaterialChange(); })
+            .name('slope blend (degrees)');
+        materialRollup.add(this._materialParams, 'snowHeight', 0.0, 64.0)
+            .onChange(() => { this.onMaterialChange(); })
+            .name('snow height');
+        materialRollup.add(this._materialParams, 'heightBlend', 0.0, 16.0)
+            .onChange(() => { this.onMaterialChange(); })
+            .name('snow height blend');
+        materialRollup.add(this._materialParams, 'snowMaxSlope', 0.0, 90.0)
+            .onChange(() => { this.onMaterialChange(); })
+            .name('snow max slope (degrees)');
+        materialRollup.add(this._materialParams, 'curvatureStrength', 0.0, 4.0)
+            .onChange(() => { this.onMaterialChange(); })
+            .name('dirt curvature strength');
+        materialRollup.add(this._materialParams, 'biomeTint', 0.0, 1.0)
+            .onChange(() => { this.onMaterialChange(); })
+            .name('biome tint');
+
+        for (const layer of MATERIAL_LAYERS) {
+            const layerRollup = materialRollup.addFolder(layer);
+            layerRollup.addColor(this._materialParams, layer + 'Color')
+                .onChange(() => { this.onMaterialChange(); })
+                .name('color');
+            layerRollup.add(this._materialParams, layer + 'TextureScale', TEXTURE_SCALES)
+                .onChange(() => { this.onMaterialChange(); })
+                .name('texture scale');
+        }
+    }
+
+    _initializeVegetation(params) {
+        // Setup vegetation GUI parameters, densities scale each type's base density
+        params.guiParams.vegetation = {
+            enabled : true,
+            treeDensity : 1.0,
+            bushDensity : 1.0,
+            grassDensity : 1.0,
+            rockDensity : 1.0,
+            lodFalloff : 0.5,
+        }
+        this._vegetationParams = params.guiParams.vegetation;
+        this._vegetation = new TerrainVegetation(this._vegetationParams);
+
+        // Create GUI Vegetation rollup
+        const vegetationRollup = params.gui.addFolder("Vegetation");
+        vegetationRollup.add(this._vegetationParams, 'enabled')
+            .onChange(() => { this.onVegetationChange(); })
+            .name('enabled');
+        for (const type of ['tree', 'bush', 'grass', 'rock']) {
+            vegetationRollup.add(this._vegetationParams, type + 'Density', 0.0, 4.0)
+                .onFinishChange(() => { this.onVegetationChange(); })
+                .name(type + ' density');
+        }
+        vegetationRollup.add(this._vegetationParams, 'lodFalloff', 0.0, 1.0)
+            .onFinishChange(() => { this.onVegetationChange(); })
+            .name('density per LOD level');
+    }
 
-        const texture       = new THREE.DataTexture(data,
+    _initializeExport(params) {
+        // Setup export GUI parameters, the exported square is centred on the FPS camera
+        params.guiParams.export = {
+            format : 'png',
+            size : 1024.0,
+            resolution : 513,
+            includeSplat : true,
+            download : () => { this.onExportDownload(); },
+        }
+        this._exportParams = params.guiParams.export;
+
+        // Create GUI Export rollup
+        const exportRollup = params.gui.addFolder("Export");
+        exportRollup.add(this._exportParams, 'format', EXPORT_FORMATS)
+            .name('format');
+        exportRollup.add(this._exportParams, 'size', 64.0, 8192.0)
+            .name('world size');
+        exportRollup.add(this._exportParams, 'resolution', [129, 257, 513, 1025, 2049, 4097])
+            .name('samples per side');
+        exportRollup.add(this._exportParams, 'includeSplat')
+            .name('splat weights in glb');
+        exportRollup.add(this._exportParams, 'download')
+            .name('download');
+        exportRollup.close();
+    }
+
+    _createWorkerPool() {
+        // Fall back to generating heights on the main thread where workers are unavailable
+        if (typeof Worker === 'undefined') {
+            return null;
+        }
+
+        const cores = navigator.hardwareConcurrency || 2;
+        return new WorkerPool({
+            size: Math.min(Math.max(cores - 1, 1), MAX_HEIGHTMAP_WORKERS),
+            createWorker: () => new Worker(
+                new URL('./terrain-heightmap-worker.js', import.meta.url),
+                { type: 'module' }
+            ),
+        });
+    }
+
+    _createHeightMapTexture(heights) {
+        const resolution    = heightMapResolution(this._chunkSegments);
+        const texture       = new THREE.DataTexture(heights,
             resolution, resolution, 
             THREE.RedFormat, THREE.FloatType);
         texture.minFilter   = THREE.LinearFilter;
@@ -332,10 +1086,144 @@ class TerrainChunkManager {
         return texture;
     }
 
-    _createChunk(offset, size) {
+    // Biome texels match the heightmap texels, see generateBiomeData
+    _createBiomeTexture(biomes) {
+        const resolution    = heightMapResolution(this._chunkSegments);
+        const texture       = new THREE.DataTexture(biomes,
+            resolution, resolution,
+            THREE.RGBAFormat, THREE.UnsignedByteType);
+        texture.minFilter   = THREE.NearestFilter;
+        texture.magFilter   = THREE.NearestFilter;
+        texture.wrapS       = THREE.ClampToEdgeWrapping;
+        texture.wrapT       = THREE.ClampToEdgeWrapping;
+        texture.needsUpdate = true;
+
+        return texture;
+    }
+
+    // Resolves with the chunk's { heights, biomes } arrays, plus the heightTexture already holding
+    // the heights when the GPU made them, or null if the request was cancelled.
+    // Requesting a key again supersedes any earlier request for it, on either backend.
+    _requestHeightData(key, offset, size) {
+        if (this._useGPUHeights()) {
+            this._workerPool?.cancel(key);
+            return this._requestGPUHeightData(key, offset, size);
+        }
+        this._gpuHeightMap.cancel(key);
+
+        if (!this._workerPool) {
+            const heights = generateHeightData(this._heightFunction,
+                offset.x, offset.y, size, this._chunkSegments);
+            const biomes = generateBiomeData(this._biomeMap, heights,
+                offset.x, offset.y, size, this._chunkSegments);
+            return Promise.resolve({ heights, biomes });
+        }
+
+        return this._workerPool.enqueue(key, {
+            graph: this._heightGraph(),
+            noiseParams: this._noiseParams,
+            biomeParams: this._climateParams(),
+            centerX: offset.x,
+            centerY: offset.y,
+            chunkSize: size,
+            chunkSegments: this._chunkSegments,
+        }, this._chunkPriority(offset, size));
+    }
+
+    // Heights are computed into the chunk's storage texture, the read back copy then goes
+    // to the workers for the biomes
+    _requestGPUHeightData(key, offset, size) {
+        const priority = this._chunkPriority(offset, size);
+        const request = {
+            centerX: offset.x,
+            centerY: offset.y,
+            chunkSize: size,
+            chunkSegments: this._chunkSegments,
+        };
+
+        return this._gpuHeightMap.enqueue(key, { ...request, noiseParams: this._noiseParams }, priority)
+            .then((result) => {
+                if (result === null) {
+                    return null;
+                }
+
+                const biomeData = this._workerPool
+                    ? this._workerPool.enqueue(key, { ...request, heights: result.heights, biomeParams: this._climateParams() },
+                        priority, [result.heights.buffer])
+                    : Promise.resolve({
+                        heights: result.heights,
+                        biomes: generateBiomeData(this._biomeMap, result.heights,
+                            offset.x, offset.y, size, this._chunkSegments),
+                    });
+                return biomeData.then((data) => {
+                    if (data === null) {
+                        result.texture.dispose();
+                        return null;
+                    }
+                    return { ...data, heightTexture: result.texture };
+                });
+            });
+    }
+
+    // The compute backend covers the plain noise graph only, anything else stays on the CPU
+    _useGPUHeights() {
+        return this._terrainParams.heightBackend === 'gpu'
+            && this._gpuHeightMap.isAvailable()
+            && GPUHeightMap.supportsGraph(this._heightGraph(), this._noiseParams);
+    }
+
+    // Nearest chunks first, those outside the LOD camera's view after the ones in it
+    _chunkPriority(offset, size) {
+        const pos = this._FPSPosition();
+        const distance = Math.hypot(offset.x - pos.x, -offset.y - pos.z);
+        return this._isChunkInView(offset, size) ? distance : distance * OUT_OF_VIEW_PRIORITY_SCALE;
+    }
+
+    // The camera turns while chunks wait in the queues
+    _updatePendingPriorities() {
+        for (const k in this._chunks) {
+            const entry = this._chunks[k];
+            if (entry.chunk === null) {
+                const priority = this._chunkPriority(entry.offset, entry.size);
+                this._workerPool?.setPriority(k, priority);
+                this._gpuHeightMap.setPriority(k, priority);
+            }
+        }
+    }
+
+    // World space box of a chunk against the frustum of the last LOD update. Pending chunks
+    // use the height range their quadtree node inherited, see QuadTree.setHeightBounds
+    _isChunkInView(offset, size) {
+        if (this._lodFrustum === null) {
+            return true;
+        }
+        const heightBounds = this._quadTree?.findLeafAt(offset.x, -offset.y)?.heightBounds;
+        _chunkBox.min.set(offset.x - size / 2, heightBounds?.min ?? 0, -offset.y - size / 2);
+        _chunkBox.max.set(offset.x + size / 2, heightBounds?.max ?? 0, -offset.y + size / 2);
+        return this._lodFrustum.intersectsBox(_chunkBox);
+    }
+
+    // The chunk's mesh is culled by its height range, and its quadtree node refines by it
+    _updateHeightRange(key, entry) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const h of entry.data.heights) {
+            min = Math.min(min, h);
+            max = Math.max(max, h);
+        }
+        entry.heightRange = { min, max };
+        entry.chunk.setHeightRange(min, max);
+
+        const center = entry.bounds.getCenter(new THREE.Vector2());
+        const leaf = this._quadTree?.findLeafAt(center.x, center.y);
+        if (leaf?.id === key) {
+            this._quadTree.setHeightBounds(leaf, min, max);
+        }
+    }
+
+    _createChunk(offset, size, data, seams) {
         const centerX = offset.x;
         const centerY = offset.y;
-        const texture = this._generateHeightMapTexture(offset.x, offset.y, size);
 
         // create chunk
         return new TerrainChunk({
@@ -343,12 +1231,165 @@ class TerrainChunkManager {
             group: this._group,
             chunkSize: size,
             chunkSegments: this._chunkSegments,
-            heightMapTexture: texture,
+            heightMapTexture: data.heightTexture ?? this._createHeightMapTexture(data.heights),
+            biomeTexture: this._createBiomeTexture(data.biomes),
+            terrainMaterial: this._terrainMaterial,
+            seams: seams,
             isWireFrameEnabled: this._terrainParams.wireframe,
             isNormalsEnabled: this._terrainParams.normals,
         });
     }
 
+    // Scatter instances over a built chunk from its height data, coarser chunks get fewer
+    _updateVegetation(key, entry) {
+        const minNodeSize = this._terrainParams.rootTileSize / Math.pow(2, this._terrainParams.maxDepth);
+        entry.chunk.setVegetation(this._vegetation.createInstances({
+            key: key,
+            seed: this._noiseParams.seed,
+            data: entry.data,
+            chunkSize: entry.size,
+            chunkSegments: this._chunkSegments,
+            level: Math.max(Math.round(Math.log2(entry.size / minNodeSize)), 0),
+            minHeight: this._getSeaLevel(),
+        }));
+    }
+
+    // Register a chunk whose mesh is built once its heights arrive.
+    // Until then the entry is pending (chunk === null).
+    _requestChunk(key, offset, size) {
+        // bounds in quadtree space (x, z), used to match pending chunks with the chunks they replace
+        const bounds = new THREE.Box2(
+            new THREE.Vector2(offset.x - size / 2, -offset.y - size / 2),
+            new THREE.Vector2(offset.x + size / 2, -offset.y + size / 2)
+        );
+        const entry = {
+            cellIndex: [offset.x, offset.y],
+            offset: offset,
+            size: size,
+            bounds: bounds,
+            edgeRatios: this._computeEdgeRatios(bounds),
+            chunk: null,
+            data: null,
+            heightRange: null,
+        };
+        this._chunks[key] = entry;
+
+        this._requestHeightData(key, offset, size).then((data) => {
+            // Skip cancelled requests and entries that were dropped or re-requested meanwhile
+            if (data === null || this._chunks[key] !== entry) {
+                return;
+            }
+            entry.chunk = this._createChunk(offset, size, data, this._chunkSeams(entry));
+            entry.data = data;
+            this._updateHeightRange(key, entry);
+            this._updateVegetation(key, entry);
+            this._updateChunkVisibility();
+        }).catch((error) => {
+            console.error('TerrainChunkManager: failed to generate chunk ' + key, error);
+        });
+    }
+
+    _lodHeuristic() {
+        return {
+            type: this._terrainParams.lodHeuristic,
+            splitRatio: this._terrainParams.lodSplitRatio,
+            pixelError: this._terrainParams.lodPixelError,
+            segments: this._chunkSegments,
+        };
+    }
+
+    // The camera lives in scene space, the group offset maps world positions into it
+    _lodViewer() {
+        const camera = this._FPSCamera();
+        camera.updateMatrixWorld();
+        _lodMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+            .multiply(_originMatrix.makeTranslation(this._group.position));
+        this._lodFrustum ??= new THREE.Frustum();
+        this._lodFrustum.setFromProjectionMatrix(_lodMatrix, camera.coordinateSystem, camera.reversedDepth);
+        return {
+            position: this._FPSPosition(),
+            fov: camera.fov,
+            viewportHeight: window.innerHeight,
+            frustum: this._lodFrustum,
+        };
+    }
+
+    // Size ratio of the neighbouring quadtree leaf across each edge, 1 where the
+    // neighbour is the same size, finer, or outside the tree
+    _computeEdgeRatios(bounds) {
+        const ratios = { left: 1, right: 1, down: 1, up: 1 };
+        if (!this._quadTree) {
+            return ratios;
+        }
+
+        const center = bounds.getCenter(new THREE.Vector2());
+        const size = bounds.max.x - bounds.min.x;
+        // probe just past the edge midpoint
+        const reach = size * 0.75;
+        for (const direction in DIRECTIONS) {
+            const step = DIRECTIONS[direction];
+            const leaf = this._quadTree.findLeafAt(center.x + step.x * reach, center.y + step.y * reach);
+            if (leaf) {
+                ratios[direction] = Math.max(leaf.size.x / size, 1);
+            }
+        }
+        return ratios;
+    }
+
+    _chunkSeams(entry) {
+        return {
+            seamMode: this._terrainParams.seams,
+            skirtDepth: this._terrainParams.skirtDepth,
+            edgeRatios: entry.edgeRatios,
+        };
+    }
+
+    _updateSeams() {
+        for (const k in this._chunks) {
+            const entry = this._chunks[k];
+            entry.edgeRatios = this._computeEdgeRatios(entry.bounds);
+            entry.chunk?.setSeams(this._chunkSeams(entry));
+        }
+    }
+
+    // Drop a chunk from the live set. A built chunk stays visible as a placeholder
+    // until every pending chunk covering its area has arrived.
+    _retireChunk(key) {
+        const entry = this._chunks[key];
+        delete this._chunks[key];
+        this._workerPool?.cancel(key);
+        this._gpuHeightMap.cancel(key);
+
+        if (entry.chunk !== null) {
+            this._retiringChunks.push(entry);
+        }
+    }
+
+    _updateChunkVisibility() {
+        const overlaps = (a, b) => {
+            // strict comparison so chunks that only share an edge do not count
+            return a.min.x < b.max.x && a.max.x > b.min.x &&
+                a.min.y < b.max.y && a.max.y > b.min.y;
+        };
+
+        const pendingEntries = Object.values(this._chunks).filter((e) => e.chunk === null);
+        this._retiringChunks = this._retiringChunks.filter((retiring) => {
+            const isAwaitingReplacement = pendingEntries.some((e) => overlaps(e.bounds, retiring.bounds));
+            if (!isAwaitingReplacement) {
+                retiring.chunk.dispose();
+            }
+            return isAwaitingReplacement;
+        });
+
+        // Hide new chunks while the placeholder they overlap is still shown
+        for (const k in this._chunks) {
+            const entry = this._chunks[k];
+            if (entry.chunk !== null) {
+                entry.chunk.setVisible(!this._retiringChunks.some((r) => overlaps(r.bounds, entry.bounds)));
+            }
+        }
+    }
+
     _cellIndex(px, py) {
         if (!Number.isFinite(px) || !Number.isFinite(py)) {
             throw new Error('TerrainChunkManager._cellIndex: invalid position parameter');
@@ -363,56 +1404,51 @@ class TerrainChunkManager {
 
     update(_deltaTime) {
         const updateQuadTree = () => {
-            const QUADTREE_SIZE = 2048;
-            const keyFn = (centerX, centerY, size) => {
-                // Round to integer grid to normalize key precision and prevent floating-point drift
-                const x = Math.round(centerX);
-                const y = Math.round(centerY);
-                return x + "." + y + "[" + size + "]";
+            if (!this._quadTree) {
+                // Root tiles follow the camera, so the world extends without bound
+                this._quadTree = new QuadTreeGrid({
+                    tileSize: this._terrainParams.rootTileSize,
+                    rings: this._terrainParams.rootTileRings,
+                    maxDepth: this._terrainParams.maxDepth,
+                    heuristic: this._lodHeuristic(),
+                    hysteresis: this._terrainParams.lodHysteresis,
+                });
+                this._isQuadTreeDirty = true;
             }
 
-            
-            const quadTree = new QuadTree({
-                min: new THREE.Vector2(-QUADTREE_SIZE, -QUADTREE_SIZE),
-                max: new THREE.Vector2(QUADTREE_SIZE, QUADTREE_SIZE),
-                nodeSize: this._chunkSize,
-            });
-            quadTree.insert(this._FPSPosition());
-            const children = quadTree.getChildren();
+            // The tree persists between frames, so only rebuild the chunk set when it changed
+            const hasChanged = this._quadTree.update(this._lodViewer());
+            if (!hasChanged && !this._isQuadTreeDirty) { return; }
+            this._isQuadTreeDirty = false;
 
+            // Leaf ids are stable, so they double as chunk keys
             const quadTreeChunks = {};
-            const center = new THREE.Vector2();
-            const dimensions = new THREE.Vector2();
-            for (const c of children) {
-                c.bounds.getCenter(center);
-                c.bounds.getSize(dimensions);
-                const key = keyFn(center.x, center.y, dimensions.x);
-                quadTreeChunks[key] = {
-                    center: [center.x, -center.y],
+            for (const c of this._quadTree.getChildren()) {
+                // a rebuilt tree learns the ranges of the chunks it keeps
+                const range = this._chunks[c.id]?.heightRange;
+                if (range && (c.heightBounds?.min !== range.min || c.heightBounds?.max !== range.max)) {
+                    this._quadTree.setHeightBounds(c, range.min, range.max);
+                }
+                quadTreeChunks[c.id] = {
+                    center: [c.center.x, -c.center.y],
                     bounds: c.bounds,
-                    size: dimensions.x,
+                    size: c.size.x,
                 };
             }
 
             const newChunks = UTIL.dictDifference(quadTreeChunks, this._chunks);
-            if (Object.keys(newChunks).length === 0) { return; }
             for (const key in newChunks) {
                 const [xp, zp] = newChunks[key].center;
                 const size = newChunks[key].size;
-                const offset = new THREE.Vector2(xp, zp);
-                this._chunks[key] = {
-                    cellIndex: [xp, zp],
-                    offset: offset,
-                    size: size,
-                    chunk: this._createChunk(offset, size),
-                };
+                this._requestChunk(key, new THREE.Vector2(xp, zp), size);
             }
 
             const recycleChunks = UTIL.dictDifference(this._chunks, quadTreeChunks);
             for (const k in recycleChunks) {
-                recycleChunks[k].chunk.dispose();
-                delete this._chunks[k];
+                this._retireChunk(k);
             }
+            this._updateChunkVisibility();
+            this._updateSeams();
 
             console.log("Chunks updated: ", Object.keys(newChunks).length, "Chunks removed: ", Object.keys(recycleChunks).length)
         };
@@ -443,8 +1479,7 @@ class TerrainChunkManager {
             const recycleChunks = UTIL.dictDifference(this._chunks, gridCellIndexes);
             for (const k in recycleChunks) {
                 // Dispose of these chunks.
-                recycleChunks[k].chunk.dispose();
-                delete this._chunks[k];
+                this._retireChunk(k);
             }
 
             // Create an object which contains the cell indexes of chunks 
@@ -458,15 +1493,9 @@ class TerrainChunkManager {
                 }
 
                 // Create new chunk
-                const size = this._chunkSize;
                 const [xi, zi] = newChunkCells[k].cellIndex;
                 const offset = new THREE.Vector2(xi * this._chunkSize, zi * this._chunkSize);
-                this._chunks[keyFn(xi,zi)] = {
-                    cellIndex: [xi, zi],
-                    offset: offset,
-                    size: size,
-                    chunk: this._createChunk(offset, this._chunkSize),
-                };
+                this._requestChunk(keyFn(xi, zi), offset, this._chunkSize);
                 console.log("Update Fixed Grid: (" + xc + "," + zc + ")");
             }
         };
@@ -483,79 +1512,559 @@ class TerrainChunkManager {
 
             const size = this._chunkSize;
             const offset = new THREE.Vector2(xc * size, zc * size);
-            this._chunks[newChunkKey] = {
-                cellIndex: [xc, zc],
-                offset: offset,
-                size: size,
-                chunk: this._createChunk(offset, size),
-            };
+            this._requestChunk(newChunkKey, offset, size);
             console.log("Update Single Chunk: (" + xc + "," + zc + ")");
         };
 
         updateQuadTree();
+        this._updatePendingPriorities();
     }
 
     dispose() {
+        this._workerPool?.dispose();
+        this._workerPool = null;
+        this._gpuHeightMap?.dispose();
+        this._gpuHeightMap = null;
+
         for (const k in this._chunks) {
             const chunk = this._chunks[k].chunk;
-            chunk.dispose();
+            chunk?.dispose();
+        }
+        for (const retiring of this._retiringChunks) {
+            retiring.chunk.dispose();
         }
 
         this._chunks = {};
+        this._retiringChunks = [];
 
         if (this._group?.parent) {
             this._group.parent.remove(this._group);
         }
 
         this._group = null;
-        this._noiseGenerator = null;
+        this._quadTree = null;
+        this._heightFunction = null;
+        this._noiseGraph = null;
+        this._biomeMap = null;
+
+        this._terrainMaterial?.dispose();
+        this._terrainMaterial = null;
+
+        this._vegetation?.dispose();
+        this._vegetation = null;
     }
 
     // Event handlers
     onWireframe() {
         for (const k in this._chunks) {
             const chunk = this._chunks[k].chunk;
+            if (chunk === null) { continue; }
             chunk._material.wireframe = this._terrainParams.wireframe;
         }
     }
 
+    onLodChange() {
+        this._quadTree?.setHeuristic(this._lodHeuristic(), this._terrainParams.lodHysteresis);
+    }
+
+    onHeightBackendChange() {
+        if (this._terrainParams.heightBackend === 'gpu') {
+            if (!this._gpuHeightMap.isAvailable()) {
+                console.warn('TerrainChunkManager: the GPU height backend needs WebGPU with filterable float32 textures, generating on the CPU');
+            } else if (!GPUHeightMap.supportsGraph(this._heightGraph(), this._noiseParams)) {
+                console.warn('TerrainChunkManager: the GPU height backend covers the single fBm graph without domain warp, generating on the CPU');
+            }
+        }
+        this.onNoiseChange();
+    }
+
+    // Called with the renderer before the scene is drawn
+    onBeforeRender(renderer) {
+        this._gpuHeightMap.update(renderer);
+    }
+
+    // Chunks keep absolute offsets; the group carries the floating origin instead
+    onOriginShift(_delta, origin) {
+        this._group.position.set(-origin.x, -origin.y, -origin.z);
+    }
+
+    onQuadTreeGridChange() {
+        // Rebuilt on the next update; live chunks are retired through the usual diff
+        this._quadTree = null;
+    }
+
+    onSeamsChange() {
+        this._updateSeams();
+    }
+
+    onMaterialChange() {
+        this._terrainMaterial.update();
+    }
+
     onNormals() {
         for (const k in this._chunks) {
             const chunk = this._chunks[k].chunk;
+            if (chunk === null) { continue; }
             chunk.displayNormals(this._terrainParams.normals);
         }
     }
 
+    // Replace the height function with a graph built from a JSON description (see noise-graph.js)
+    setNoiseGraph(graphDescription) {
+        this._noiseGraph = graphDescription;
+        this.onNoiseChange();
+    }
+
+    // GUI params were replaced by a world preset: re-apply every setting and regenerate
+    onSettingsLoaded() {
+        this._noiseGraph = NOISE_GRAPH_PRESETS[this._noiseParams.graph] ?? this._noiseGraph;
+        if (this._lockedSeed !== null) {
+            // a locked seed is kept through loaded settings as it is through randomize and the history
+            this._noiseParams.seed = this._lockedSeed;
+            this._noiseParams.seedLocked = true;
+        } else {
+            this._lockedSeed = this._noiseParams.seedLocked ? this._noiseParams.seed : null;
+            this._pushSeedHistory(this._noiseParams.seed);
+        }
+        this._updateSeedControllers();
+        this.onQuadTreeGridChange();
+        this.onSeamsChange();
+        this.onWireframe();
+        this.onNormals();
+        this.onMaterialChange();
+
+        // images loaded from files cannot be restored, keep whatever is loaded
+        const source = this._heightImageParams.source;
+        if (source !== 'file') {
+            this.onHeightImageSourceChange();
+        }
+        if (source !== 'none') {
+            this.onNoiseChange();
+        }
+    }
+
+    onHeightImageSourceChange() {
+        const source = this._heightImageParams.source;
+        if (source === 'none') {
+            // drop any load still in flight
+            this._heightImageCount++;
+            this.setHeightImage(null);
+        } else if (source === 'file') {
+            this._pickHeightImageFile();
+        } else {
+            this._loadHeightImage(fetch(HEIGHT_IMAGE_ASSETS[source]).then((response) => {
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status);
+                }
+                return response.arrayBuffer();
+            }), source);
+        }
+    }
+
+    /**
+     * Export a square of terrain sampled from the current height function.
+     * @param {object} params
+     * @param {string} params.format - one of the EXPORT_FORMATS values
+     * @param {number} params.centerX - world x
+     * @param {number} params.centerZ - world z
+     * @param {number} params.size - world edge length
+     * @param {number} params.resolution - samples per side
+     * @param {boolean} params.includeSplat - add material weights to glb meshes
+     * @returns {Promise<{fileName: string, bytes: Uint8Array|string}>}
+     */
+    async exportTerrain(params) {
+        if (!Object.values(EXPORT_FORMATS).includes(params.format)) {
+            throw new Error(`TerrainChunkManager.exportTerrain: unknown format '${params.format}'`);
+        }
+
+        const half = params.size / 2;
+        const grid = await this._sampleTerrainGrid({
+            minX: params.centerX - half, minZ: params.centerZ - half,
+            maxX: params.centerX + half, maxZ: params.centerZ + half,
+        }, params.resolution);
+        const splat = (format) => (format === 'splat' || (format === 'glb' && params.includeSplat)) ?
+            EXPORT.computeSplatWeights(grid, this._terrainMaterial.getSplatBands()) : null;
+
+        const baseName = `terrain_${Math.round(params.centerX)}_${Math.round(params.centerZ)}`;
+        switch (params.format) {
+            case 'png':
+                return { fileName: baseName + '.png', bytes: await EXPORT.encodeHeightPNG(grid) };
+            case 'r32':
+                return { fileName: baseName + '.r32', bytes: EXPORT.encodeRawFloat32(grid) };
+            case 'glb':
+                return { fileName: baseName + '.glb', bytes: EXPORT.encodeGLB(EXPORT.buildTerrainMesh(grid, splat('glb'))) };
+            case 'obj':
+                return { fileName: baseName + '.obj', bytes: EXPORT.encodeOBJ(EXPORT.buildTerrainMesh(grid)) };
+            case 'splat':
+                return { fileName: baseName + '_splat.png', bytes: await EXPORT.encodeSplatPNG(grid, splat('splat')) };
+        }
+    }
+
+    // Sampled in a worker where there are workers, which also builds the erosion and
+    // hydrology tiles the main thread would otherwise still be loading
+    _sampleTerrainGrid(bounds, resolution) {
+        if (!this._workerPool) {
+            return Promise.resolve(EXPORT.sampleTerrainGrid(this._heightFunction, bounds, resolution, resolution));
+        }
+        return this._workerPool.enqueue('export', {
+            grid: { bounds, width: resolution, height: resolution },
+            graph: this._heightGraph(),
+            noiseParams: this._noiseParams,
+        }, TILE_PRIORITY).then((grid) => {
+            if (grid === null) {
+                throw new Error('TerrainChunkManager.exportTerrain: superseded by a later export');
+            }
+            return grid;
+        });
+    }
+
+    onExportDownload() {
+        const pos = this._FPSPosition();
+        this.exportTerrain({ ...this._exportParams, centerX: pos.x, centerZ: pos.z }).then(({ fileName, bytes }) => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([bytes]));
+            link.download = fileName;
+            link.click();
+            // give the browser a moment to start the download before releasing the blob
+            window.setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        }).catch((error) => {
+            console.error('TerrainChunkManager: export failed', error);
+        });
+    }
+
+    onSeedChange() {
+        this._noiseParams.seed = UTIL.toUint32Seed(this._noiseParams.seed);
+        this._pushSeedHistory(this._noiseParams.seed);
+        this._updateSeedControllers();
+        this.onNoiseChange();
+    }
+
+    onSeedLockChange() {
+        this._lockedSeed = this._noiseParams.seedLocked ? this._noiseParams.seed : null;
+        this._updateSeedControllers();
+    }
+
+    onSeedRandomize() {
+        if (this._noiseParams.seedLocked) {
+            return;
+        }
+        this._noiseParams.seed = Math.floor(Math.random() * 4294967295) + 1;
+        this.onSeedChange();
+    }
+
+    onSeedHistorySelect() {
+        const seed = Number(this._seedParams.history);
+        if (this._noiseParams.seedLocked || !Number.isFinite(seed) || seed === this._noiseParams.seed) {
+            return;
+        }
+        this._noiseParams.seed = seed;
+        this.onSeedChange();
+    }
+
+    onVegetationChange() {
+        // Placement only depends on the stored height data, so no heights are regenerated
+        for (const k in this._chunks) {
+            const entry = this._chunks[k];
+            if (entry.chunk !== null) {
+                this._updateVegetation(k, entry);
+            }
+        }
+    }
+
+    onBiomeChange() {
+        // Climate changes reclassify, and with shaping reshape, every chunk
+        this.onNoiseChange();
+    }
+
+    /**
+     * Terrain height at an absolute world position as the displaced mesh shows it: the height
+     * data of the chunk drawn there, filtered like HeightMap._bilinearSample. This is exact at
+     * the mesh vertices. Between vertices the mesh triangles differ from the bilinear surface
+     * by at most the twist of the grid cell. Where no chunk is built yet, the height function
+     * is sampled directly.
+     * @param {number} x - world x
+     * @param {number} z - world z
+     * @returns {number}
+     */
+    getHeightAt(x, z) {
+        return this._surfaceHeight(this._drawnChunkAt(x, z), x, z);
+    }
+
+    /**
+     * Unit surface normal (y up) at an absolute world position, computed from the same
+     * central differences as the chunk shader's normal.
+     * @param {number} x - world x
+     * @param {number} z - world z
+     * @param {THREE.Vector3} target
+     * @returns {THREE.Vector3} target
+     */
+    getNormalAt(x, z, target = new THREE.Vector3()) {
+        return this._surfaceNormal(this._drawnChunkAt(x, z), x, z, target);
+    }
+
+    /**
+     * Surface slope in degrees from horizontal at an absolute world position.
+     * @param {number} x - world x
+     * @param {number} z - world z
+     * @returns {number}
+     */
+    getSlopeAt(x, z) {
+        return this._slopeOf(this.getNormalAt(x, z, _queryNormal));
+    }
+
+    /**
+     * Batched getHeightAt.
+     * @param {ArrayLike<number>} positions - interleaved world x, z pairs
+     * @param {Float32Array} target - one height per pair
+     * @returns {Float32Array} target
+     */
+    getHeightsAt(positions, target = new Float32Array(positions.length / 2)) {
+        let entry = null;
+        for (let i = 0; i < target.length; i++) {
+            const x = positions[i * 2];
+            const z = positions[i * 2 + 1];
+            entry = this._drawnChunkAt(x, z, entry);
+            target[i] = this._surfaceHeight(entry, x, z);
+        }
+        return target;
+    }
+
+    /**
+     * Batched getNormalAt.
+     * @param {ArrayLike<number>} positions - interleaved world x, z pairs
+     * @param {Float32Array} target - interleaved x, y, z normals, one per pair
+     * @returns {Float32Array} target
+     */
+    getNormalsAt(positions, target = new Float32Array(positions.length / 2 * 3)) {
+        let entry = null;
+        for (let i = 0; i < positions.length / 2; i++) {
+            const x = positions[i * 2];
+            const z = positions[i * 2 + 1];
+            entry = this._drawnChunkAt(x, z, entry);
+            this._surfaceNormal(entry, x, z, _queryNormal).toArray(target, i * 3);
+        }
+        return target;
+    }
+
+    /**
+     * Batched getSlopeAt.
+     * @param {ArrayLike<number>} positions - interleaved world x, z pairs
+     * @param {Float32Array} target - one slope in degrees per pair
+     * @returns {Float32Array} target
+     */
+    getSlopesAt(positions, target = new Float32Array(positions.length / 2)) {
+        let entry = null;
+        for (let i = 0; i < target.length; i++) {
+            const x = positions[i * 2];
+            const z = positions[i * 2 + 1];
+            entry = this._drawnChunkAt(x, z, entry);
+            target[i] = this._slopeOf(this._surfaceNormal(entry, x, z, _queryNormal));
+        }
+        return target;
+    }
+
+    /**
+     * First intersection of a ray with the terrain as drawn, see getHeightAt.
+     * @param {THREE.Vector3} origin - absolute world position
+     * @param {THREE.Vector3} direction
+     * @param {number} maxDistance
+     * @returns {{distance: number, x: number, y: number, z: number}|null}
+     */
+    raycast(origin, direction, maxDistance = 4096) {
+        // march in steps of the texels of the chunk under the ray
+        let entry = null;
+        const field = {
+            getHeight: (x, z) => {
+                entry = this._drawnChunkAt(x, z, entry);
+                return this._surfaceHeight(entry, x, z);
+            },
+            getStep: (x, z) => {
+                entry = this._drawnChunkAt(x, z, entry);
+                return this._surfaceStep(entry);
+            },
+            maxHeight: this._drawnMaxHeight(),
+        };
+        return raycastHeightField(origin, direction, field, { maxDistance });
+    }
+
+    // Highest point of the built chunks, so rays passing above them stop early. Areas still
+    // waiting for a chunk sample the height function, which may reach above it.
+    _drawnMaxHeight() {
+        let maxHeight = -Infinity;
+        for (const entry of [...Object.values(this._chunks), ...this._retiringChunks]) {
+            if (entry.heightRange !== null) {
+                maxHeight = Math.max(maxHeight, entry.heightRange.max);
+            }
+        }
+        return Number.isFinite(maxHeight) ? maxHeight : undefined;
+    }
+
+    // Built chunk drawn over a world (x, z), or null. Placeholders awaiting their replacement
+    // are drawn instead of the new chunks they overlap. A hint (the previous result of a batch)
+    // is reused while it still contains the point.
+    _drawnChunkAt(x, z, hint = null) {
+        const contains = (entry) => x >= entry.bounds.min.x && x <= entry.bounds.max.x &&
+            z >= entry.bounds.min.y && z <= entry.bounds.max.y;
+
+        if (hint !== null && this._retiringChunks.length === 0 && contains(hint)) {
+            return hint;
+        }
+        for (const retiring of this._retiringChunks) {
+            if (contains(retiring)) {
+                return retiring;
+            }
+        }
+        for (const k in this._chunks) {
+            const entry = this._chunks[k];
+            if (entry.chunk !== null && contains(entry)) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    // noise space y runs along world -z
+    _surfaceHeight(entry, x, z) {
+        if (entry === null) {
+            return this._heightFunction.get2D(x, -z);
+        }
+        return sampleHeightData(entry.data.heights, entry.offset.x, entry.offset.y,
+            entry.size, this._chunkSegments, x, -z);
+    }
+
+    // Texel spacing of the chunk, or of the finest LOD level off the chunks
+    _surfaceStep(entry) {
+        const minNodeSize = this._terrainParams.rootTileSize / Math.pow(2, this._terrainParams.maxDepth);
+        return (entry === null ? minNodeSize : entry.size) / this._chunkSegments;
+    }
+
+    // Central differences over one texel, like the chunk shader
+    _surfaceNormal(entry, x, z, target) {
+        const step = this._surfaceStep(entry);
+        const hL = this._surfaceHeight(entry, x - step, z);
+        const hR = this._surfaceHeight(entry, x + step, z);
+        const hD = this._surfaceHeight(entry, x, z + step);
+        const hU = this._surfaceHeight(entry, x, z - step);
+        return target.set(hL - hR, 2.0 * step, hU - hD).normalize();
+    }
+
+    _slopeOf(normal) {
+        return THREE.MathUtils.radToDeg(Math.acos(THREE.MathUtils.clamp(normal.y, -1.0, 1.0)));
+    }
+
+    /**
+     * Dominant biome at an absolute world position, using the climate at the terrain height there.
+     * The height is the drawn one (see getHeightAt), the same heights the biome textures were
+     * classified from, so picks agree with what is shown.
+     * @param {number} x - world x
+     * @param {number} z - world z
+     * @returns {object} entry of BIOMES
+     */
+    getBiomeAt(x, z) {
+        // noise space y runs along world -z
+        return BIOMES[this._biomeMap.getBiomeIndex(x, -z, this.getHeightAt(x, z))];
+    }
+
+    /**
+     * River polylines and lake outlines within a rectangle of absolute world (x, z)
+     * coordinates, for water rendering. Empty unless rivers and lakes are enabled.
+     * @returns {{rivers: {points: {x: number, z: number, level: number, width: number}[]}[],
+     *  lakes: {level: number, outline: {x: number, z: number}[], holes: {x: number, z: number}[][]}[]}}
+     */
+    getWaterFeatures(minX, minZ, maxX, maxZ) {
+        if (typeof this._heightFunction?.getWaterFeatures !== 'function') {
+            return { rivers: [], lakes: [] };
+        }
+
+        // noise space y runs along world -z
+        const features = this._heightFunction.getWaterFeatures(minX, -maxZ, maxX, -minZ);
+        const toWorld = (v) => ({ x: v.x, z: -v.y });
+        return {
+            rivers: features.rivers.map((river) => ({
+                points: river.points.map((p) => ({ ...toWorld(p), level: p.level, width: p.width })),
+            })),
+            lakes: features.lakes.map((lake) => ({
+                level: lake.level,
+                outline: lake.outline.map(toWorld),
+                holes: lake.holes.map((hole) => hole.map(toWorld)),
+            })),
+        };
+    }
+
     onNoiseChange() {
-        this._noiseGenerator.setParams(this._noiseParams);
+        // Rebuild the graph so every node picks up the current GUI params and seed
+        this._biomeMap = new BiomeMap(this._climateParams());
+        this._heightFunction = this._buildHeightFunction();
         for (const k in this._chunks) {
-            const {cellIndex, offset, size, chunk} = this._chunks[k];
+            const entry = this._chunks[k];
+            const {offset, size} = entry;
 
-            const texture = this._generateHeightMapTexture(offset.x, offset.y, size);
-            chunk.setTexture(texture);
+            // Pending chunks are simply requested again with the new settings
+            if (entry.chunk === null) {
+                this._requestChunk(k, offset, size);
+                continue;
+            }
+
+            // Built chunks keep their current heights until the regenerated ones arrive
+            this._requestHeightData(k, offset, size).then((data) => {
+                if (data === null || this._chunks[k] !== entry) {
+                    return;
+                }
+                entry.chunk.setTexture(data.heightTexture ?? this._createHeightMapTexture(data.heights),
+                    this._createBiomeTexture(data.biomes));
+                entry.data = data;
+                this._updateHeightRange(k, entry);
+                this._updateVegetation(k, entry);
+            }).catch((error) => {
+                console.error('TerrainChunkManager: failed to regenerate chunk ' + k, error);
+            });
         }
     }
 }
 
-export class TerrainScene {
+// Floating origin: the scene is rendered relative to `_origin`, an integer (x, 0, z) offset
+// held in double precision. Whenever the active camera strays further than the shift
+// distance from the local origin, everything is rebased so the camera is near (0, 0, 0)
+// again and an 'originshift' event { delta, origin } is dispatched.
+export class TerrainScene extends THREE.EventDispatcher {
     _entities = {};
     _scene = null;
     _activeController = null;
     _sceneParams = null;
+    _origin = new THREE.Vector3();
+    _gui = null;
+    _guiParams = null;
+    _presetParams = null;
+    _savedPresetController = null;
+    _raycaster = new THREE.Raycaster();
+    _pointerDown = null;
+    _cameraPathParams = null;
+    _recordController = null;
+    _recording = null;
 
     constructor(params) {
+        super();
         this._scene     = new THREE.Scene();
+        this._gui       = params.gui;
+        this._guiParams = params.guiParams;
 
         // Set up scene GUI
         params.guiParams.scene = {
             activeController : "FPS",
+            originShiftDistance : 1024,
+            pickOnClick : true,
         }
         this._sceneParams = params.guiParams.scene;
 
         const sceneRollup = params.gui.addFolder('Scene');
-        sceneRollup.add(this._sceneParams, "activeController", ["Orbit", "FPS"])
+        sceneRollup.add(this._sceneParams, "activeController", ["Orbit", "FPS", "Walk", "Playback"])
             .onChange(() => { this.onActiveControllerChange(); })
             .name("active controller");
+        sceneRollup.add(this._sceneParams, "originShiftDistance", 128, 8192)
+            .name("origin shift distance");
+        sceneRollup.add(this._sceneParams, "pickOnClick")
+            .onChange(() => { this.onPickOnClickChange(); })
+            .name("pick terrain on click");
     
         // Create Scene entities
         this._entities['atmosphere'] = new TerrainAtmosphere({
@@ -574,9 +2083,18 @@ export class TerrainScene {
             gui : params.gui,
             guiParams : params.guiParams,
             terrainHost : {
+                // LOD follows the FPS camera, or the walker while walking.
+                // Absolute world position, independent of the floating origin
                 getFPSControllerPosition: () => {
-                    return this._entities['fps-controller'].getPosition();
-                }
+                    return this.toWorldPosition(this._lodController().getPosition());
+                },
+                getFPSControllerCamera: () => {
+                    return this._lodController().getCamera();
+                },
+                // vegetation stays above water; the water entity is created after the terrain
+                getSeaLevel: () => {
+                    return this._entities['water']?.getSeaLevel() ?? -Infinity;
+                },
             }
         });
 
@@ -585,12 +2103,198 @@ export class TerrainScene {
             gui : params.gui,
         });
 
+        // controllers query the ground in scene space
+        const groundHost = {
+            getHeightAt: (x, z) => this.getHeightAt(x, z),
+            getSlopeAt: (x, z) => this.getSlopeAt(x, z),
+        };
+
         this._entities['fps-controller'] = new FPSController({
             scene : this._scene,
-            gui : params.gui
+            gui : params.gui,
+            guiParams : params.guiParams,
+            groundHost : groundHost,
+        });
+
+        this._entities['walk-controller'] = new WalkController({
+            scene : this._scene,
+            gui : params.gui,
+            guiParams : params.guiParams,
+            groundHost : groundHost,
+        });
+
+        this._entities['playback-controller'] = new PlaybackController({
+            scene : this._scene,
+            gui : params.gui,
+            guiParams : params.guiParams,
+        });
+
+        // after the controllers so the water follows the camera of the current frame
+        this._entities['water'] = new TerrainWater({
+            scene : this._scene,
+            gui : params.gui,
+            guiParams : params.guiParams,
+            waterHost : {
+                getCamera: () => {
+                    return this._activeController.getCamera();
+                },
+                getSky: () => {
+                    return this._entities['atmosphere'].getSky();
+                },
+            }
         });
 
         this.onActiveControllerChange();
+        this._initializePresets(params);
+        this._initializeCameraPath(params);
+        this._initializePicking();
+    }
+
+    _initializeCameraPath(params) {
+        // Buttons stay out of guiParams like the preset ones
+        this._cameraPathParams = {
+            record : () => { this.onCameraPathRecord(); },
+            play : () => { this.onCameraPathPlay(); },
+            exportFile : () => { this.onCameraPathExportFile(); },
+        };
+
+        const pathRollup = params.gui.addFolder('Camera Path');
+        this._recordController = pathRollup.add(this._cameraPathParams, 'record')
+            .name('start recording');
+        pathRollup.add(this._cameraPathParams, 'play')
+            .name('play from start');
+        pathRollup.add(this._cameraPathParams, 'exportFile')
+            .name('export flythrough');
+        pathRollup.close();
+    }
+
+    _initializePicking() {
+        // Controllers drag to look, so only a press released in place picks
+        CONFIG.CANVAS_TARGET.addEventListener('pointerdown', (event) => {
+            this._pointerDown = { x: event.clientX, y: event.clientY };
+        });
+        CONFIG.CANVAS_TARGET.addEventListener('pointerup', (event) => {
+            const down = this._pointerDown;
+            this._pointerDown = null;
+            if (this._sceneParams.pickOnClick && event.button === 0 && down !== null &&
+                Math.hypot(event.clientX - down.x, event.clientY - down.y) <= PICK_CLICK_TOLERANCE) {
+                this.onPick(event.clientX, event.clientY);
+            }
+        });
+    }
+
+    _initializePresets(params) {
+        // Preset GUI params stay out of guiParams so they are not part of the presets themselves
+        this._presetParams = {
+            name : 'my world',
+            saved : '',
+            save : () => { this.onPresetSave(); },
+            exportFile : () => { this.onPresetExportFile(); },
+            importFile : () => { this.onPresetImportFile(); },
+            shareLink : () => { this.onPresetShareLink(); },
+        };
+
+        const presetRollup = params.gui.addFolder('Presets');
+        presetRollup.add(this._presetParams, 'name')
+            .name('preset name');
+        presetRollup.add(this._presetParams, 'save')
+            .name('save to browser');
+        this._savedPresetController = presetRollup.add(this._presetParams, 'saved', [])
+            .onChange(() => { this.onPresetLoadSaved(); })
+            .name('load saved');
+        presetRollup.add(this._presetParams, 'exportFile')
+            .name('export file');
+        presetRollup.add(this._presetParams, 'importFile')
+            .name('import file');
+        presetRollup.add(this._presetParams, 'shareLink')
+            .name('copy share link');
+        this._updateSavedPresets();
+
+        // A shared link opens the world it describes
+        window.addEventListener('hashchange', () => { this._loadPresetFromHash(); });
+        this._loadPresetFromHash();
+    }
+
+    _readSavedPresets() {
+        try {
+            return JSON.parse(window.localStorage.getItem(PRESET_STORAGE_KEY) ?? '{}');
+        } catch (error) {
+            console.error('TerrainScene: ignoring unreadable saved presets', error);
+            return {};
+        }
+    }
+
+    _updateSavedPresets() {
+        const names = Object.keys(this._readSavedPresets());
+        // options() replaces the controller, keep the same handler
+        this._savedPresetController = this._savedPresetController.options(names)
+            .onChange(() => { this.onPresetLoadSaved(); })
+            .name('load saved');
+    }
+
+    _loadPresetFromHash() {
+        const hash = window.location.hash;
+        if (hash.length <= 1) {
+            return;
+        }
+        try {
+            this.loadWorldPreset(PRESET.decodeWorldPresetHash(hash));
+        } catch (error) {
+            console.error('TerrainScene: invalid preset in URL', error);
+        }
+    }
+
+    /**
+     * Current settings and camera pose as a world preset, see world-preset.js.
+     * @param {boolean} includeCameraPath - add the recorded path, which makes a flythrough
+     *  that replays over the same world
+     * @returns {object}
+     */
+    getWorldPreset(includeCameraPath = false) {
+        const pose = this._activeController.getPose();
+        const toWorld = (v) => (v ? this.toWorldPosition(new THREE.Vector3().fromArray(v)).toArray() : undefined);
+        const cameraPath = includeCameraPath ? this._entities['playback-controller'].getPath() : null;
+        return PRESET.createWorldPreset(this._guiParams, {
+            controller: this._sceneParams.activeController,
+            position: toWorld(pose.position),
+            quaternion: pose.quaternion,
+            target: toWorld(pose.target),
+        }, cameraPath);
+    }
+
+    /**
+     * Apply a world preset: settings are pushed into the GUI, every entity re-applies them,
+     * and the active camera moves to the saved pose. A flythrough starts playing its path.
+     * @param {object} preset - any preset version, migrated on load
+     */
+    loadWorldPreset(preset) {
+        const current = PRESET.migrateWorldPreset(preset);
+        PRESET.applyWorldSettings(this._guiParams, current.settings);
+        if (current.cameraPath) {
+            this._stopRecording();
+            this._entities['playback-controller'].setPath(current.cameraPath);
+            this._sceneParams.activeController = 'Playback';
+        }
+        for (const controller of this._gui.controllersRecursive()) {
+            controller.updateDisplay();
+        }
+
+        this.onActiveControllerChange();
+        for (const k in this._entities) {
+            const entity = this._entities[k];
+            if (typeof entity?.onSettingsLoaded === 'function') {
+                entity.onSettingsLoaded();
+            }
+        }
+
+        if (current.camera?.position) {
+            const toLocal = (v) => (v ? this.toLocalPosition(new THREE.Vector3().fromArray(v)).toArray() : undefined);
+            this._activeController.setPose({
+                position: toLocal(current.camera.position),
+                quaternion: current.camera.quaternion,
+                target: toLocal(current.camera.target),
+            });
+        }
     }
 
     update(deltaTime) {
@@ -599,9 +2303,135 @@ export class TerrainScene {
             const entity = this._entities[k];
             entity.update(deltaTime);
         }
+
+        this._recordCameraPath(deltaTime);
+        this._updateOrigin();
+    }
+
+    getOrigin() {
+        return this._origin;
+    }
+
+    // Scene (rendering) space to absolute world space
+    toWorldPosition(localPosition, target = new THREE.Vector3()) {
+        return target.copy(localPosition).add(this._origin);
+    }
+
+    // Absolute world space to scene (rendering) space
+    toLocalPosition(worldPosition, target = new THREE.Vector3()) {
+        return target.copy(worldPosition).sub(this._origin);
+    }
+
+    // Terrain queries for gameplay code, in scene space: the floating origin is applied here,
+    // see TerrainChunkManager.getHeightAt for how heights are sampled
+
+    getHeightAt(x, z) {
+        return this._entities['terrain'].getHeightAt(x + this._origin.x, z + this._origin.z);
+    }
+
+    getNormalAt(x, z, target = new THREE.Vector3()) {
+        return this._entities['terrain'].getNormalAt(x + this._origin.x, z + this._origin.z, target);
+    }
+
+    getSlopeAt(x, z) {
+        return this._entities['terrain'].getSlopeAt(x + this._origin.x, z + this._origin.z);
+    }
+
+    // Batched queries take interleaved x, z pairs, see TerrainChunkManager.getHeightsAt
+
+    getHeightsAt(positions, target) {
+        return this._entities['terrain'].getHeightsAt(this._toWorldPairs(positions), target);
+    }
+
+    getNormalsAt(positions, target) {
+        return this._entities['terrain'].getNormalsAt(this._toWorldPairs(positions), target);
+    }
+
+    getSlopesAt(positions, target) {
+        return this._entities['terrain'].getSlopesAt(this._toWorldPairs(positions), target);
+    }
+
+    _toWorldPairs(positions) {
+        const world = new Float64Array(positions.length);
+        for (let i = 0; i < positions.length; i += 2) {
+            world[i] = positions[i] + this._origin.x;
+            world[i + 1] = positions[i + 1] + this._origin.z;
+        }
+        return world;
+    }
+
+    /**
+     * First intersection of a ray with the terrain as drawn. Raycaster cannot be used on the
+     * chunks, their vertices are displaced in the shader.
+     * @param {THREE.Ray} ray - scene space
+     * @param {number} maxDistance
+     * @returns {{distance: number, point: THREE.Vector3}|null} point in scene space
+     */
+    raycastTerrain(ray, maxDistance = 4096) {
+        const hit = this._entities['terrain'].raycast(this.toWorldPosition(ray.origin), ray.direction, maxDistance);
+        if (hit === null) {
+            return null;
+        }
+        return { distance: hit.distance, point: this.toLocalPosition(new THREE.Vector3(hit.x, hit.y, hit.z)) };
+    }
+
+    /**
+     * Terrain under a pixel of the canvas, seen from the active camera.
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {{position: THREE.Vector3, slope: number, biome: object}|null} position in
+     *  absolute world space, slope in degrees
+     */
+    pickTerrain(clientX, clientY) {
+        const rect = CONFIG.CANVAS_TARGET.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        const camera = this._activeController.getCamera();
+        this._raycaster.setFromCamera(pointer, camera);
+
+        const hit = this.raycastTerrain(this._raycaster.ray, camera.far);
+        if (hit === null) {
+            return null;
+        }
+        const position = this.toWorldPosition(hit.point);
+        const terrain = this._entities['terrain'];
+        return {
+            position: position,
+            slope: terrain.getSlopeAt(position.x, position.z),
+            biome: terrain.getBiomeAt(position.x, position.z),
+        };
+    }
+
+    _updateOrigin() {
+        const position = this._activeController.getPosition();
+        if (Math.hypot(position.x, position.z) < this._sceneParams.originShiftDistance) {
+            return;
+        }
+
+        // Shift by whole units on the ground plane so the accumulated origin stays exact
+        const delta = new THREE.Vector3(Math.round(position.x), 0, Math.round(position.z));
+        this._origin.add(delta);
+
+        for (const k in this._entities) {
+            const entity = this._entities[k];
+            if (typeof entity?.onOriginShift === 'function') {
+                entity.onOriginShift(delta, this._origin);
+            }
+        }
+        this.dispatchEvent({ type: 'originshift', delta: delta.clone(), origin: this._origin.clone() });
     }
 
     render(renderer) {
+        // let entities render offscreen passes first (e.g. water reflections)
+        for (const k in this._entities) {
+            const entity = this._entities[k];
+            if (typeof entity?.onBeforeRender === 'function') {
+                entity.onBeforeRender(renderer, this._scene);
+            }
+        }
+
         // render frame
         renderer.render(this._scene, this._activeController.getCamera());
     }
@@ -622,10 +2452,52 @@ export class TerrainScene {
         this._entities = {};
         this._scene = null;
         this._camera = null;
+        this._origin.set(0, 0, 0);
+    }
+
+    _lodController() {
+        switch (this._sceneParams.activeController) {
+            case 'Walk':
+                return this._entities['walk-controller'];
+            case 'Playback':
+                return this._entities['playback-controller'];
+            default:
+                return this._entities['fps-controller'];
+        }
+    }
+
+    // Keys are taken from the active camera in world space, at most one per key interval
+    _recordCameraPath(deltaTime) {
+        const recording = this._recording;
+        if (recording === null) {
+            return;
+        }
+        recording.time += Number.isFinite(deltaTime) ? deltaTime : 0;
+        const keys = recording.path.keys;
+        if (keys.length > 0 && recording.time - keys[keys.length - 1].time < CAMERA_PATH_KEY_INTERVAL) {
+            return;
+        }
+        const camera = this._activeController.getCamera();
+        CAMERA_PATH.addCameraPathKey(recording.path, recording.time,
+            this.toWorldPosition(camera.position).toArray(), camera.quaternion.toArray());
+    }
+
+    _stopRecording() {
+        if (this._recording === null) {
+            return;
+        }
+        const path = this._recording.path;
+        this._recording = null;
+        this._recordController.name('start recording');
+        // a single key is a still image, not a path
+        if (path.keys.length > 1) {
+            this._entities['playback-controller'].setPath(path);
+        }
     }
 
     // Event call back functions
     onActiveControllerChange() {
+        const previousController = this._activeController;
         if (this._activeController !== null) {
             this._activeController.setActive(false);
         }
@@ -636,6 +2508,23 @@ export class TerrainScene {
             case "FPS":
                 this._activeController = this._entities['fps-controller'];
                 break;
+            case "Walk":
+                this._activeController = this._entities['walk-controller'];
+                // start walking on the ground below the previous camera
+                if (previousController !== null && previousController !== this._activeController) {
+                    this._activeController.placeAt(previousController.getPosition());
+                }
+                break;
+            case "Playback":
+                // the camera only moves along the path, recording it again would be a copy
+                this._stopRecording();
+                this._activeController = this._entities['playback-controller'];
+                // without a path the view stays where the previous camera was
+                if (previousController !== null && previousController !== this._activeController) {
+                    this._activeController.setPose(previousController.getPose());
+                }
+                this._activeController.restart();
+                break;
             default:
                 this._activeController = this._entities['orbit-controller'];
                 break;
@@ -643,9 +2532,136 @@ export class TerrainScene {
         this._activeController.setActive(true);
     }
 
+    onPick(clientX, clientY) {
+        const pick = this.pickTerrain(clientX, clientY);
+        if (pick === null) {
+            CONFIG.PICK_INFO_TARGET.textContent = 'no terrain hit';
+            return;
+        }
+        const { position, slope, biome } = pick;
+        CONFIG.PICK_INFO_TARGET.textContent = [
+            `x ${position.x.toFixed(1)}  z ${position.z.toFixed(1)}`,
+            `height ${position.y.toFixed(2)}`,
+            `slope ${slope.toFixed(1)}\u00b0`,
+            `biome ${biome.name}`,
+        ].join('\n');
+    }
+
+    onPickOnClickChange() {
+        if (!this._sceneParams.pickOnClick) {
+            CONFIG.PICK_INFO_TARGET.textContent = '';
+        }
+    }
+
+    onCameraPathRecord() {
+        if (this._recording !== null) {
+            this._stopRecording();
+            return;
+        }
+        if (this._sceneParams.activeController === 'Playback') {
+            console.warn('TerrainScene: switch to another controller to record a camera path');
+            return;
+        }
+        this._recording = { path: CAMERA_PATH.createCameraPath(), time: 0.0 };
+        this._recordController.name('stop recording');
+        this._recordCameraPath(0.0);
+    }
+
+    onCameraPathPlay() {
+        this._stopRecording();
+        if (this._entities['playback-controller'].getPath() === null) {
+            console.warn('TerrainScene: no camera path recorded or loaded');
+            return;
+        }
+        this._sceneParams.activeController = 'Playback';
+        for (const controller of this._gui.controllersRecursive()) {
+            controller.updateDisplay();
+        }
+        this.onActiveControllerChange();
+    }
+
+    onCameraPathExportFile() {
+        this._stopRecording();
+        if (this._entities['playback-controller'].getPath() === null) {
+            console.warn('TerrainScene: no camera path recorded or loaded');
+            return;
+        }
+        // settings and seed travel with the path, importing it as a preset replays it
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([PRESET.stringifyWorldPreset(this.getWorldPreset(true))],
+            { type: 'application/json' }));
+        link.download = this._presetParams.name + '.flythrough.json';
+        link.click();
+        window.setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    onPresetSave() {
+        const presets = this._readSavedPresets();
+        presets[this._presetParams.name] = this.getWorldPreset();
+        try {
+            window.localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+        } catch (error) {
+            console.error('TerrainScene: could not store preset ' + this._presetParams.name, error);
+        }
+        this._updateSavedPresets();
+    }
+
+    onPresetLoadSaved() {
+        const name = this._presetParams.saved;
+        const preset = this._readSavedPresets()[name];
+        if (!preset) {
+            return;
+        }
+        this._presetParams.name = name;
+        try {
+            this.loadWorldPreset(preset);
+        } catch (error) {
+            console.error('TerrainScene: failed to load preset ' + name, error);
+        }
+    }
+
+    onPresetExportFile() {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([PRESET.stringifyWorldPreset(this.getWorldPreset())],
+            { type: 'application/json' }));
+        link.download = this._presetParams.name + '.json';
+        link.click();
+        window.setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    onPresetImportFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files?.[0];
+            if (!file) {
+                return;
+            }
+            file.text().then((text) => {
+                this.loadWorldPreset(PRESET.parseWorldPreset(text));
+            }).catch((error) => {
+                console.error('TerrainScene: failed to import preset ' + file.name, error);
+            });
+        });
+        input.click();
+    }
+
+    onPresetShareLink() {
+        // replacing the hash in place keeps the world across reloads without a hashchange
+        const url = new URL(window.location.href);
+        url.hash = PRESET.encodeWorldPresetHash(this.getWorldPreset());
+        window.history.replaceState(null, '', url.href);
+        navigator.clipboard?.writeText(url.href).catch((error) => {
+            console.error('TerrainScene: could not copy the share link', error);
+        });
+    }
+
     onWindowResize() {
         // Update camera
         this._entities['orbit-controller'].onWindowResize();
         this._entities['fps-controller'].onWindowResize();
+        this._entities['walk-controller'].onWindowResize();
+        this._entities['playback-controller'].onWindowResize();
     }
 }
@@ -0,0 +1,208 @@
+// Base for fields that are computed over square world-aligned tiles but must read as one
+// continuous function of position. Tiles are built on demand, kept in a small LRU cache,
+// and cross-faded across their borders so the result never depends on which chunk (or LOD)
+// asks for it. Subclasses implement _buildTile(tx, ty) and usually compute each tile over a
+// padded area so the cross-fade zone is covered by every tile that contributes to it.
+// With a tile loader set, missing tiles are requested from it instead (e.g. from a worker)
+// and read as a fallback value until they arrive.
+export class TiledField {
+    _tileSize   = 1;
+    _blend      = 0;
+    _maxTiles   = 1;
+    _tiles      = new Map();
+    _loadTile   = null;
+    _pending    = new Map();
+
+    /**
+     * @param {object} params
+     * @param {number} params.tileSize - tile edge length in world units
+     * @param {number} params.blend - half width of the cross-fade zone, at most tileSize / 2
+     * @param {number} params.maxTiles - tiles kept in the cache
+     */
+    constructor(params) {
+        if (!Number.isFinite(params?.tileSize) || params.tileSize <= 0) {
+            throw new Error('TiledField.constructor: params.tileSize must be a positive number.');
+        }
+        if (!Number.isFinite(params.blend) || params.blend < 0 || params.blend > params.tileSize / 2) {
+            throw new Error('TiledField.constructor: params.blend must be in [0, tileSize / 2].');
+        }
+
+        this._tileSize = params.tileSize;
+        this._blend = params.blend;
+        this._maxTiles = Math.max(params.maxTiles ?? 1, 1);
+    }
+
+    /**
+     * Build missing tiles asynchronously instead of on the calling thread.
+     * @param {Function|null} loadTile - (tx, ty) => Promise resolving with the tile _buildTile(tx, ty)
+     *  would return, or null if the load was cancelled
+     */
+    setTileLoader(loadTile) {
+        this._loadTile = loadTile;
+        this._pending.clear();
+    }
+
+    /**
+     * Tile at an index, built here if it is not cached, regardless of any tile loader.
+     * @param {number} tx
+     * @param {number} ty
+     * @returns {object}
+     */
+    getTile(tx, ty) {
+        const key = tx + ',' + ty;
+        return this._cachedTile(key) ?? this._cacheTile(key, this._buildTile(tx, ty));
+    }
+
+    /**
+     * Weighted sum of sampleTile over the tiles covering a point; the weights sum to 1.
+     * Tiles still loading contribute the fallback value instead.
+     * @param {number} x
+     * @param {number} y
+     * @param {Function} sampleTile - (tile, tx, ty) => number
+     * @param {number} fallback
+     * @returns {number}
+     */
+    _blendTiles(x, y, sampleTile, fallback) {
+        const weightsX = this._tileWeights(x);
+        const weightsY = this._tileWeights(y);
+
+        let value = 0;
+        for (let j = 0; j < weightsY.length; j += 2) {
+            const ty = weightsY[j];
+            for (let i = 0; i < weightsX.length; i += 2) {
+                const tx = weightsX[i];
+                const weight = weightsX[i + 1] * weightsY[j + 1];
+                if (weight === 0) {
+                    continue;
+                }
+                const tile = this._getTile(tx, ty);
+                value += weight * (tile === null ? fallback : sampleTile(tile, tx, ty));
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Tiles overlapping a rectangle, without cross-fade weights. Tiles still loading are left out.
+     * @returns {{tx: number, ty: number, tile: object}[]}
+     */
+    _tilesInBounds(minX, minY, maxX, maxY) {
+        const tiles = [];
+        const tx0 = Math.floor(minX / this._tileSize);
+        const ty0 = Math.floor(minY / this._tileSize);
+        const tx1 = Math.floor(maxX / this._tileSize);
+        const ty1 = Math.floor(maxY / this._tileSize);
+        for (let ty = ty0; ty <= ty1; ty++) {
+            for (let tx = tx0; tx <= tx1; tx++) {
+                const tile = this._getTile(tx, ty);
+                if (tile !== null) {
+                    tiles.push({ tx, ty, tile });
+                }
+            }
+        }
+        return tiles;
+    }
+
+    // Tiles covering a coordinate along one axis as flat [index, weight, ...] pairs
+    _tileWeights(v) {
+        const size = this._tileSize;
+        const blend = this._blend;
+        const t = Math.floor(v / size);
+        const u = v - t * size;
+
+        if (blend > 0 && u < blend) {
+            const s = _smoothstep((u + blend) / (2 * blend));
+            return [t - 1, 1 - s, t, s];
+        }
+        if (blend > 0 && u > size - blend) {
+            const s = _smoothstep((u - (size - blend)) / (2 * blend));
+            return [t, 1 - s, t + 1, s];
+        }
+        return [t, 1];
+    }
+
+    // Cached tile, or null while a tile loader is building it
+    _getTile(tx, ty) {
+        if (this._loadTile === null) {
+            return this.getTile(tx, ty);
+        }
+
+        const key = tx + ',' + ty;
+        const tile = this._cachedTile(key);
+        if (tile === null && !this._pending.has(key)) {
+            const request = this._loadTile(tx, ty).then((loaded) => {
+                // ignore loads started before the loader was replaced
+                if (this._pending.get(key) !== request) {
+                    return;
+                }
+                this._pending.delete(key);
+                if (loaded !== null) {
+                    this._cacheTile(key, loaded);
+                }
+            }, (error) => {
+                // the key stays pending so a failing tile is not requested again on every lookup
+                console.error('TiledField: tile load failed', error);
+            });
+            this._pending.set(key, request);
+        }
+        return tile;
+    }
+
+    _cachedTile(key) {
+        const tile = this._tiles.get(key);
+        if (tile === undefined) {
+            return null;
+        }
+        // move to the back so the least recently used tile is evicted first
+        this._tiles.delete(key);
+        this._tiles.set(key, tile);
+        return tile;
+    }
+
+    _cacheTile(key, tile) {
+        if (this._tiles.size >= this._maxTiles) {
+            this._tiles.delete(this._tiles.keys().next().value);
+        }
+        this._tiles.set(key, tile);
+        return tile;
+    }
+
+    _buildTile(_tx, _ty) {
+        throw new Error('TiledField._buildTile: must be implemented by the subclass');
+    }
+}
+
+/**
+ * Mix a seed with a tile index so every tile gets its own random sequence.
+ * @returns {number} uint32 seed
+ */
+export function tileSeed(seed, tx, ty) {
+    let h = Math.imul(seed | 0, 0x9E3779B1);
+    h = Math.imul(h ^ (tx | 0), 0x85EBCA6B);
+    h = Math.imul(h ^ (ty | 0), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Bilinear sample of a row-major square grid, in grid units.
+ * @param {Float32Array} values - size * size
+ * @param {number} size
+ * @param {number} x - column, in [0, size - 1]
+ * @param {number} y - row, in [0, size - 1]
+ * @returns {number}
+ */
+export function sampleGrid(values, size, x, y) {
+    const cx = Math.min(Math.max(Math.floor(x), 0), size - 2);
+    const cy = Math.min(Math.max(Math.floor(y), 0), size - 2);
+    const fx = x - cx;
+    const fy = y - cy;
+    const i = cy * size + cx;
+    const top = values[i] + (values[i + 1] - values[i]) * fx;
+    const bottom = values[i + size] + (values[i + size + 1] - values[i + size]) * fx;
+    return top + (bottom - top) * fy;
+}
+
+function _smoothstep(t) {
+    const x = Math.min(Math.max(t, 0.0), 1.0);
+    return x * x * (3.0 - 2.0 * x);
+}
@@ -0,0 +1,183 @@
+// Fixed-size pool of workers fed from a single priority queue. Each job is
+// identified by a key so callers can cancel work that is no longer needed.
+// Works with browser Workers and Node worker_threads Workers. Workers report a failed job by
+// replying { error: message }; a Node worker that dies is replaced and its job rejected.
+export class WorkerPool {
+    _workers        = [];
+    _idle           = [];
+    _queue          = [];
+    _jobs           = {};
+    _busy           = new Map();
+    _createWorker   = null;
+    _lastBroadcast  = null;
+
+    constructor(params) {
+        if (typeof params?.createWorker !== 'function') {
+            throw new Error('WorkerPool.constructor: params.createWorker must be a function.');
+        }
+        if (!Number.isInteger(params.size) || params.size < 1) {
+            throw new Error('WorkerPool.constructor: params.size must be a positive integer.');
+        }
+
+        this._createWorker = params.createWorker;
+        for (let i = 0; i < params.size; i++) {
+            this._addWorker();
+        }
+    }
+
+    get pendingCount() {
+        return this._queue.length + this._busy.size;
+    }
+
+    /**
+     * Queue a job. Lower priority values are dispatched first.
+     * Enqueuing a key that is already queued or running cancels the earlier job.
+     * @param {string} key
+     * @param {object} message - posted to the worker
+     * @param {number} priority
+     * @param {Transferable[]} transfer
+     * @returns {Promise<object|null>} the worker response, or null if the job was cancelled
+     */
+    enqueue(key, message, priority = 0, transfer = []) {
+        this.cancel(key);
+
+        return new Promise((resolve, reject) => {
+            const job = { key, message, priority, transfer, resolve, reject, cancelled: false };
+            this._jobs[key] = job;
+            this._queue.push(job);
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Post a message to every worker, ahead of any job dispatched after it. The workers
+     * must not reply, so use it for state shared by later jobs rather than for work.
+     * Replacement workers are sent the most recent broadcast.
+     * @param {object} message - cloned for each worker
+     */
+    broadcast(message) {
+        this._lastBroadcast = message;
+        for (const worker of this._workers) {
+            worker.postMessage(message);
+        }
+    }
+
+    cancel(key) {
+        const job = this._jobs[key];
+        if (!job) {
+            return;
+        }
+
+        // Queued jobs are dropped; running jobs finish but their result is discarded
+        job.cancelled = true;
+        delete this._jobs[key];
+        const index = this._queue.indexOf(job);
+        if (index !== -1) {
+            this._queue.splice(index, 1);
+        }
+        job.resolve(null);
+    }
+
+    setPriority(key, priority) {
+        const job = this._jobs[key];
+        if (job) {
+            job.priority = priority;
+        }
+    }
+
+    _addWorker() {
+        const worker = this._createWorker();
+        const onMessage = (data) => {
+            const error = typeof data?.error === 'string' ? new Error(data.error) : null;
+            this._onWorkerDone(worker, error ? null : data, error);
+        };
+
+        if (typeof worker.on === 'function') {
+            // Node worker_threads end their thread on an uncaught error, so replace them
+            worker.on('message', onMessage);
+            worker.on('error', (error) => { this._onWorkerLost(worker, error); });
+            worker.on('exit', (code) => {
+                this._onWorkerLost(worker, new Error(`WorkerPool: worker exited with code ${code}`));
+            });
+        } else {
+            worker.addEventListener('message', (event) => onMessage(event.data));
+            worker.addEventListener('error', (event) => { this._onWorkerDone(worker, null, event); });
+        }
+
+        this._workers.push(worker);
+        this._idle.push(worker);
+        return worker;
+    }
+
+    _onWorkerLost(worker, error) {
+        const index = this._workers.indexOf(worker);
+        if (index === -1) {
+            // already replaced, or the pool was disposed
+            return;
+        }
+        this._workers.splice(index, 1);
+        const idleIndex = this._idle.indexOf(worker);
+        if (idleIndex !== -1) {
+            this._idle.splice(idleIndex, 1);
+        }
+
+        const job = this._busy.get(worker);
+        this._busy.delete(worker);
+        if (job && !job.cancelled) {
+            delete this._jobs[job.key];
+            job.reject(error);
+        }
+
+        const replacement = this._addWorker();
+        if (this._lastBroadcast !== null) {
+            replacement.postMessage(this._lastBroadcast);
+        }
+        this._dispatch();
+    }
+
+    _dispatch() {
+        while (this._idle.length > 0 && this._queue.length > 0) {
+            let next = 0;
+            for (let i = 1; i < this._queue.length; i++) {
+                if (this._queue[i].priority < this._queue[next].priority) {
+                    next = i;
+                }
+            }
+            const job = this._queue.splice(next, 1)[0];
+            const worker = this._idle.pop();
+            this._busy.set(worker, job);
+            worker.postMessage(job.message, job.transfer);
+        }
+    }
+
+    _onWorkerDone(worker, data, error) {
+        const job = this._busy.get(worker);
+        this._busy.delete(worker);
+        this._idle.push(worker);
+
+        if (job && !job.cancelled) {
+            delete this._jobs[job.key];
+            if (error) {
+                job.reject(error);
+            } else {
+                job.resolve(data);
+            }
+        }
+
+        this._dispatch();
+    }
+
+    dispose() {
+        for (const key in this._jobs) {
+            this.cancel(key);
+        }
+        for (const worker of this._workers) {
+            worker.terminate();
+        }
+
+        this._workers = [];
+        this._idle = [];
+        this._queue = [];
+        this._busy.clear();
+    }
+}
@@ -0,0 +1,172 @@
+import { validateCameraPath } from './camera-path.js';
+
+// Serializable world presets: every GUI setting plus the camera pose, tagged with a schema
+// version. Older presets are upgraded step by step through MIGRATIONS when they are read,
+// so saved files and shared links keep working as settings are added.
+//
+// A preset is { version, settings, camera, cameraPath } where settings mirrors the guiParams
+// tree (noise, terrain, sky, sun, fog, ...) and camera is null or
+// { controller, position: [x, y, z], quaternion: [x, y, z, w], target: [x, y, z] }
+// in absolute world coordinates. cameraPath is null or a flythrough, see camera-path.js.
+
+export const WORLD_PRESET_VERSION = 3;
+
+// MIGRATIONS[n] upgrades a version n preset to version n + 1
+const MIGRATIONS = {
+    // unversioned presets were plain guiParams dumps without a camera pose
+    0: (preset) => ({ version: 1, settings: preset.settings ?? preset, camera: null }),
+    1: (preset) => ({ ...preset, version: 2, cameraPath: null }),
+    // thermal weathering moved out of the erosion settings with a toggle of its own
+    2: (preset) => ({ ...preset, version: 3, settings: _splitThermalSettings(preset.settings) }),
+};
+
+/**
+ * Snapshot the settings and camera pose as a preset of the current version.
+ * @param {object} settings - guiParams; functions (GUI buttons) are left out
+ * @param {object|null} camera
+ * @param {object|null} cameraPath - flythrough replayed with these settings
+ * @returns {object}
+ */
+export function createWorldPreset(settings, camera = null, cameraPath = null) {
+    return {
+        version: WORLD_PRESET_VERSION,
+        settings: _serializable(settings),
+        camera: camera ? _serializable(camera) : null,
+        cameraPath: cameraPath ? _serializable(cameraPath) : null,
+    };
+}
+
+/**
+ * Validate a parsed preset and upgrade it to the current version.
+ * @param {object} preset
+ * @returns {object} preset of WORLD_PRESET_VERSION
+ */
+export function migrateWorldPreset(preset) {
+    if (!_isPlainObject(preset)) {
+        throw new Error('migrateWorldPreset: preset must be an object');
+    }
+
+    let current = preset;
+    let version = Number.isInteger(preset.version) ? preset.version : 0;
+    if (version > WORLD_PRESET_VERSION) {
+        throw new Error(`migrateWorldPreset: preset version ${version} is newer than supported version ${WORLD_PRESET_VERSION}`);
+    }
+    while (version < WORLD_PRESET_VERSION) {
+        current = MIGRATIONS[version](current);
+        version = current.version;
+    }
+
+    if (!_isPlainObject(current.settings)) {
+        throw new Error('migrateWorldPreset: preset has no settings');
+    }
+    if (current.cameraPath) {
+        validateCameraPath(current.cameraPath);
+    }
+    return current;
+}
+
+/**
+ * Copy preset settings onto live settings in place. Only keys that already exist with the
+ * same type are written, so presets from other versions cannot add or retype settings.
+ * @param {object} target - guiParams
+ * @param {object} settings - preset settings
+ * @returns {object} target
+ */
+export function applyWorldSettings(target, settings) {
+    for (const key in target) {
+        if (!(key in settings)) {
+            continue;
+        }
+        const value = settings[key];
+        if (_isPlainObject(target[key])) {
+            if (_isPlainObject(value)) {
+                applyWorldSettings(target[key], value);
+            }
+        } else if (typeof target[key] !== 'function' && typeof value === typeof target[key]) {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
+/**
+ * Preset as JSON text.
+ * @param {object} preset
+ * @returns {string}
+ */
+export function stringifyWorldPreset(preset) {
+    return JSON.stringify(preset, null, 2);
+}
+
+/**
+ * Parse and migrate preset JSON text.
+ * @param {string} text
+ * @returns {object}
+ */
+export function parseWorldPreset(text) {
+    return migrateWorldPreset(JSON.parse(text));
+}
+
+/**
+ * Encode a preset for a URL hash as base64url of its UTF-8 JSON.
+ * @param {object} preset
+ * @returns {string}
+ */
+export function encodeWorldPresetHash(preset) {
+    const bytes = new TextEncoder().encode(JSON.stringify(preset));
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode and migrate a preset from a URL hash, with or without the leading '#'.
+ * @param {string} hash
+ * @returns {object}
+ */
+export function decodeWorldPresetHash(hash) {
+    const base64 = hash.replace(/^#/, '').replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64);
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    return parseWorldPreset(new TextDecoder().decode(bytes));
+}
+
+// Deep copy of the JSON representable values
+function _serializable(value) {
+    if (Array.isArray(value)) {
+        return value.map(_serializable);
+    }
+    if (_isPlainObject(value)) {
+        const result = {};
+        for (const key in value) {
+            if (typeof value[key] !== 'function' && value[key] !== undefined) {
+                result[key] = _serializable(value[key]);
+            }
+        }
+        return result;
+    }
+    return value;
+}
+
+function _splitThermalSettings(settings) {
+    if (!_isPlainObject(settings?.erosion) || !('thermalIterations' in settings.erosion)) {
+        return settings;
+    }
+    const { thermalIterations, talusAngle, thermalRate, ...erosion } = settings.erosion;
+    return {
+        ...settings,
+        erosion,
+        thermal: {
+            enabled: erosion.enabled === true && thermalIterations > 0,
+            iterations: thermalIterations,
+            talusAngle,
+            rate: thermalRate,
+        },
+    };
+}
+
+function _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
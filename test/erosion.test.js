@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { erodeThermal, ErosionField } from '../src/erosion.js';
+
+const SIZE = 24;
+
+// A single steep spike on flat ground, in cells
+function spikeGrid() {
+    const heights = new Float32Array(SIZE * SIZE);
+    heights[(SIZE / 2) * SIZE + SIZE / 2] = 40.0;
+    return heights;
+}
+
+// A vertical cliff along the middle column
+function cliffGrid() {
+    const heights = new Float32Array(SIZE * SIZE);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = SIZE / 2; x < SIZE; x++) {
+            heights[y * SIZE + x] = 12.0;
+        }
+    }
+    return heights;
+}
+
+function sum(heights) {
+    return heights.reduce((total, h) => total + h, 0);
+}
+
+// Largest height difference over the talus slope towards any 8-connected neighbour
+function maxExcess(heights, talusAngle) {
+    const talus = Math.tan(talusAngle * Math.PI / 180);
+    let excess = -Infinity;
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if ((dx === 0 && dy === 0) || nx < 0 || nx >= SIZE || ny < 0 || ny >= SIZE) {
+                        continue;
+                    }
+                    const drop = heights[y * SIZE + x] - heights[ny * SIZE + nx];
+                    excess = Math.max(excess, drop - talus * Math.hypot(dx, dy));
+                }
+            }
+        }
+    }
+    return excess;
+}
+
+describe('erodeThermal', () => {
+    for (const [name, grid] of [['spike', spikeGrid], ['cliff', cliffGrid]]) {
+        it(`conserves material on a ${name}`, () => {
+            const heights = grid();
+            const before = sum(heights);
+            erodeThermal(heights, SIZE, { thermalIterations: 100, talusAngle: 30.0, thermalRate: 0.5 });
+            assert.ok(Math.abs(sum(heights) - before) < 1e-3 * before);
+        });
+
+        it(`leaves no slope above the talus angle on a ${name}`, () => {
+            const heights = grid();
+            assert.ok(maxExcess(heights, 30.0) > 1.0);
+            erodeThermal(heights, SIZE, { thermalIterations: 1500, talusAngle: 30.0, thermalRate: 0.5 });
+            assert.ok(maxExcess(heights, 30.0) < 1e-2);
+        });
+    }
+
+    it('leaves slopes below the talus angle alone', () => {
+        const heights = new Float32Array(SIZE * SIZE);
+        for (let i = 0; i < heights.length; i++) {
+            heights[i] = (i % SIZE) * 0.25;
+        }
+        const before = heights.slice();
+        erodeThermal(heights, SIZE, { thermalIterations: 10, talusAngle: 30.0, thermalRate: 0.5 });
+        assert.deepEqual(heights, before);
+    });
+
+    it('returns the grid it was given', () => {
+        const heights = spikeGrid();
+        assert.equal(erodeThermal(heights, SIZE, { thermalIterations: 1 }), heights);
+    });
+
+    it('throws when the grid does not match the size', () => {
+        assert.throws(() => erodeThermal(new Float32Array(SIZE * SIZE), SIZE + 1, { thermalIterations: 1 }),
+            /erodeThermal: heights do not match the grid size/);
+    });
+});
+
+describe('ErosionField', () => {
+    // steep ridges along x, in world units
+    const ridges = { get2D: (x, y) => 40.0 * Math.abs(Math.sin(x * 0.05)) + 0.1 * y };
+    const params = { cellSize: 2.0, tileCells: 16, padding: 4, iterations: 0, thermalIterations: 50 };
+
+    it('weathers the input with thermal iterations alone', () => {
+        const field = new ErosionField(ridges, params);
+        let change = 0;
+        for (let x = 0; x < 128; x += 3) {
+            change = Math.max(change, Math.abs(field.getDelta(x, 7.0)));
+        }
+        assert.ok(change > 1.0);
+        assert.equal(new ErosionField(ridges, { ...params, thermalIterations: 0 }).getDelta(31.0, 7.0), 0);
+    });
+
+    it('depends only on the position, not on the order tiles are built in', () => {
+        const points = [[5.0, 3.0], [31.9, 32.1], [-40.0, 17.5], [100.3, -64.0]];
+        const forward = new ErosionField(ridges, params);
+        const backward = new ErosionField(ridges, params);
+        const a = points.map(([x, y]) => forward.getDelta(x, y));
+        const b = points.reverse().map(([x, y]) => backward.getDelta(x, y)).reverse();
+        assert.deepEqual(a, b);
+    });
+});
@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimplexGenerator, PerlinGenerator, NoiseGenerator, FRACTAL_TYPES, noiseLatticeCell } from '../src/noise.js';
+
+// Sample positions off the integer lattice, where gradient noise is not trivially zero
+const POINTS = [[0.5, 0.25], [13.7, -4.2], [-120.3, 77.9], [1024.1, 2048.6]];
+
+function sample2D(generator) {
+    return POINTS.map(([x, y]) => generator.get2D(x, y));
+}
+
+function sample3D(generator) {
+    return POINTS.map(([x, y], i) => generator.get3D(x, y, i * 3.1 + 0.4));
+}
+
+function noiseParams(overrides) {
+    return {
+        seed: 1,
+        noiseType: 'simplex',
+        fractalType: 'fbm',
+        scale: 64.0,
+        octaves: 6,
+        persistence: 0.5,
+        lacunarity: 2.0,
+        exponentiation: 1.0,
+        height: 32.0,
+        ...overrides,
+    };
+}
+
+for (const Generator of [SimplexGenerator, PerlinGenerator]) {
+    describe(Generator.name, () => {
+        it('gives the same noise for the same seed', () => {
+            assert.deepEqual(sample2D(new Generator(42)), sample2D(new Generator(42)));
+            assert.deepEqual(sample3D(new Generator(42)), sample3D(new Generator(42)));
+        });
+
+        it('gives different noise for a different seed', () => {
+            assert.notDeepEqual(sample2D(new Generator(42)), sample2D(new Generator(43)));
+            assert.notDeepEqual(sample3D(new Generator(42)), sample3D(new Generator(43)));
+        });
+    });
+}
+
+describe('NoiseGenerator', () => {
+    for (const noiseType of ['simplex', 'perlin']) {
+        for (const fractalType of FRACTAL_TYPES) {
+            it(`gives the same heights for the same seed with ${noiseType} ${fractalType}`, () => {
+                const params = noiseParams({ noiseType, fractalType, seed: 1234 });
+                assert.deepEqual(sample2D(new NoiseGenerator(params)), sample2D(new NoiseGenerator(params)));
+            });
+
+            it(`gives different heights for a different seed with ${noiseType} ${fractalType}`, () => {
+                const a = new NoiseGenerator(noiseParams({ noiseType, fractalType, seed: 1234 }));
+                const b = new NoiseGenerator(noiseParams({ noiseType, fractalType, seed: 1235 }));
+                assert.notDeepEqual(sample2D(a), sample2D(b));
+            });
+        }
+    }
+
+    it('reseeds domain warping with the height noise', () => {
+        const params = noiseParams({ warpLayers: 2, warpStrength: 16.0 });
+        assert.deepEqual(sample3D(new NoiseGenerator(params)), sample3D(new NoiseGenerator(params)));
+        assert.notDeepEqual(sample3D(new NoiseGenerator(params)),
+            sample3D(new NoiseGenerator({ ...params, seed: 2 })));
+    });
+
+    it('matches a fresh generator after setParams changes the seed', () => {
+        const generator = new NoiseGenerator(noiseParams({ seed: 7 }));
+        generator.setParams(noiseParams({ seed: 8 }));
+        assert.deepEqual(sample2D(generator), sample2D(new NoiseGenerator(noiseParams({ seed: 8 }))));
+    });
+});
+
+describe('noiseLatticeCell', () => {
+    // Far enough out that float32 noise-space coordinates are off by whole cells in the top octaves
+    const ORIGIN = [1.5e6 + 0.37, -2.25e6 + 0.81];
+    const G2 = (3.0 - Math.sqrt(3.0)) / 6.0;
+    const F2 = 0.5 * (Math.sqrt(3.0) - 1.0);
+
+    for (const noiseType of ['simplex', 'perlin']) {
+        it(`reproduces the fBm heights far from the origin with ${noiseType}`, () => {
+            const params = noiseParams({ noiseType, octaves: 8, seed: 99 });
+            const reference = new NoiseGenerator(params);
+            const generator = noiseType === 'simplex' ? new SimplexGenerator(99) : new PerlinGenerator(99);
+
+            // The GPU heightmap's split: a wrapped cell per octave in double precision, and a
+            // float32 texel offset from the chunk origin added to the offset within that cell
+            for (const [dx, dy] of [[0, 0], [3.5, 17.25], [60.75, 31.0]]) {
+                let total = 0;
+                let normalization = 0;
+                let amplitude = 1.0;
+                let frequency = 1.0;
+                for (let o = 0; o < params.octaves; o++) {
+                    const cell = noiseLatticeCell(noiseType,
+                        ORIGIN[0] / params.scale * frequency, ORIGIN[1] / params.scale * frequency);
+                    const lx = Math.fround(dx / params.scale * frequency);
+                    const ly = Math.fround(dy / params.scale * frequency);
+                    const s = noiseType === 'simplex' ? (lx + ly) * F2 : 0.0;
+                    const x = cell[0] + Math.fround(Math.fround(cell[2]) + Math.fround(lx + s));
+                    const y = cell[1] + Math.fround(Math.fround(cell[3]) + Math.fround(ly + s));
+                    const t = noiseType === 'simplex' ? (x + y) * G2 : 0.0;
+                    total += (generator.get2D(x - t, y - t) * 0.5 + 0.5) * amplitude;
+                    normalization += amplitude;
+                    amplitude *= params.persistence;
+                    frequency *= params.lacunarity;
+                }
+                const height = Math.pow(total / normalization, params.exponentiation) * params.height;
+                const expected = reference.get2D(ORIGIN[0] + dx, ORIGIN[1] + dy);
+                assert.ok(Math.abs(height - expected) < 1e-3, `${height} vs ${expected} at ${dx}, ${dy}`);
+            }
+        });
+    }
+
+    it('wraps cells to the permutation period', () => {
+        const [cellX, cellY, offsetX, offsetY] = noiseLatticeCell('perlin', -1.25, 513.5);
+        assert.deepEqual([cellX, cellY, offsetX, offsetY], [254, 1, 0.75, 0.5]);
+    });
+});
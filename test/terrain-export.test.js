@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, inflateSync } from 'node:zlib';
+import { sampleTerrainGrid, computeSplatWeights, buildTerrainMesh, encodePNG } from '../src/terrain-export.js';
+
+const BOUNDS = { minX: -10, minZ: 20, maxX: 30, maxZ: 50 };
+
+// Height function recording the noise space position it is sampled at
+const positionFunction = { get2D: (x, y) => x * 1000 + y };
+
+// Steep hills cut off by a high plateau, so every splat layer shows up
+const hillsFunction = { get2D: (x, y) => Math.min(40 * Math.sin(x * 0.1) * Math.cos(y * 0.07) + 0.05 * x * x, 35) };
+
+const BANDS = {
+    rockSlope: [0.1, 0.3],
+    snowHeight: [20.0, 40.0],
+    snowSlope: [0.2, 0.4],
+    curvatureStrength: 2.0,
+};
+
+function readChunks(png) {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const chunks = [];
+    let offset = 8;
+    while (offset < png.length) {
+        const length = view.getUint32(offset);
+        const type = new TextDecoder().decode(png.subarray(offset + 4, offset + 8));
+        const data = png.subarray(offset + 8, offset + 8 + length);
+        const crc = view.getUint32(offset + 8 + length);
+        chunks.push({ type, data, crc, typeAndData: png.subarray(offset + 4, offset + 8 + length) });
+        offset += 12 + length;
+    }
+    return chunks;
+}
+
+describe('sampleTerrainGrid', () => {
+    it('samples the corners of the bounds with row 0 at minZ', () => {
+        const grid = sampleTerrainGrid(positionFunction, BOUNDS, 5, 4);
+        const at = (col, row) => grid.heights[row * grid.width + col];
+        // noise space y runs along world -z
+        assert.equal(at(0, 0), positionFunction.get2D(BOUNDS.minX, -BOUNDS.minZ));
+        assert.equal(at(4, 0), positionFunction.get2D(BOUNDS.maxX, -BOUNDS.minZ));
+        assert.equal(at(0, 3), positionFunction.get2D(BOUNDS.minX, -BOUNDS.maxZ));
+        assert.equal(at(4, 3), positionFunction.get2D(BOUNDS.maxX, -BOUNDS.maxZ));
+        assert.equal(at(2, 1), positionFunction.get2D(10, -30));
+    });
+
+    it('reports the height range and a copy of the bounds', () => {
+        const grid = sampleTerrainGrid(positionFunction, BOUNDS, 5, 4);
+        assert.equal(grid.minHeight, Math.min(...grid.heights));
+        assert.equal(grid.maxHeight, Math.max(...grid.heights));
+        assert.deepEqual(grid.bounds, BOUNDS);
+        assert.notEqual(grid.bounds, BOUNDS);
+    });
+
+    it('rejects degenerate sizes and empty bounds', () => {
+        assert.throws(() => sampleTerrainGrid(positionFunction, BOUNDS, 1, 4), /sampleTerrainGrid/);
+        assert.throws(() => sampleTerrainGrid(positionFunction, BOUNDS, 4, 2.5), /sampleTerrainGrid/);
+        assert.throws(() => sampleTerrainGrid(positionFunction, { ...BOUNDS, maxX: BOUNDS.minX }, 4, 4),
+            /sampleTerrainGrid/);
+    });
+});
+
+describe('computeSplatWeights', () => {
+    it('gives four weights per sample that sum to 1', () => {
+        const grid = sampleTerrainGrid(hillsFunction, BOUNDS, 17, 13);
+        const weights = computeSplatWeights(grid, BANDS);
+        assert.equal(weights.length, grid.width * grid.height * 4);
+
+        const used = [0, 0, 0, 0];
+        for (let i = 0; i < weights.length; i += 4) {
+            let total = 0;
+            for (let layer = 0; layer < 4; layer++) {
+                assert.ok(weights[i + layer] >= 0 && weights[i + layer] <= 1);
+                total += weights[i + layer];
+                used[layer] = Math.max(used[layer], weights[i + layer]);
+            }
+            assert.ok(Math.abs(total - 1) < 1e-5);
+        }
+        assert.ok(used.every((weight) => weight > 0.5));
+    });
+});
+
+describe('buildTerrainMesh', () => {
+    it('makes two triangles per grid cell', () => {
+        const grid = sampleTerrainGrid(hillsFunction, BOUNDS, 6, 4);
+        const mesh = buildTerrainMesh(grid);
+        assert.equal(mesh.positions.length, 6 * 4 * 3);
+        assert.equal(mesh.indices.length, 5 * 3 * 6);
+        assert.ok(mesh.indices.every((index) => index < 6 * 4));
+    });
+
+    it('winds every triangle counter-clockwise seen from above', () => {
+        const grid = sampleTerrainGrid({ get2D: () => 0 }, BOUNDS, 6, 4);
+        const { positions, indices } = buildTerrainMesh(grid);
+        const vertex = (index) => [positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]];
+        for (let i = 0; i < indices.length; i += 3) {
+            const [a, b, c] = [vertex(indices[i]), vertex(indices[i + 1]), vertex(indices[i + 2])];
+            // y component of (b - a) x (c - a), positive for a normal pointing up
+            const normalY = (b[2] - a[2]) * (c[0] - a[0]) - (b[0] - a[0]) * (c[2] - a[2]);
+            assert.ok(normalY > 0);
+        }
+    });
+
+    it('centres the mesh on its bounds with row 0 at minZ', () => {
+        const grid = sampleTerrainGrid(positionFunction, BOUNDS, 5, 4);
+        const { positions } = buildTerrainMesh(grid);
+        assert.deepEqual([...positions.subarray(0, 3)], [-20, grid.heights[0], -15]);
+        const last = positions.length - 3;
+        assert.deepEqual([...positions.subarray(last)], [20, grid.heights[grid.heights.length - 1], 15]);
+    });
+
+    it('rejects splat weights of another grid', () => {
+        const grid = sampleTerrainGrid(hillsFunction, BOUNDS, 5, 4);
+        assert.throws(() => buildTerrainMesh(grid, new Float32Array(4)), /buildTerrainMesh/);
+    });
+});
+
+describe('encodePNG', () => {
+    for (const bitDepth of [8, 16]) {
+        it(`writes the signature, IHDR and checksums of a ${bitDepth}-bit image`, async () => {
+            const width = 3;
+            const height = 2;
+            const channels = bitDepth === 8 ? 4 : 1;
+            const data = bitDepth === 8 ? new Uint8Array(width * height * channels).map((_, i) => i * 10) :
+                new Uint16Array([0, 1, 256, 4660, 65535, 32768]);
+            const png = await encodePNG({ width, height, channels, bitDepth, data });
+
+            assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+            const chunks = readChunks(png);
+            assert.deepEqual(chunks.map((chunk) => chunk.type), ['IHDR', 'IDAT', 'IEND']);
+            for (const chunk of chunks) {
+                assert.equal(chunk.crc, crc32(chunk.typeAndData));
+            }
+
+            const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset, 13);
+            assert.equal(chunks[0].data.length, 13);
+            assert.equal(header.getUint32(0), width);
+            assert.equal(header.getUint32(4), height);
+            assert.deepEqual([...chunks[0].data.subarray(8)], [bitDepth, bitDepth === 8 ? 6 : 0, 0, 0, 0]);
+
+            // unfiltered scanlines of big-endian samples
+            const raw = inflateSync(chunks[1].data);
+            const stride = width * channels * bitDepth / 8;
+            assert.equal(raw.length, (stride + 1) * height);
+            const rawView = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+            for (let row = 0; row < height; row++) {
+                assert.equal(raw[row * (stride + 1)], 0);
+                for (let i = 0; i < width * channels; i++) {
+                    const offset = row * (stride + 1) + 1;
+                    const value = bitDepth === 16 ? rawView.getUint16(offset + i * 2) : raw[offset + i];
+                    assert.equal(value, data[row * width * channels + i]);
+                }
+            }
+        });
+    }
+
+    it('rejects unsupported formats and mismatched data', async () => {
+        const image = { width: 2, height: 2, channels: 1, bitDepth: 8, data: new Uint8Array(4) };
+        await assert.rejects(encodePNG({ ...image, channels: 5 }), /encodePNG: unsupported channel count/);
+        await assert.rejects(encodePNG({ ...image, bitDepth: 4 }), /encodePNG: unsupported bit depth/);
+        await assert.rejects(encodePNG({ ...image, data: new Uint8Array(3) }), /encodePNG: data does not match/);
+    });
+});
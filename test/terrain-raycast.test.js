@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { raycastHeightField, gridHeightField } from '../src/terrain-raycast.js';
+
+const BOUNDS = { minX: -64, minZ: -64, maxX: 64, maxZ: 64 };
+const SIZE = 33;
+
+// Grid of a height function over BOUNDS, row 0 at minZ
+function grid(heightAt) {
+    const heights = new Float32Array(SIZE * SIZE);
+    const step = (BOUNDS.maxX - BOUNDS.minX) / (SIZE - 1);
+    for (let row = 0; row < SIZE; row++) {
+        for (let col = 0; col < SIZE; col++) {
+            heights[row * SIZE + col] = heightAt(BOUNDS.minX + col * step, BOUNDS.minZ + row * step);
+        }
+    }
+    return { width: SIZE, height: SIZE, bounds: BOUNDS, heights };
+}
+
+function normalize(v) {
+    const length = Math.hypot(v.x, v.y, v.z);
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+describe('gridHeightField', () => {
+    it('interpolates between samples and clamps at the border', () => {
+        const field = gridHeightField(grid((x, z) => 0.5 * x + 0.25 * z));
+        assert.ok(Math.abs(field.getHeight(3.0, -5.0) - (1.5 - 1.25)) < 1e-5);
+        assert.equal(field.getHeight(1000.0, 0.0), field.getHeight(64.0, 0.0));
+        assert.equal(field.getStep(0.0, 0.0), 4.0);
+        assert.equal(field.maxHeight, 0.5 * 64 + 0.25 * 64);
+    });
+
+    it('rejects heights that do not match the grid', () => {
+        assert.throws(() => gridHeightField({ ...grid(() => 0), heights: new Float32Array(4) }),
+            /gridHeightField: heights must hold width \* height values/);
+    });
+});
+
+describe('raycastHeightField', () => {
+    it('hits a flat plane where the ray crosses its height', () => {
+        const field = gridHeightField(grid(() => 10.0));
+        const direction = normalize({ x: 1.0, y: -1.0, z: 0.5 });
+        const hit = raycastHeightField({ x: -20.0, y: 30.0, z: 0.0 }, direction, field);
+
+        // the ray drops 20 units to the plane
+        const expected = 20.0 / -direction.y;
+        assert.ok(Math.abs(hit.distance - expected) < 1e-3);
+        assert.ok(Math.abs(hit.x - (-20.0 + direction.x * expected)) < 1e-3);
+        assert.ok(Math.abs(hit.z - direction.z * expected) < 1e-3);
+        assert.equal(hit.y, 10.0);
+    });
+
+    it('hits a slope where the ray meets it', () => {
+        // y = x, hit by a ray falling straight down along the line y = 20 - x
+        const field = gridHeightField(grid((x) => x));
+        const hit = raycastHeightField({ x: -20.0, y: 40.0, z: 7.0 }, normalize({ x: 1.0, y: -1.0, z: 0.0 }), field);
+        assert.ok(Math.abs(hit.x - 10.0) < 1e-3);
+        assert.ok(Math.abs(hit.y - 10.0) < 1e-3);
+        assert.ok(Math.abs(hit.distance - 30.0 * Math.SQRT2) < 1e-3);
+    });
+
+    it('reports a hit at the origin for a ray starting below the ground', () => {
+        const field = gridHeightField(grid(() => 10.0));
+        const hit = raycastHeightField({ x: 5.0, y: 2.0, z: 5.0 }, { x: 0.0, y: 1.0, z: 0.0 }, field);
+        assert.deepEqual(hit, { distance: 0.0, x: 5.0, y: 10.0, z: 5.0 });
+    });
+
+    it('misses when the ray rises above the highest point', () => {
+        let samples = 0;
+        const field = gridHeightField(grid(() => 10.0));
+        const counting = { ...field, getHeight: (x, z) => { samples++; return field.getHeight(x, z); } };
+        const hit = raycastHeightField({ x: 0.0, y: 20.0, z: 0.0 }, normalize({ x: 1.0, y: 0.1, z: 0.0 }), counting);
+        assert.equal(hit, null);
+        // maxHeight ends the march after the first step
+        assert.ok(samples < 4);
+    });
+
+    it('misses when the surface is beyond the maximum distance', () => {
+        const field = gridHeightField(grid(() => 0.0));
+        const direction = normalize({ x: 1.0, y: -0.1, z: 0.0 });
+        assert.equal(raycastHeightField({ x: -60.0, y: 10.0, z: 0.0 }, direction, field, { maxDistance: 50.0 }), null);
+        assert.notEqual(raycastHeightField({ x: -60.0, y: 10.0, z: 0.0 }, direction, field, { maxDistance: 200.0 }), null);
+    });
+
+    it('skips straight to maxHeight for a ray starting high above it', () => {
+        const field = gridHeightField(grid(() => 10.0));
+        const hit = raycastHeightField({ x: 0.0, y: 5000.0, z: 0.0 }, { x: 0.0, y: -1.0, z: 0.0 }, field,
+            { maxDistance: 8192.0 });
+        assert.ok(Math.abs(hit.distance - 4990.0) < 1e-3);
+    });
+
+    it('rejects a zero direction', () => {
+        const field = gridHeightField(grid(() => 0.0));
+        assert.throws(() => raycastHeightField({ x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 0 }, field),
+            /raycastHeightField: direction must be a non-zero vector/);
+    });
+});
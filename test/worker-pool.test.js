@@ -0,0 +1,71 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker } from 'node:worker_threads';
+import { WorkerPool } from '../src/worker-pool.js';
+
+const WORKER_URL = new URL('../src/terrain/terrain-heightmap-worker.js', import.meta.url);
+
+const NOISE_PARAMS = {
+    seed: 1,
+    noiseType: 'simplex',
+    fractalType: 'fbm',
+    scale: 64.0,
+    octaves: 4,
+    persistence: 0.5,
+    lacunarity: 2.0,
+    exponentiation: 1.0,
+    height: 32.0,
+};
+
+function heightMapRequest(graph) {
+    return {
+        graph,
+        noiseParams: NOISE_PARAMS,
+        biomeParams: { seed: 1 },
+        centerX: 0,
+        centerY: 0,
+        chunkSize: 64,
+        chunkSegments: 8,
+    };
+}
+
+// Worker that exits its thread on any message, like an uncaught error would
+const CRASHING_WORKER = 'require("node:worker_threads").parentPort.on("message", () => { throw new Error("boom"); });';
+
+describe('WorkerPool', () => {
+    const pools = [];
+    after(() => {
+        for (const pool of pools) {
+            pool.dispose();
+        }
+    });
+
+    it('rejects a failing heightmap request and still serves the next one', async () => {
+        const pool = new WorkerPool({ size: 1, createWorker: () => new Worker(WORKER_URL) });
+        pools.push(pool);
+
+        await assert.rejects(pool.enqueue('bad', heightMapRequest({ type: 'no-such-node' })),
+            /unknown node type 'no-such-node'/);
+        const response = await pool.enqueue('good', heightMapRequest({ type: 'noise' }));
+        assert.equal(response.heights.length, 11 * 11);
+        assert.ok(response.heights.every(Number.isFinite));
+    });
+
+    it('replaces a worker whose thread dies', async () => {
+        let created = 0;
+        const pool = new WorkerPool({
+            size: 1,
+            createWorker: () => {
+                created++;
+                // only the first worker crashes
+                return created === 1 ? new Worker(CRASHING_WORKER, { eval: true }) : new Worker(WORKER_URL);
+            },
+        });
+        pools.push(pool);
+
+        await assert.rejects(pool.enqueue('crash', heightMapRequest({ type: 'noise' })), /boom/);
+        const response = await pool.enqueue('good', heightMapRequest({ type: 'noise' }));
+        assert.equal(response.heights.length, 11 * 11);
+        assert.equal(created, 2);
+    });
+});
@@ -2,4 +2,8 @@ import { defineConfig } from 'vite';
 
 export default defineConfig({
   base: '/threejs-terrain/',
+  worker: {
+    // module workers, matching new Worker(..., { type: 'module' })
+    format: 'es',
+  },
 });